@@ -6,19 +6,246 @@
     for use in multi-camera scenarios.
 */
 
-import { getU8AFromHexString, compareU8A, mergeU8A, getStringFromU8A } from './u8a.js';
+import {
+    METADATA_INIT_RESPONSE_SIGNATURE,
+    MAX_PACKETSIZE,
+    isHandshake,
+    encodeRPCRequest,
+    StreamDecoder,
+    JPEGFrameAssembler,
+    getFileDataSize,
+    getJPEGSize,
+} from './protocol.js';
+import {
+    CameraError,
+    CameraTimeoutError,
+    CameraProtocolError,
+    CameraRPCError,
+    CameraDisconnectedError,
+    CameraTransferError,
+    CameraSettingError,
+    getAbortReason,
+} from './errors.js';
+import { concatU8A, sleep } from './u8a.js';
+import { CameraEvent } from './CameraEvent.js';
+import { LiveViewStream } from './LiveViewStream.js';
+import { encodeSetting, getBracketValues, getFocusStackDistances } from './settings.js';
+import { createFrameURL, now } from './platform.js';
+
+// Default time limits; 0 or Infinity disables a limit
+const DEFAULT_COMMAND_TIMEOUT_MS = 10000;
+// Covers the longest exposure (30s) plus the 10s self-timer
+const DEFAULT_CAPTURE_TIMEOUT_MS = 45000;
+const DEFAULT_INIT_TIMEOUT_MS = 5000;
+
+// File downloads: bytes requested per dxo_fs_last_file_get, and how often a
+// failed chunk is requested again before the download gives up
+const DEFAULT_FILE_CHUNK_SIZE = 65536;
+const DEFAULT_FILE_CHUNK_RETRIES = 2;
+
+// Side of the square dxo_tap_to_focus area, in live view pixels
+const DEFAULT_FOCUS_AREA_SIZE = 256;
+
+// Error names WebUSB uses when the device is gone or closed
+const USB_DISCONNECT_ERROR_NAMES = ['NotFoundError', 'NetworkError', 'InvalidStateError', 'AbortError'];
 
-const METADATA_INIT_SIGNATURE = getU8AFromHexString('A3, BA, D1, 10, AB, CD, AB, CD, 00, 00, 00, 00, 02, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00');
-const METADATA_INIT_RESPONSE_SIGNATURE = getU8AFromHexString('A3, BA, D1, 10, DC, BA, DC, BA, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00');
+/**
+ * One photo of an exposure bracket
+ * @typedef {Object} BracketShot
+ * @property {number} index - Position in the bracket, from 1
+ * @property {string} value - Setting value used
+ * @property {number} offset - EV from the center exposure
+ * @property {'success' | 'error'} status
+ * @property {number} timestamp - When the step started (now())
+ * @property {Object} [result] - takePhoto() response on success
+ * @property {CameraError|Error} [error] - Why the step failed (setting or capture)
+ */
+
+/**
+ * Outcome of CameraDevice.captureBracket()
+ * @typedef {Object} BracketResult
+ * @property {{id: string, kind: 'hdr', type: string, count: number, spacing: number, center: string, startedAt: string}} set -
+ *           Identifies the photos as one HDR set
+ * @property {string} cameraId
+ * @property {string} cameraName
+ * @property {'success' | 'error'} status - 'success' if every shot was taken and the setting restored
+ * @property {BracketShot[]} shots - Shots attempted, in order; a failure ends the bracket
+ * @property {string} original - Setting value before the bracket
+ * @property {boolean} restored - Whether the original value was set again
+ * @property {CameraError|Error|null} error - First failure, or the restore failure
+ */
+
+/**
+ * Outcome of CameraDevice.captureFocusStack()
+ * @typedef {Object} FocusStackResult
+ * @property {{id: string, kind: 'focus-stack', near: number, far: number, count: number, spacing: string,
+ *           aperture: (number|null), startedAt: string}} set - Identifies the photos as one focus stack
+ * @property {string} cameraId
+ * @property {string} cameraName
+ * @property {'success' | 'error'} status - 'success' if every shot was taken and the focus restored
+ * @property {Array<Object>} shots - Shots attempted, near to far: index, invDistance (1/m), distanceM
+ *           (null for infinity), param (mf_inv_distance sent), status, timestamp, result or error
+ * @property {{still_focusing_mode: string, mf_inv_distance: (string|null)}} original - Focus before the stack
+ * @property {boolean} restored - Whether the original focus was set again
+ * @property {CameraError|Error|null} error - First failure, or the restore failure
+ */
+
+/**
+ * One photo of a burst
+ * @typedef {Object} BurstShot
+ * @property {number} index - Position in the burst, from 1
+ * @property {'success' | 'error'} status
+ * @property {number} requestedAt - When the shot was queued (now())
+ * @property {number|null} sentAt - When dxo_photo_take went out (now()), null if it never did
+ * @property {number} receivedAt - When the camera answered or the shot failed (now())
+ * @property {number|null} latencyMs - From sentAt to receivedAt; null if never sent
+ * @property {Object} [result] - takePhoto() response on success
+ * @property {CameraError|Error} [error] - Why the shot was dropped
+ */
+
+/**
+ * Outcome of CameraDevice.burst()
+ * @typedef {Object} BurstResult
+ * @property {string} cameraId
+ * @property {string} cameraName
+ * @property {'success' | 'error'} status - 'success' if every shot was taken
+ * @property {number} count - Shots asked for
+ * @property {number} intervalMs - Minimum time between shots asked for
+ * @property {number} taken - Shots the camera took
+ * @property {number} dropped - count - taken: shots that failed, and those never tried
+ *           after the camera disconnected or the burst was aborted
+ * @property {BurstShot[]} shots - Shots attempted, in order
+ * @property {number} durationMs - From the first request to the last answer
+ * @property {number} fps - Shots taken per second of durationMs
+ * @property {{min: number, mean: number, max: number}|null} latencyMs - Of the shots taken; null if none
+ * @property {CameraError|Error|null} error - First failure
+ */
+
+/**
+ * Races a promise against a timeout and an AbortSignal
+ *
+ * @param {Promise} promise - The operation to wait for
+ * @param {Object} options
+ * @param {number} [options.timeoutMs] - Time limit; 0 or Infinity for none
+ * @param {AbortSignal} [options.signal] - Rejects with the abort reason when aborted
+ * @param {Function} options.createTimeoutError - Builds the error for an expired timeout
+ * @returns {Promise} Settles with the promise, or rejects on timeout / abort
+ * @private
+ */
+function raceWithTimeout(promise, { timeoutMs, signal, createTimeoutError }) {
+    const hasTimeout = timeoutMs > 0 && timeoutMs !== Infinity;
+    if (!hasTimeout && !signal) return promise;
+
+    return new Promise((resolve, reject) => {
+        let timer = null;
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        const onAbort = () => {
+            cleanup();
+            reject(getAbortReason(signal));
+        };
+
+        if (signal) {
+            if (signal.aborted) return onAbort();
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+        if (hasTimeout) {
+            timer = setTimeout(() => {
+                cleanup();
+                reject(createTimeoutError());
+            }, timeoutMs);
+        }
+
+        promise.then(
+            value => { cleanup(); resolve(value); },
+            error => { cleanup(); reject(error); }
+        );
+    });
+}
 
-const RPC_HEADER = getU8AFromHexString('A3, BA, D1, 10, 17, 08, 00, 0C');
-const RPC_HEADER_TRAILER = getU8AFromHexString('00, 00, 03, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00');
+/**
+ * Formats a position as a dxo_gps_data_set param
+ *
+ * Layout captured from the official app:
+ * "48d51m29.1234s,N,02d17m40.5678s,E,138,0,05h34m40s". The last three fields
+ * are not confirmed; they look like heading, speed and UTC time of day.
+ *
+ * @param {Object} position - {latitude, longitude, heading, speed, time} or a GeolocationPosition
+ * @returns {string}
+ * @throws {Error} If latitude / longitude are missing or out of range
+ * @private
+ */
+function formatGPSParam(position) {
+    const coords = position?.coords ?? position ?? {};
+    const { latitude, longitude } = coords;
+    if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+        throw new Error(`Invalid GPS position: latitude ${latitude}, longitude ${longitude}`);
+    }
+
+    // Whole 1/10000ths of an arc second, so rounding never yields 60s
+    const toDMS = degrees => {
+        const total = Math.round(Math.abs(degrees) * 36000000);
+        const d = Math.floor(total / 36000000);
+        const m = Math.floor(total % 36000000 / 600000);
+        const s = (total % 600000 / 10000).toFixed(4);
+        return `${String(d).padStart(2, '0')}d${String(m).padStart(2, '0')}m${s.padStart(7, '0')}s`;
+    };
+
+    const time = new Date(position.time ?? position.timestamp ?? Date.now());
+    const pad = value => String(value).padStart(2, '0');
+
+    return [
+        toDMS(latitude), latitude < 0 ? 'S' : 'N',
+        toDMS(longitude), longitude < 0 ? 'W' : 'E',
+        Math.round(coords.heading || 0),
+        Math.round(coords.speed || 0),
+        `${pad(time.getUTCHours())}h${pad(time.getUTCMinutes())}m${pad(time.getUTCSeconds())}s`,
+    ].join(',');
+}
 
-const JPG_METADATA_HEADER = getU8AFromHexString('A3, BA, D1, 10');
-const JPG_HEADER = getU8AFromHexString('FF, D8, FF');
-const JPG_TRAILER = getU8AFromHexString('FF, D9');
+/**
+ * Converts a point on the live view image into a dxo_tap_to_focus area
+ *
+ * Camera coordinates are live view pixels with the origin at the bottom
+ * left. The square area is centred on the point, moved inside the frame if
+ * it would stick out, and sent as its bottom left corner and size.
+ *
+ * @param {{x: number, y: number}} point - Fractions (0-1) of the image width and height,
+ *        from the top left corner as on screen
+ * @param {{width: number, height: number}} frameSize - Live view frame size in pixels
+ * @param {number} areaSize - Requested side of the area in pixels
+ * @returns {{area: {x: number, y: number, size: number}, rect: {left: number, top: number, width: number, height: number}}}
+ *          The area in camera coordinates, and as fractions of the image from the top left (for drawing)
+ * @throws {RangeError} If the point is outside the image or the area size is not positive
+ * @private
+ */
+function getFocusArea(point, frameSize, areaSize) {
+    const { width, height } = frameSize;
+    if (!(point?.x >= 0 && point.x <= 1 && point.y >= 0 && point.y <= 1)) {
+        throw new RangeError(`Focus point must be within the image (0-1): ${JSON.stringify(point)}`);
+    }
+    if (!(areaSize > 0)) {
+        throw new RangeError(`Focus area size must be positive: ${areaSize}`);
+    }
 
-const MAX_PACKETSIZE = 512;
+    const size = Math.round(Math.min(areaSize, width, height));
+    const clamp = (value, max) => Math.max(0, Math.min(max, Math.round(value)));
+    const x = clamp(point.x * width - size / 2, width - size);
+    const y = clamp((1 - point.y) * height - size / 2, height - size);
+
+    return {
+        area: { x, y, size },
+        rect: {
+            left: x / width,
+            top: 1 - (y + size) / height,
+            width: size / width,
+            height: size / height,
+        },
+    };
+}
 
 /**
  * CameraDevice - Manages a single DXO One camera connection
@@ -26,19 +253,29 @@ const MAX_PACKETSIZE = 512;
  * Provides per-camera state tracking, command execution, and error handling.
  * Designed for use with CameraManager for multi-camera scenarios.
  *
+ * Dispatches CameraEvents (see CameraEvent.js) for connection, status,
+ * battery, settings, live view and capture changes.
+ *
  * @example
  * const camera = new CameraDevice(usbDevice);
+ * camera.addEventListener('batteryChanged', e => console.log(e.detail.batteryLevel));
  * await camera.initialize();
  * await camera.takePhoto();
  */
-export class CameraDevice {
+export class CameraDevice extends EventTarget {
     /**
      * Creates a new CameraDevice instance
      *
      * @param {USBDevice} usbDevice - The WebUSB device handle
      * @param {string} [nickname] - User-assigned name for the camera
+     * @param {Object} [options] - Time limits (ms; 0 or Infinity disables)
+     * @param {number} [options.commandTimeoutMs=10000] - Default limit for each command
+     * @param {number} [options.captureTimeoutMs=45000] - Limit for takePhoto()
+     * @param {number} [options.initTimeoutMs=5000] - Limit for the init handshake
      */
-    constructor(usbDevice, nickname = null) {
+    constructor(usbDevice, nickname = null, options = {}) {
+        super();
+
         // INV-DATA-003: Connection state must accurately reflect hardware status
         this.device = usbDevice;
         this.isConnected = false;
@@ -57,15 +294,48 @@ export class CameraDevice {
         // RPC sequence tracking
         this.seq = 0;
 
+        // Incremented per initialize(); a read loop from an earlier session exits quietly
+        this.session = 0;
+
+        // Time limits
+        this.commandTimeoutMs = options.commandTimeoutMs ?? DEFAULT_COMMAND_TIMEOUT_MS;
+        this.captureTimeoutMs = options.captureTimeoutMs ?? DEFAULT_CAPTURE_TIMEOUT_MS;
+        this.initTimeoutMs = options.initTimeoutMs ?? DEFAULT_INIT_TIMEOUT_MS;
+
+        // Incoming byte stream decoding (shared codec, see protocol.js)
+        this.decoder = new StreamDecoder();
+
+        // Command queue: one RPC in flight at a time, replies matched by id
+        this.commandQueue = Promise.resolve();
+        this.pendingRequests = new Map();
+
+        // Unsolicited messages (dxo_setting_applied, flush notices, status pushes)
+        this.notificationListeners = new Set();
+
+        // One-shot waiters for transferInRPC() / transferInJPEG()
+        this.messageWaiters = [];
+        this.jpegWaiters = [];
+
+        // A file chunk reply waiting for its data ({response, size, chunks, received})
+        this.incomingFile = null;
+
         // Live view state
-        this.lastJPEGFrame = new Uint8Array(0);
-        this.shouldStopLiveView = false;
+        this.frameAssembler = new JPEGFrameAssembler();
+        this.liveViewCallback = null;
+        this.liveViewSession = null;
+        // Releases the object URL of the last frame handed to liveViewCallback
+        this.revokeLastFrameURL = null;
         this.isLiveViewActive = false;
+        // {width, height} of the last live view frame, the coordinate space of focusAt()
+        this.liveViewFrameSize = null;
 
         // Camera metadata cache
         this.settings = null;
         this.status = null;
         this.batteryLevel = null;
+
+        // Settings the camera confirmed (type -> param), reapplied by restoreSession()
+        this.appliedSettings = new Map();
     }
 
     /**
@@ -87,7 +357,7 @@ export class CameraDevice {
      * Opens the device, claims interfaces, and establishes communication.
      *
      * @returns {Promise<void>}
-     * @throws {Error} If initialization fails
+     * @throws {CameraError} If initialization fails (CameraTimeoutError if the camera never answers)
      */
     async initialize() {
         try {
@@ -104,32 +374,104 @@ export class CameraDevice {
             await this.device.transferOut(this.outEndpoint, METADATA_INIT_RESPONSE_SIGNATURE);
 
             // Drain any pre-existing data from the device's outbound buffer
-            let initDrainRXBuffer = [];
-            do {
-                initDrainRXBuffer = await this._getRX(MAX_PACKETSIZE);
-
-                if (compareU8A(initDrainRXBuffer, METADATA_INIT_SIGNATURE)) {
-                    await this.device.transferOut(this.outEndpoint, METADATA_INIT_RESPONSE_SIGNATURE);
-                    break;
-                }
-            } while (initDrainRXBuffer.length > 0);
+            const drain = async () => {
+                let initDrainRXBuffer = [];
+                do {
+                    initDrainRXBuffer = await this._getRX(MAX_PACKETSIZE);
+
+                    if (isHandshake(initDrainRXBuffer)) {
+                        await this.device.transferOut(this.outEndpoint, METADATA_INIT_RESPONSE_SIGNATURE);
+                        break;
+                    }
+                } while (initDrainRXBuffer.length > 0);
+            };
+
+            await raceWithTimeout(drain(), {
+                timeoutMs: this.initTimeoutMs,
+                createTimeoutError: () => new CameraTimeoutError(
+                    `No handshake within ${this.initTimeoutMs}ms`,
+                    { cameraId: this.id, timeoutMs: this.initTimeoutMs }
+                ),
+            });
+
+            // Anything drained above is stale; start decoding from a clean state
+            this.decoder.reset();
 
             // INV-DATA-003: Update connection state accurately
             this.isConnected = true;
             this.isInitialized = true;
             this.lastError = null;
 
+            // From here on a single reader owns transferIn and routes every message
+            this._readLoop(++this.session);
+            this._emit('connected');
+
             // Fetch initial status
             await this._refreshStatus();
+            this._emit('initialized');
 
         } catch (error) {
             // INV-CONS-003: Provide clear error recovery
             this.lastError = error;
             this.isConnected = false;
-            throw new Error(`Failed to initialize camera ${this.displayName}: ${error.message}`);
+
+            // Release the device (and any transfer still waiting) so it can be retried
+            await Promise.resolve(this.device.close()).catch(() => {});
+
+            // Keep the failure kind, e.g. CameraTimeoutError
+            const ErrorClass = error instanceof CameraError ? error.constructor : CameraError;
+            throw new ErrorClass(`Failed to initialize camera ${this.displayName}: ${error.message}`, {
+                cameraId: this.id,
+                cause: error,
+                timeoutMs: error.timeoutMs,
+            });
         }
     }
 
+    /**
+     * Re-establishes the session after the camera dropped off USB
+     *
+     * This object (id, nickname, event listeners) survives; only the USB
+     * handle is replaced. Every setting the camera confirmed before the drop
+     * is then sent again. A setting that fails to reapply is reported in the
+     * return value rather than failing the whole restore.
+     *
+     * @param {USBDevice} [usbDevice=this.device] - Handle for the re-enumerated device
+     *        (WebUSB hands out a new USBDevice after a replug)
+     * @returns {Promise<{type: string, param: string, error: Error}[]>} Settings that were not reapplied
+     * @throws {CameraError} If initialization fails
+     */
+    async restoreSession(usbDevice = this.device) {
+        this.markDisconnected(null);
+
+        // Release the old handle; a read still pending on it fails and is ignored
+        await Promise.resolve(this.device.close()).catch(() => {});
+
+        this.device = usbDevice;
+        this.isInitialized = false;
+        this.decoder.reset();
+        this.frameAssembler.reset();
+        this.incomingFile = null;
+
+        await this.initialize();
+
+        const failures = [];
+        for (const [type, param] of this.appliedSettings) {
+            try {
+                await this.transferOutRPC('dxo_setting_set', { type, param });
+            } catch (error) {
+                failures.push({ type, param, error });
+            }
+        }
+
+        if (failures.length > 0) {
+            console.warn(`[${this.displayName}] Could not reapply settings:`, failures.map(f => f.type).join(', '));
+        }
+        if (this.appliedSettings.size > 0) await this._refreshStatus();
+
+        return failures;
+    }
+
     /**
      * Refreshes the camera status and settings
      *
@@ -137,18 +479,70 @@ export class CameraDevice {
      */
     async _refreshStatus() {
         try {
-            this.status = await this.transferOutRPC('dxo_camera_status_get');
+            this._updateStatus(await this.transferOutRPC('dxo_camera_status_get'));
             this.settings = await this.transferOutRPC('dxo_all_settings_get');
-
-            // Extract battery level if available
-            if (this.status?.result?.battery) {
-                this.batteryLevel = this.status.result.battery;
-            }
         } catch (error) {
             console.warn(`Failed to refresh status for ${this.displayName}:`, error);
         }
     }
 
+    /**
+     * Caches a status response and fires statusChanged / batteryChanged
+     *
+     * @param {Object} status - dxo_camera_status_get response
+     * @private
+     */
+    _updateStatus(status) {
+        const previousStatus = this.status;
+        this.status = status;
+
+        if (JSON.stringify(previousStatus?.result) !== JSON.stringify(status?.result)) {
+            this._emit('statusChanged', { status });
+        }
+
+        // Extract battery level if available
+        const batteryLevel = status?.result?.battery;
+        if (batteryLevel !== undefined && batteryLevel !== null && batteryLevel !== this.batteryLevel) {
+            const previousBatteryLevel = this.batteryLevel;
+            this.batteryLevel = batteryLevel;
+            this._emit('batteryChanged', { batteryLevel, previousBatteryLevel });
+        }
+    }
+
+    /**
+     * Dispatches a CameraEvent; detail.camera is always this camera
+     *
+     * @param {CameraEventType} type - Event name
+     * @param {Object} [detail] - Event payload
+     * @private
+     */
+    _emit(type, detail = {}) {
+        this.dispatchEvent(new CameraEvent(type, { camera: this, ...detail }));
+    }
+
+    /**
+     * Marks the camera as disconnected and fails everything waiting on it
+     *
+     * Called on close(), on read failures and by CameraManager when WebUSB
+     * reports the device as unplugged.
+     *
+     * @param {CameraDisconnectedError|null} error - Cause, or null for a deliberate close
+     */
+    markDisconnected(error = null) {
+        const wasConnected = this.isConnected;
+
+        // INV-DATA-003: Update connection state accurately
+        this.isConnected = false;
+        if (error && wasConnected) this.lastError = error;
+
+        this._rejectPendingRequests(error || new CameraDisconnectedError(`Camera ${this.displayName} closed`, {
+            cameraId: this.id,
+        }));
+        this._endLiveView(error);
+
+        if (wasConnected) this._emit('disconnected', { error });
+    }
+
     /**
      * Internal method to receive data from the camera
      *
@@ -159,249 +553,1169 @@ export class CameraDevice {
     async _getRX(byteLength = 32) {
         // INV-DATA-003: Check connection before operation
         if (!this.isConnected && this.isInitialized) {
-            throw new Error('Camera disconnected');
+            throw new CameraDisconnectedError(`Camera ${this.displayName} disconnected`, { cameraId: this.id });
         }
         return this.device.transferIn(this.inEndpoint, byteLength)
             .then(res => new Uint8Array(res.data.buffer));
     }
 
     /**
-     * Transfers JPEG data from the camera (for live view)
+     * Reads from the camera until disconnected, routing each decoded message
      *
-     * @returns {Promise<Uint8Array>} JPEG image data
+     * Only this loop calls transferIn, so live view and overlapping commands
+     * can no longer steal each other's data.
+     *
+     * @private
      */
-    async transferInJPEG() {
-        let metadata = await this._getRX(MAX_PACKETSIZE);
+    async _readLoop(session) {
+        try {
+            while (this.isConnected && this.session === session) {
+                const chunk = await this._getRX(MAX_PACKETSIZE);
+                if (this.session !== session) return;
 
-        if (compareU8A(metadata, METADATA_INIT_SIGNATURE)) {
-            await this.device.transferOut(this.outEndpoint, METADATA_INIT_RESPONSE_SIGNATURE);
-            metadata = await this._getRX(MAX_PACKETSIZE);
+                for (const message of this.decoder.push(chunk)) {
+                    await this._dispatchMessage(message);
+                }
+            }
+        } catch (error) {
+            // The session this loop served was already replaced by restoreSession()
+            if (this.session !== session) return;
+
+            // A failed read on an open connection means the camera went away
+            const disconnectedError = error instanceof CameraDisconnectedError
+                ? error
+                : new CameraDisconnectedError(`Camera ${this.displayName} disconnected: ${error.message}`, {
+                    cameraId: this.id,
+                    cause: error,
+                });
+
+            if (this.isConnected) {
+                console.warn(`[${this.displayName}] Read failed:`, error);
+            }
+            this.markDisconnected(disconnectedError);
         }
+    }
+
+    /**
+     * Routes a decoded message to whoever is waiting for it
+     *
+     * @param {DecodedMessage} message - Message from the StreamDecoder
+     * @private
+     */
+    async _dispatchMessage(message) {
+        switch (message.type) {
+            case 'handshake':
+                // Camera restarted the session; acknowledge to stay in sync.
+                // File data still expected will not come (the fetch times out)
+                this.incomingFile = null;
+                await this.device.transferOut(this.outEndpoint, METADATA_INIT_RESPONSE_SIGNATURE);
+                return;
+
+            case 'jpeg':
+                if (this.jpegWaiters.length > 0) this.jpegWaiters.shift()(message.data);
+                if (this.isLiveViewActive) this._handleLiveViewData(message.data);
+                return;
+
+            case 'notification':
+                this._notify(message.message);
+                if (this.messageWaiters.length > 0) this.messageWaiters.shift()(message.message);
+                return;
+
+            case 'response': {
+                // A file chunk reply is delivered once its data has arrived
+                const size = getFileDataSize(message.message);
+                if (size > 0) {
+                    this.incomingFile = { response: message.message, size, chunks: [], received: 0 };
+                } else {
+                    this._deliverResponse(message.message);
+                }
+                return;
+            }
 
-        let jpgResponse = new Uint8Array(metadata.length);
+            case 'file': {
+                const file = this.incomingFile;
+                if (!file) return;
 
-        let offset = 0;
-        if (jpgResponse.indexOfMulti(JPG_METADATA_HEADER) >= 0) {
-            offset = metadata.length - 32;
-            jpgResponse.set(metadata.slice(32));
+                file.chunks.push(message.data);
+                file.received += message.data.length;
+                if (file.received >= file.size) {
+                    this.incomingFile = null;
+                    this._deliverResponse({ ...file.response, data: concatU8A(file.chunks) });
+                }
+                return;
+            }
+
+            // INV-API-002: Consistent return type (null for no response)
+            case 'empty':
+                if (this.pendingRequests.size === 1) {
+                    this._resolvePendingRequest(this.pendingRequests.keys().next().value, null);
+                } else if (this.messageWaiters.length > 0) {
+                    this.messageWaiters.shift()(null);
+                }
+                return;
+
+            case 'malformed':
+                console.log(`[${this.displayName}] Failed to parse:`, message.reason);
+                if (this.pendingRequests.size === 1) {
+                    const [id, request] = this.pendingRequests.entries().next().value;
+                    this.pendingRequests.delete(id);
+                    request.reject(new CameraProtocolError(
+                        `Malformed reply to ${request.method} from ${this.displayName}: ${message.reason}`,
+                        { cameraId: this.id, method: request.method, data: message.data }
+                    ));
+                } else if (this.messageWaiters.length > 0) {
+                    this.messageWaiters.shift()(null);
+                }
+                return;
+        }
+    }
+
+    /**
+     * Hands a reply to the command it answers
+     *
+     * @param {Object} response - JSON-RPC response
+     * @private
+     */
+    _deliverResponse(response) {
+        const { id } = response;
+        if (this.pendingRequests.has(id)) {
+            this._resolvePendingRequest(id, response);
+        } else if ((id === undefined || id === null) && this.pendingRequests.size === 1) {
+            // Reply without an id: commands are serialized, so it belongs to the one in flight
+            this._resolvePendingRequest(this.pendingRequests.keys().next().value, response);
+        } else if (this.messageWaiters.length > 0) {
+            this.messageWaiters.shift()(response);
         } else {
-            offset = 0;
-            jpgResponse.set(metadata);
+            console.warn(`[${this.displayName}] Dropping reply to unknown request id ${id}`);
         }
+    }
+
+    /**
+     * @private
+     */
+    _resolvePendingRequest(id, response) {
+        const request = this.pendingRequests.get(id);
+        this.pendingRequests.delete(id);
+        request.resolve(response);
+    }
+
+    /**
+     * Fails every request still waiting for a reply
+     *
+     * @param {Error} error - Reason passed to the callers
+     * @private
+     */
+    _rejectPendingRequests(error) {
+        const requests = Array.from(this.pendingRequests.values());
+        this.pendingRequests.clear();
+        requests.forEach(request => request.reject(error));
+    }
 
-        let payload;
-        do {
-            payload = await this._getRX(MAX_PACKETSIZE);
+    /**
+     * Calls every notification listener, isolating listener errors
+     *
+     * @param {Object} notification - JSON-RPC notification from the camera
+     * @private
+     */
+    _notify(notification) {
+        this._emit('notification', { notification });
+        if (notification.method === 'dxo_setting_applied') {
+            const { type, param } = notification.params || {};
+            if (type !== undefined) this.appliedSettings.set(type, param);
+            this._emit('settingApplied', { ...(notification.params || {}), notification });
+        }
 
-            const diffLength = jpgResponse.length - (offset + payload.length);
-            if (diffLength < 0) {
-                let newJpgResponse = new Uint8Array(offset + payload.length);
-                newJpgResponse.set(jpgResponse);
-                jpgResponse = newJpgResponse;
+        for (const listener of this.notificationListeners) {
+            try {
+                listener(notification, this);
+            } catch (error) {
+                console.warn(`[${this.displayName}] Notification listener failed:`, error);
             }
+        }
+    }
 
-            jpgResponse.set(payload, offset);
-            offset += payload.length;
-        } while (payload.indexOfMulti(JPG_TRAILER) < 0);
+    /**
+     * Subscribes to unsolicited messages from the camera
+     *
+     * Notifications (dxo_setting_applied, dxo_usb_flush_forced, status pushes)
+     * never resolve a command; they are delivered here instead.
+     *
+     * @param {Function} listener - Called with (notification, camera)
+     */
+    addNotificationListener(listener) {
+        this.notificationListeners.add(listener);
+    }
 
-        return jpgResponse;
+    /**
+     * Unsubscribes a listener added with addNotificationListener()
+     *
+     * @param {Function} listener - The listener to remove
+     */
+    removeNotificationListener(listener) {
+        this.notificationListeners.delete(listener);
     }
 
     /**
-     * Receives an RPC response from the camera
+     * Waits for the next fragment of live view JPEG data
      *
-     * @returns {Promise<Object|null>} Parsed JSON-RPC response
+     * @returns {Promise<Uint8Array>} Next fragment of live view JPEG data
      */
-    async transferInRPC() {
-        let metadata = await this._getRX(MAX_PACKETSIZE);
+    transferInJPEG() {
+        return new Promise(resolve => this.jpegWaiters.push(resolve));
+    }
 
-        if (compareU8A(metadata, METADATA_INIT_SIGNATURE)) {
-            await this.device.transferOut(this.outEndpoint, METADATA_INIT_RESPONSE_SIGNATURE);
-            metadata = await this._getRX(MAX_PACKETSIZE);
-        }
+    /**
+     * Waits for the next message not claimed by a pending command
+     *
+     * Usually a notification; replies to commands sent with transferOutRPC()
+     * are returned from that call instead.
+     *
+     * @returns {Promise<Object|null>} Parsed JSON-RPC message
+     */
+    transferInRPC() {
+        return new Promise(resolve => this.messageWaiters.push(resolve));
+    }
 
-        const rpcResponseSize = metadata[8] + (metadata[9] << 8);
+    /**
+     * Sends an RPC command to the camera and returns the response
+     *
+     * Commands are queued so only one is in flight per camera; the reply is
+     * matched by its JSON-RPC id, so concurrent callers (UI, status refresh,
+     * CameraManager.sendCommandToAll) each get their own response.
+     *
+     * @param {string} method - RPC method name
+     * @param {Object} [params] - RPC parameters
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Reply time limit (default: commandTimeoutMs)
+     * @param {AbortSignal} [options.signal] - Cancels the command, even while queued
+     * @param {Function} [options.onSent] - Called with now() once the command has gone out
+     * @returns {Promise<Object>} RPC response
+     * @throws {CameraTimeoutError} If the camera does not reply in time
+     * @throws {CameraRPCError} If the camera answers with a JSON-RPC error
+     * @throws {CameraProtocolError} If the reply cannot be decoded
+     * @throws {CameraDisconnectedError} If the camera is not connected
+     */
+    transferOutRPC(method, params, options = {}) {
+        const { signal } = options;
 
-        // INV-API-002: Consistent return type (null for no response)
-        if (rpcResponseSize === 0) return null;
+        const run = this.commandQueue.then(() => this._sendCommand(method, params, options));
+        // Keep the queue going even if this command fails
+        this.commandQueue = run.catch(() => {});
 
-        let rpcResponse = new Uint8Array(rpcResponseSize);
-        rpcResponse.set(metadata.slice(32));
-        let offset = metadata.length - 32;
+        // Aborting a queued command rejects now; _sendCommand skips it when its turn comes
+        return signal ? raceWithTimeout(run, { signal }) : run;
+    }
 
-        let payload;
-        do {
-            if (offset === rpcResponseSize) break;
+    /**
+     * Sends one command and waits for its reply
+     *
+     * @param {string} method - RPC method name
+     * @param {Object} [params] - RPC parameters
+     * @param {Object} [options] - See transferOutRPC()
+     * @returns {Promise<Object>} RPC response
+     * @private
+     */
+    async _sendCommand(method, params, { timeoutMs = this.commandTimeoutMs, signal, onSent } = {}) {
+        if (signal?.aborted) throw getAbortReason(signal);
 
-            payload = await this._getRX(MAX_PACKETSIZE);
-            if (compareU8A(payload, METADATA_INIT_SIGNATURE)) {
-                await this.device.transferOut(this.outEndpoint, METADATA_INIT_RESPONSE_SIGNATURE);
-                break;
-            }
+        // INV-DATA-003: Check connection state
+        if (!this.isConnected) {
+            throw new CameraDisconnectedError(`Camera ${this.displayName} not connected`, {
+                cameraId: this.id,
+                method,
+            });
+        }
+
+        const id = this.seq++;
+        const response = new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { method, resolve, reject });
+        });
+        // A disconnect can reject it while transferOut() is still pending, before it is awaited
+        response.catch(() => {});
 
+        let reply;
+        try {
             try {
-                rpcResponse.set(payload, offset);
-            } catch (e) {
-                return null;
+                await this.device.transferOut(this.outEndpoint, METADATA_INIT_RESPONSE_SIGNATURE);
+
+                // INV-DATA-001: Use Uint8Array for all messages
+                await this.device.transferOut(this.outEndpoint, encodeRPCRequest(id, method, params));
+            } catch (error) {
+                throw this._wrapTransferError(error, method);
+            }
+            onSent?.(now());
+
+            reply = await raceWithTimeout(response, {
+                timeoutMs,
+                signal,
+                createTimeoutError: () => new CameraTimeoutError(
+                    `Camera ${this.displayName} did not reply to ${method} within ${timeoutMs}ms`,
+                    { cameraId: this.id, method, timeoutMs }
+                ),
+            });
+
+            if (reply?.error) {
+                const { code, message, data } = reply.error;
+                throw new CameraRPCError(
+                    `Camera ${this.displayName} rejected ${method}: ${message || JSON.stringify(reply.error)}`,
+                    { cameraId: this.id, method, code, data }
+                );
             }
+        } catch (error) {
+            if (error instanceof CameraError) {
+                this.lastError = error;
+                this._emit('error', { error, method });
+            }
+            throw error;
+        } finally {
+            // A late reply to a timed out or aborted command is dropped by id
+            this.pendingRequests.delete(id);
+        }
 
-            offset += payload.length;
-        } while (offset < rpcResponseSize);
+        return reply;
+    }
+
+    /**
+     * Maps a failed USB transfer to a CameraError
+     *
+     * @param {Error} error - Error thrown by the WebUSB backend
+     * @param {string} method - RPC method being sent
+     * @returns {Error} CameraDisconnectedError for lost devices, otherwise the original error
+     * @private
+     */
+    _wrapTransferError(error, method) {
+        if (error instanceof CameraError || !USB_DISCONNECT_ERROR_NAMES.includes(error?.name)) {
+            return error;
+        }
+        return new CameraDisconnectedError(`Camera ${this.displayName} disconnected: ${error.message}`, {
+            cameraId: this.id,
+            method,
+            cause: error,
+        });
+    }
 
-        const decodedString = getStringFromU8A(rpcResponse).replace(/\x00/g, '').trim();
+    /**
+     * Takes a photo with this camera
+     *
+     * @param {Object} [options] - See transferOutRPC(); timeoutMs defaults to captureTimeoutMs
+     * @returns {Promise<Object>} Photo capture result
+     */
+    async takePhoto(options = {}) {
+        this._emit('captureStarted');
 
         try {
-            const res = JSON.parse(decodedString);
-            if (res.method === 'dxo_usb_flush_forced') {
-                return await this.transferInRPC();
-            } else {
-                return res;
-            }
-        } catch (e) {
-            console.log(`[${this.displayName}] Failed to parse:`, decodedString);
-            return null;
+            const result = await this.transferOutRPC('dxo_photo_take', undefined, {
+                timeoutMs: this.captureTimeoutMs,
+                ...options,
+            });
+            this._emit('captureComplete', { result });
+            return result;
+        } catch (error) {
+            this._emit('captureComplete', { error });
+            throw error;
         }
     }
 
     /**
-     * Sends an RPC command to the camera and returns the response
+     * Takes an exposure bracket (AEB) for an HDR set: one photo per value
      *
-     * @param {string} method - RPC method name
-     * @param {Object} [params] - RPC parameters
-     * @returns {Promise<Object>} RPC response
+     * Each step sets the value, waits for the camera to confirm it, then takes
+     * the photo. The first failure (or an aborted signal) ends the bracket;
+     * in every case the setting is put back to its value from before.
+     * exposure_time brackets only change the exposure in the shutter and
+     * manual shooting modes.
+     *
+     * @param {Object} [options] - Passed to setSetting() and takePhoto() (timeoutMs, signal), plus:
+     * @param {'ev_bias'|'exposure_time'} [options.type='ev_bias'] - Bracket the exposure
+     *        compensation or the shutter speed
+     * @param {number} [options.count=3] - Number of shots
+     * @param {number} [options.spacing=1] - EV between shots
+     * @param {string} [options.center] - Middle value (default: the current one)
+     * @param {'ascending'|'center-first'} [options.order='ascending'] - See getBracketValues() in settings.js
+     * @returns {Promise<BracketResult>} Also resolves when a shot fails; check status
+     * @throws {CameraSettingError} If the bracket does not fit the setting (nothing is changed)
      */
-    async transferOutRPC(method, params) {
-        // INV-DATA-003: Check connection state
-        if (!this.isConnected) {
-            throw new Error(`Camera ${this.displayName} not connected`);
+    async captureBracket(options = {}) {
+        const { type = 'ev_bias', count = 3, spacing = 1, order, center, ...commandOptions } = options;
+
+        const original = await this.getSetting(type, commandOptions);
+        let plan;
+        try {
+            plan = getBracketValues(type, center ?? original, { count, spacing, order });
+        } catch (error) {
+            error.cameraId = this.id;
+            throw error;
         }
 
-        await this.device.transferOut(this.outEndpoint, METADATA_INIT_RESPONSE_SIGNATURE);
+        const startedAt = new Date();
+        const set = {
+            id: `hdr-${startedAt.toISOString()}`,
+            kind: 'hdr',
+            type,
+            count,
+            spacing,
+            center: encodeSetting(type, center ?? original),
+            startedAt: startedAt.toISOString(),
+        };
+        const shots = plan.map(({ value, offset }, i) => ({ index: i + 1, value, offset }));
+
+        this._emit('bracketStarted', { set });
+        const { restored, error } = await this._captureSteps(
+            shots,
+            shot => this.setSetting(type, shot.value, commandOptions),
+            // Without the signal: an aborted bracket still restores the setting
+            () => this.setSetting(type, original, { timeoutMs: commandOptions.timeoutMs }),
+            commandOptions
+        );
+
+        const result = {
+            set,
+            cameraId: this.id,
+            cameraName: this.displayName,
+            status: error ? 'error' : 'success',
+            shots,
+            original,
+            restored,
+            error,
+        };
+        this._emit('bracketComplete', { result });
+        return result;
+    }
 
-        // INV-DATA-001: Use Uint8Array for all messages
-        const payload = new TextEncoder().encode(JSON.stringify({
-            "jsonrpc": "2.0",
-            "id": this.seq,
-            method,
-            ...(params ? { params } : {}),
-        }) + '\x00');
+    /**
+     * Takes a focus stack: one photo per manual focus distance, for focus stacking software
+     *
+     * Switches to manual focus (still_focusing_mode "mf"), then sets each
+     * mf_inv_distance from near to far and takes a photo. The first failure
+     * (or an aborted signal) ends the stack; in every case the focus mode and
+     * distance are put back to their values from before. Each shot records
+     * its distance.
+     *
+     * Distances are inverse, in 1/m: 0 is infinity, 2 is 50cm, 5 is 20cm.
+     *
+     * @param {Object} [options] - Passed to setSetting() and takePhoto() (timeoutMs, signal), plus:
+     * @param {number} [options.near=5] - Inverse distance of the nearest shot
+     * @param {number} [options.far=0] - Inverse distance of the farthest shot
+     * @param {number} [options.count] - Number of shots; by default just enough for the depths of
+     *        field at the current aperture to touch (with 'dof' spacing)
+     * @param {'dof'|'linear'} [options.spacing='dof'] - Even steps of inverse distance (constant depth
+     *        of field overlap) or of distance; see getFocusStackDistances() in settings.js
+     * @returns {Promise<FocusStackResult>} Also resolves when a shot fails; check status
+     * @throws {CameraSettingError} If the limits or options do not make a stack (nothing is changed)
+     */
+    async captureFocusStack(options = {}) {
+        const { near = 5, far = 0, count, spacing = 'dof', ...commandOptions } = options;
+
+        const originalMode = await this.getSetting('still_focusing_mode', commandOptions);
+        const originalDistance = this.getSettingsSnapshot().mf_inv_distance;
+        const aperture = parseFloat(this.getSettingsSnapshot().aperture) || undefined;
+        let plan;
+        try {
+            plan = getFocusStackDistances(near, far, { count, spacing, aperture });
+        } catch (error) {
+            error.cameraId = this.id;
+            throw error;
+        }
+
+        const startedAt = new Date();
+        const set = {
+            id: `focus-${startedAt.toISOString()}`,
+            kind: 'focus-stack',
+            near: plan[0].invDistance,
+            far: plan.at(-1).invDistance,
+            count: plan.length,
+            spacing,
+            aperture: aperture ?? null,
+            startedAt: startedAt.toISOString(),
+        };
+        const shots = plan.map((distance, i) => ({ index: i + 1, ...distance }));
+
+        this._emit('focusStackStarted', { set });
+        const { restored, error } = await this._captureSteps(
+            shots,
+            async shot => {
+                if (shot.index === 1) await this.setSetting('still_focusing_mode', 'mf', commandOptions);
+                await this.setSetting('mf_inv_distance', shot.param, commandOptions);
+            },
+            // Without the signal: an aborted stack still restores the focus
+            async () => {
+                const restoreOptions = { timeoutMs: commandOptions.timeoutMs };
+                try {
+                    if (originalDistance !== undefined) {
+                        await this.setSetting('mf_inv_distance', originalDistance, restoreOptions);
+                    }
+                } finally {
+                    await this.setSetting('still_focusing_mode', originalMode, restoreOptions);
+                }
+            },
+            commandOptions
+        );
+
+        const result = {
+            set,
+            cameraId: this.id,
+            cameraName: this.displayName,
+            status: error ? 'error' : 'success',
+            shots,
+            original: { still_focusing_mode: originalMode, mf_inv_distance: originalDistance ?? null },
+            restored,
+            error,
+        };
+        this._emit('focusStackComplete', { result });
+        return result;
+    }
 
-        this.seq++;
+    /**
+     * Takes a burst of photos, as fast as the camera accepts them
+     *
+     * Each dxo_photo_take is sent once the camera has answered the one before,
+     * so requests queue up without overlapping; with intervalMs, shot n is also
+     * not sent before n intervals after the first. A failed shot (e.g. the
+     * camera still busy writing) is dropped and the burst carries on; a
+     * disconnect or an aborted signal drops the remaining shots.
+     *
+     * @param {number} count - Number of shots
+     * @param {Object} [options] - Passed to takePhoto() (timeoutMs, signal), plus:
+     * @param {number} [options.intervalMs=0] - Minimum time between the starts of shots
+     * @returns {Promise<BurstResult>} Also resolves when shots are dropped; check status
+     * @throws {TypeError} If count or intervalMs is not usable (nothing is taken)
+     */
+    async burst(count, options = {}) {
+        const { intervalMs = 0, ...commandOptions } = options;
+        const { signal } = commandOptions;
+        if (!Number.isInteger(count) || count < 1) throw new TypeError('A burst needs a count of at least 1');
+        if (!(intervalMs >= 0)) throw new TypeError('A burst interval cannot be negative');
+
+        this._emit('burstStarted', { count, intervalMs });
 
-        const msgDetails = mergeU8A([
-            payload.length % (1 << 8),
-            Math.floor(payload.length / (1 << 8))
-        ], RPC_HEADER_TRAILER);
+        const shots = [];
+        let error = null;
+        const startTime = now();
 
-        const msgHeader = mergeU8A(RPC_HEADER, msgDetails);
-        const msgWhole = mergeU8A(msgHeader, payload);
+        for (let i = 0; i < count; i++) {
+            try {
+                if (signal?.aborted) throw getAbortReason(signal);
+                const wait = startTime + i * intervalMs - now();
+                if (wait > 0) await raceWithTimeout(sleep(wait), { signal });
+            } catch (e) {
+                error ??= e;
+                break;
+            }
 
-        await this.device.transferOut(this.outEndpoint, msgWhole);
+            const shot = { index: i + 1, requestedAt: now(), sentAt: null };
+            shots.push(shot);
+            try {
+                const result = await this.takePhoto({ ...commandOptions, onSent: time => { shot.sentAt = time; } });
+                Object.assign(shot, { status: 'success', receivedAt: now(), result });
+            } catch (e) {
+                Object.assign(shot, { status: 'error', receivedAt: now(), error: e });
+                error ??= e;
+            }
+            shot.latencyMs = shot.sentAt !== null ? shot.receivedAt - shot.sentAt : null;
 
-        return await this.transferInRPC();
+            if (shot.error instanceof CameraDisconnectedError || signal?.aborted) break;
+        }
+
+        const taken = shots.filter(shot => shot.status === 'success');
+        const latencies = taken.map(shot => shot.latencyMs);
+        const durationMs = shots.length > 0 ? shots.at(-1).receivedAt - shots[0].requestedAt : 0;
+        const result = {
+            cameraId: this.id,
+            cameraName: this.displayName,
+            status: taken.length === count ? 'success' : 'error',
+            count,
+            intervalMs,
+            taken: taken.length,
+            dropped: count - taken.length,
+            shots,
+            durationMs,
+            fps: durationMs > 0 ? taken.length * 1000 / durationMs : 0,
+            latencyMs: latencies.length > 0 ? {
+                min: Math.min(...latencies),
+                mean: latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length,
+                max: Math.max(...latencies),
+            } : null,
+            error,
+        };
+        this._emit('burstComplete', { result });
+        return result;
     }
 
     /**
-     * Takes a photo with this camera
+     * Takes one photo per step, then restores the settings the steps changed
      *
-     * @returns {Promise<Object>} Photo capture result
+     * @private
+     * @param {Object[]} shots - One record per step; status, timestamp and result or
+     *        error are filled in. Steps after a failure are removed
+     * @param {Function} prepare - async (shot) => applies the step's settings
+     * @param {Function} restore - async () => puts the settings back; always called
+     * @param {Object} options - takePhoto() options; an aborted signal fails the next step
+     * @returns {Promise<{restored: boolean, error: (Error|null)}>} error is the first failure,
+     *          or the restore failure
+     */
+    async _captureSteps(shots, prepare, restore, options) {
+        let error = null;
+
+        for (const [i, shot] of shots.entries()) {
+            shot.timestamp = now();
+            try {
+                if (options.signal?.aborted) throw getAbortReason(options.signal);
+                await prepare(shot);
+                Object.assign(shot, { status: 'success', result: await this.takePhoto(options) });
+            } catch (e) {
+                Object.assign(shot, { status: 'error', error: e });
+                error = e;
+                shots.splice(i + 1);
+                break;
+            }
+        }
+
+        const restored = await Promise.resolve().then(restore).then(() => true, e => {
+            error ??= e;
+            return false;
+        });
+        return { restored, error };
+    }
+
+    /**
+     * Returns the current value of a setting, asking the camera if it is not known yet
+     *
+     * @param {string} type - Setting type, e.g. "ev_bias"
+     * @param {Object} [options] - See getAllSettings()
+     * @returns {Promise<string>} The wire value
+     * @throws {CameraSettingError} If the camera does not report the setting
      */
-    async takePhoto() {
-        return await this.transferOutRPC('dxo_photo_take');
+    async getSetting(type, options = {}) {
+        let value = this.getSettingsSnapshot()[type];
+        if (value === undefined) {
+            await this.getAllSettings(options);
+            value = this.getSettingsSnapshot()[type];
+        }
+        if (value === undefined) {
+            throw new CameraSettingError(`Camera ${this.displayName} does not report its ${type} setting`, {
+                cameraId: this.id,
+                method: 'dxo_all_settings_get',
+                type,
+            });
+        }
+        return String(value);
     }
 
     /**
      * Gets all camera settings
      *
+     * @param {Object} [options] - See transferOutRPC()
      * @returns {Promise<Object>} Camera settings
      */
-    async getAllSettings() {
-        this.settings = await this.transferOutRPC('dxo_all_settings_get');
+    async getAllSettings(options = {}) {
+        this.settings = await this.transferOutRPC('dxo_all_settings_get', undefined, options);
         return this.settings;
     }
 
+    /**
+     * Changes a setting and waits for the camera to confirm it
+     *
+     * The value is validated against the settings schema (settings.js) before
+     * anything is sent; the promise resolves once the camera reports the
+     * setting with `dxo_setting_applied`.
+     *
+     * @param {string} type - Setting type, e.g. "iso" or "aperture"
+     * @param {*} value - Wire value or friendly name, e.g. "2.8" or "f2_8"
+     * @param {Object} [options] - See transferOutRPC(); timeoutMs also limits
+     *                             the wait for the confirmation
+     * @returns {Promise<string>} The param the camera reports as applied
+     * @throws {CameraSettingError} If the type or value is not allowed (nothing is sent)
+     * @throws {CameraTimeoutError} If the camera does not confirm in time
+     */
+    async setSetting(type, value, options = {}) {
+        const { timeoutMs = this.commandTimeoutMs, signal } = options;
+        const method = 'dxo_setting_set';
+
+        let param;
+        try {
+            param = encodeSetting(type, value);
+        } catch (error) {
+            error.cameraId = this.id;
+            error.method = method;
+            throw error;
+        }
+
+        // Listen before sending; the confirmation can arrive ahead of the reply
+        let onApplied;
+        const applied = new Promise(resolve => {
+            onApplied = event => {
+                if (event.detail.type === type) resolve(event.detail.param);
+            };
+            this.addEventListener('settingApplied', onApplied);
+        });
+
+        try {
+            // Failures here are recorded and reported by _sendCommand()
+            await this.transferOutRPC(method, { type, param }, options);
+
+            return await raceWithTimeout(applied, {
+                timeoutMs,
+                signal,
+                createTimeoutError: () => {
+                    const error = new CameraTimeoutError(
+                        `Camera ${this.displayName} did not confirm ${type} within ${timeoutMs}ms`,
+                        { cameraId: this.id, method, timeoutMs }
+                    );
+                    this.lastError = error;
+                    this._emit('error', { error, method });
+                    return error;
+                },
+            });
+        } finally {
+            this.removeEventListener('settingApplied', onApplied);
+        }
+    }
+
     /**
      * Gets camera status
      *
+     * @param {Object} [options] - See transferOutRPC()
      * @returns {Promise<Object>} Camera status
      */
-    async getStatus() {
-        this.status = await this.transferOutRPC('dxo_camera_status_get');
+    async getStatus(options = {}) {
+        this._updateStatus(await this.transferOutRPC('dxo_camera_status_get', undefined, options));
         return this.status;
     }
 
     /**
-     * Starts live view with a callback for each frame
+     * Focuses on an area given in camera coordinates
      *
-     * @param {Function} callback - Called with (url, revokeCallback) for each frame.
-     *                              Call revokeCallback() after using the URL to free memory.
+     * Use focusAt() to focus on a point of the displayed live view image.
+     *
+     * @param {number} x - Left edge of the area in live view pixels; origin is the bottom left corner
+     * @param {number} y - Bottom edge of the area
+     * @param {Object} [options] - See transferOutRPC(), plus:
+     * @param {number} [options.areaSize=256] - Side of the square focus area
+     * @returns {Promise<Object>} RPC response
      */
-    async startLiveView(callback) {
-        this.shouldStopLiveView = false;
-        this.isLiveViewActive = true;
+    async focus(x, y, options = {}) {
+        const { areaSize = DEFAULT_FOCUS_AREA_SIZE, ...rpcOptions } = options;
+        const size = Math.round(areaSize);
+        return this.transferOutRPC('dxo_tap_to_focus', { "param": `[${Math.round(x)},${Math.round(y)},${size},${size}]` }, rpcOptions);
+    }
 
-        await this.transferOutRPC('dxo_camera_mode_switch', { "param": 'view' });
-
-        do {
-            if (this.shouldStopLiveView) break;
-
-            let frame = await this.transferInJPEG() || new Uint8Array(0);
-            if (!frame || frame.length === 0) continue;
-
-            let foundHeaderIndex = this.lastJPEGFrame.indexOfMulti(JPG_HEADER);
-            // Only search for trailer if header was found (Bug fix: invalid offset)
-            let foundTrailerIndex = foundHeaderIndex >= 0
-                ? this.lastJPEGFrame.indexOfMulti(JPG_TRAILER, foundHeaderIndex + 1)
-                : -1;
-
-            // Bug fix: >= 0 instead of > 0 (header at index 0 is valid)
-            if (foundHeaderIndex >= 0 && foundTrailerIndex >= 0) {
-                this.lastJPEGFrame = this.lastJPEGFrame.slice(foundHeaderIndex, foundTrailerIndex + 2);
-                let blob = new Blob([this.lastJPEGFrame], { 'type': 'image/jpeg' });
-                let url = URL.createObjectURL(blob);
-                this.lastJPEGFrame = new Uint8Array(0);
-                // Bug fix: Pass URL revocation callback to prevent memory leak
-                callback(url, () => URL.revokeObjectURL(url));
-            } else {
-                let accumulatedJPEGFrame = this.lastJPEGFrame.slice();
-                const lastLength = this.lastJPEGFrame.length;
-
-                if (foundHeaderIndex > 0) {
-                    this.lastJPEGFrame = new Uint8Array(lastLength - foundHeaderIndex + frame.length);
-                    this.lastJPEGFrame.set(accumulatedJPEGFrame);
-                    this.lastJPEGFrame.set(frame, lastLength - foundHeaderIndex);
-                } else {
-                    this.lastJPEGFrame = new Uint8Array(lastLength + frame.length);
-                    this.lastJPEGFrame.set(accumulatedJPEGFrame);
-                    this.lastJPEGFrame.set(frame, lastLength);
+    /**
+     * Focuses on a point of the live view image (tap to focus)
+     *
+     * The point is converted to camera coordinates using the size of the last
+     * live view frame, so live view must have run. On success a
+     * 'focusChanged' event carries the area, e.g. for drawing it over the
+     * preview.
+     *
+     * @example
+     * // Click on an <img> showing live view
+     * const box = img.getBoundingClientRect();
+     * await camera.focusAt({ x: (e.clientX - box.left) / box.width, y: (e.clientY - box.top) / box.height });
+     *
+     * @param {{x: number, y: number}} point - Fractions (0-1) of the image width and height,
+     *        from the top left corner
+     * @param {Object} [options] - See transferOutRPC(), plus:
+     * @param {number} [options.areaSize=256] - Side of the square focus area in live view pixels
+     *        (reduced to fit the frame)
+     * @param {{width: number, height: number}} [options.frameSize] - Live view frame size
+     *        (default: that of the last frame received)
+     * @returns {Promise<{area: Object, rect: Object, result: Object}>} area: {x, y, size} as sent;
+     *          rect: {left, top, width, height} as fractions of the image from the top left; result:
+     *          the RPC response
+     * @throws {CameraError} If no live view frame has been received yet
+     * @throws {RangeError} If the point is outside the image
+     */
+    async focusAt(point, options = {}) {
+        const { areaSize = DEFAULT_FOCUS_AREA_SIZE, frameSize = this.liveViewFrameSize, ...rpcOptions } = options;
+        if (!frameSize) {
+            throw new CameraError(`No live view frame from ${this.displayName} yet; start live view to focus on a point`, {
+                cameraId: this.id,
+                method: 'dxo_tap_to_focus',
+            });
+        }
+
+        const { area, rect } = getFocusArea(point, frameSize, areaSize);
+        const result = await this.focus(area.x, area.y, { ...rpcOptions, areaSize: area.size });
+        this._emit('focusChanged', { point, area, rect, result });
+        return { area, rect, result };
+    }
+
+    /**
+     * Clears a tap-to-focus point (likely returns focus to the camera's choice)
+     *
+     * @param {Object} [options] - See transferOutRPC()
+     * @returns {Promise<Object>} RPC response
+     */
+    async flushFocus(options = {}) {
+        const result = await this.transferOutRPC('dxo_tap_to_focus', { "param": '[0,0,0,0]' }, options);
+        this._emit('focusChanged', { point: null, area: null, rect: null, result });
+        return result;
+    }
+
+    /**
+     * Sends a location for the camera to write into photo metadata
+     *
+     * @param {Object|GeolocationPosition|string} position - {latitude, longitude, heading, speed, time},
+     *        a GeolocationPosition from navigator.geolocation, or a preformatted param string
+     * @param {Object} [options] - See transferOutRPC()
+     * @returns {Promise<Object>} RPC response
+     * @throws {CameraError} If latitude / longitude are missing or out of range
+     */
+    async setGPSData(position, options = {}) {
+        let param;
+        try {
+            param = typeof position === 'string' ? position : formatGPSParam(position);
+        } catch (error) {
+            throw new CameraError(error.message, { cameraId: this.id, method: 'dxo_gps_data_set' });
+        }
+        return this.transferOutRPC('dxo_gps_data_set', { param }, options);
+    }
+
+    /**
+     * Puts the camera into its idle (sleep) mode
+     *
+     * @param {Object} [options] - See transferOutRPC()
+     * @returns {Promise<Object>} RPC response
+     */
+    async sleep(options = {}) {
+        return this.transferOutRPC('dxo_idle', undefined, options);
+    }
+
+    /**
+     * Gets the digital zoom factor
+     *
+     * @param {Object} [options] - See transferOutRPC()
+     * @returns {Promise<Object>} RPC response
+     */
+    async getDigitalZoom(options = {}) {
+        return this.transferOutRPC('dxo_digital_zoom_get', { "type": 'current' }, options);
+    }
+
+    /**
+     * Gets the path of the most recently written file on the SD card
+     *
+     * @param {Object} [options] - See transferOutRPC()
+     * @returns {Promise<Object>} RPC response
+     */
+    async getLastFilePath(options = {}) {
+        return this.transferOutRPC('dxo_fs_last_file_get', undefined, options);
+    }
+
+    /**
+     * Requests part of a file from the SD card
+     *
+     * The time limit covers the reply and the file data that follows it.
+     *
+     * @param {string} path - File path, as returned by getLastFilePath()
+     * @param {number} offset - First byte to fetch
+     * @param {number} fetchSize - Number of bytes to fetch
+     * @param {Object} [options] - See transferOutRPC()
+     * @returns {Promise<Object>} RPC response; `data` holds the bytes received (absent
+     *          at the end of the file) and `result.file_size` the size of the whole file
+     */
+    async fetchFile(path, offset, fetchSize, options = {}) {
+        return this.transferOutRPC('dxo_fs_last_file_get', { "param": path, offset, "fetch_size": fetchSize }, options);
+    }
+
+    /**
+     * Cancels a file transfer started with fetchFile()
+     *
+     * @param {Object} [options] - See transferOutRPC()
+     * @returns {Promise<Object>} RPC response
+     */
+    async cancelFileTransfer(options = {}) {
+        return this.transferOutRPC('dxo_fs_cancel_get', undefined, options);
+    }
+
+    /**
+     * Downloads a file from the SD card in chunks
+     *
+     * A chunk that times out or arrives garbled is requested again (up to
+     * `retries` times); after that the download stops with a
+     * CameraTransferError whose `offset` resumes it:
+     *
+     *     try {
+     *         await camera.downloadFile(path);
+     *     } catch (error) {
+     *         if (error instanceof CameraTransferError) {
+     *             await camera.downloadFile(path, { offset: error.offset, writer });
+     *         }
+     *     }
+     *
+     * Aborting through the signal sends dxo_fs_cancel_get and rejects with
+     * the abort reason.
+     *
+     * @param {string} path - File path, as returned by getLastFilePath()
+     * @param {Object} [options]
+     * @param {number} [options.offset=0] - First byte to download, to resume an earlier download
+     * @param {number} [options.chunkSize=65536] - Bytes requested per chunk
+     * @param {number} [options.retries=2] - Attempts per chunk after the first
+     * @param {{write: Function}} [options.writer] - Receives each chunk (write(bytes), may return
+     *        a promise) instead of keeping the file in memory, e.g. a file on disk under Node.js
+     *        or a WritableStream writer in browsers
+     * @param {'uint8array' | 'blob'} [options.as='uint8array'] - Type of `data` in the result
+     * @param {Function} [options.onProgress] - Called with {path, received, size} after each chunk;
+     *        received counts from the start of the file, size is null until the camera reports it
+     * @param {number} [options.timeoutMs] - Time limit per chunk (default: commandTimeoutMs)
+     * @param {AbortSignal} [options.signal] - Cancels the download
+     * @returns {Promise<{path: string, size: number, data: Uint8Array|Blob|null}>} data holds the
+     *          bytes from `offset` on, or is null when a writer was given
+     * @throws {CameraTransferError} If a chunk still fails after its retries
+     */
+    async downloadFile(path, options = {}) {
+        const {
+            offset: startOffset = 0,
+            chunkSize = DEFAULT_FILE_CHUNK_SIZE,
+            retries = DEFAULT_FILE_CHUNK_RETRIES,
+            writer = null,
+            as = 'uint8array',
+            onProgress,
+            timeoutMs,
+            signal,
+        } = options;
+
+        const chunks = [];
+        let offset = startOffset;
+        let size = null;
+        let attempts = 0;
+
+        while (size === null || offset < size) {
+            let response;
+            try {
+                response = await this.fetchFile(path, offset, chunkSize, { timeoutMs, signal });
+            } catch (error) {
+                if (signal?.aborted) {
+                    // Best effort: the camera may already have finished the chunk
+                    await this.cancelFileTransfer().catch(() => {});
+                    throw error;
                 }
 
-                foundHeaderIndex = this.lastJPEGFrame.indexOfMulti(JPG_HEADER);
-                // Only search for trailer if header was found (Bug fix: invalid offset)
-                foundTrailerIndex = foundHeaderIndex >= 0
-                    ? this.lastJPEGFrame.indexOfMulti(JPG_TRAILER, foundHeaderIndex + 1)
-                    : -1;
-
-                // Bug fix: >= 0 instead of > 0 (header at index 0 is valid)
-                if (foundHeaderIndex >= 0 && foundTrailerIndex >= 0) {
-                    this.lastJPEGFrame = this.lastJPEGFrame.slice(foundHeaderIndex, foundTrailerIndex + 2);
-                    let blob = new Blob([this.lastJPEGFrame], { 'type': 'image/jpeg' });
-                    let url = URL.createObjectURL(blob);
-                    this.lastJPEGFrame = new Uint8Array(0);
-                    // Bug fix: Pass URL revocation callback to prevent memory leak
-                    callback(url, () => URL.revokeObjectURL(url));
+                const isRetryable = error instanceof CameraTimeoutError || error instanceof CameraProtocolError;
+                if (isRetryable && attempts++ < retries) {
+                    console.warn(`[${this.displayName}] Retrying ${path} at byte ${offset}:`, error.message);
+                    continue;
                 }
+
+                throw new CameraTransferError(
+                    `Download of ${path} from ${this.displayName} stopped at byte ${offset}: ${error.message}`,
+                    {
+                        cameraId: this.id,
+                        method: 'dxo_fs_last_file_get',
+                        cause: error,
+                        path,
+                        offset,
+                        size,
+                        data: writer ? null : concatU8A(chunks),
+                    }
+                );
             }
-        } while (1);
 
+            attempts = 0;
+            size = response?.result?.file_size ?? size;
+
+            // No data: end of the file (or the camera does not report its size)
+            const data = response?.data;
+            if (!data || data.length === 0) break;
+
+            if (writer) await writer.write(data);
+            else chunks.push(data);
+
+            offset += data.length;
+            onProgress?.({ path, received: offset, size });
+        }
+
+        let data = null;
+        if (!writer) {
+            data = concatU8A(chunks);
+            if (as === 'blob') data = new Blob([data]);
+        }
+
+        return { path, size: size ?? offset, data };
+    }
+
+    /**
+     * Downloads the most recently written file (usually the last photo)
+     *
+     * @param {Object} [options] - See downloadFile()
+     * @returns {Promise<{path: string, size: number, data: Uint8Array|Blob|null}>}
+     * @throws {CameraError} If the camera has no file to download
+     */
+    async downloadLastFile(options = {}) {
+        const { timeoutMs, signal } = options;
+        const path = (await this.getLastFilePath({ timeoutMs, signal }))?.result?.path;
+        if (!path) {
+            throw new CameraError(`Camera ${this.displayName} has no file to download`, {
+                cameraId: this.id,
+                method: 'dxo_fs_last_file_get',
+            });
+        }
+
+        return this.downloadFile(path, options);
+    }
+
+    /**
+     * Starts live view with a callback for each frame
+     *
+     * Frames arrive through the shared reader, so commands can still be sent
+     * while live view runs.
+     *
+     * @param {Function|null} callback - Called with (url, revokeCallback, frame) for each frame.
+     *                              The URL is revoked when the next frame arrives or live view
+     *                              ends; call revokeCallback() to release it sooner.
+     *                              Under Node.js url is null and frame (JPEG bytes) is the data;
+     *                              pass null to consume 'liveViewFrame' events or
+     *                              liveViewFrames() only.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops live view when aborted
+     * @param {number} [options.frameTimeoutMs] - Stop if no frame arrives for this long
+     * @returns {Promise<void>} Resolves when stopped with stopLiveView(); rejects on
+     *                          abort, frame timeout or disconnect
+     */
+    async startLiveView(callback, options = {}) {
+        const { signal, frameTimeoutMs = this.commandTimeoutMs } = options;
+
+        this._endLiveView(null);
+        this.frameAssembler.reset();
+        this.liveViewCallback = callback;
+        this.isLiveViewActive = true;
+
+        const stopped = new Promise((resolve, reject) => {
+            this.liveViewSession = { resolve, reject, frameTimeoutMs, watchdog: null };
+        });
+        const session = this.liveViewSession;
+        // Handled below; avoids an unhandled rejection if we fail before awaiting it
+        stopped.catch(() => {});
+
+        const onAbort = () => this._endLiveView(getAbortReason(signal));
+        if (signal) {
+            if (signal.aborted) onAbort();
+            else signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            await this.transferOutRPC('dxo_camera_mode_switch', { "param": 'view' }, { signal });
+            if (this.liveViewSession === session) {
+                this._resetLiveViewWatchdog();
+                this._emit('liveViewStarted');
+            }
+            await stopped;
+        } catch (error) {
+            if (this.liveViewSession === session) this._endLiveView(null);
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Streams live view frames through an async iterator
+     *
+     * Starts live view unless it is already running. Only the newest frame is
+     * kept for a slow consumer; see LiveViewStream.js.
+     *
+     * @example
+     * for await (const frame of camera.liveViewFrames({ format: 'blob', maxFps: 10 })) {
+     *     show(frame.data);
+     * }
+     *
+     * @param {Object} [options]
+     * @param {'uint8array'|'blob'|'imagebitmap'} [options.format='uint8array'] - Type of frame.data
+     * @param {number} [options.maxFps] - Skip frames arriving faster than this
+     * @param {number} [options.maxBytesPerSecond] - Skip frames above this JPEG data rate
+     * @param {AbortSignal} [options.signal] - Ends the stream (and the live view it started)
+     * @param {number} [options.frameTimeoutMs] - See startLiveView()
+     * @returns {LiveViewStream} Async iterable of frames, with running `stats`
+     * @throws {TypeError} If the format is unknown or unavailable here
+     */
+    liveViewFrames(options = {}) {
+        return new LiveViewStream(this, options);
+    }
+
+    /**
+     * Assembles live view data into frames and hands them to the callback
+     *
+     * @param {Uint8Array} fragment - Live view JPEG data
+     * @private
+     */
+    _handleLiveViewData(fragment) {
+        const malformedBefore = this.frameAssembler.malformedFrames;
+        const frames = this.frameAssembler.push(fragment);
+        const malformed = this.frameAssembler.malformedFrames - malformedBefore;
+        if (malformed > 0) this._emit('liveViewMalformedFrame', { count: malformed });
+
+        for (const frame of frames) {
+            this._resetLiveViewWatchdog();
+            this.liveViewFrameSize = getJPEGSize(frame) ?? this.liveViewFrameSize;
+            this._emit('liveViewFrame', { frame });
+
+            if (!this.liveViewCallback) continue;
+
+            // Bug fix: one object URL alive at a time, so long previews do not leak
+            this._revokeLastFrameURL();
+            const frameURL = createFrameURL(frame);
+            this.revokeLastFrameURL = frameURL?.revoke ?? null;
+            this.liveViewCallback(frameURL?.url ?? null, frameURL?.revoke ?? (() => {}), frame);
+        }
+    }
+
+    /**
+     * Releases the object URL handed out with the last frame
+     *
+     * @private
+     */
+    _revokeLastFrameURL() {
+        if (this.revokeLastFrameURL) this.revokeLastFrameURL();
+        this.revokeLastFrameURL = null;
+    }
+
+    /**
+     * Restarts the "no frame received" timer of the running live view
+     *
+     * @private
+     */
+    _resetLiveViewWatchdog() {
+        const session = this.liveViewSession;
+        if (!session) return;
+
+        clearTimeout(session.watchdog);
+        const { frameTimeoutMs } = session;
+        if (!(frameTimeoutMs > 0 && frameTimeoutMs !== Infinity)) return;
+
+        session.watchdog = setTimeout(() => {
+            this._endLiveView(new CameraTimeoutError(
+                `No live view frame from ${this.displayName} within ${frameTimeoutMs}ms`,
+                { cameraId: this.id, method: 'dxo_camera_mode_switch', timeoutMs: frameTimeoutMs }
+            ));
+        }, frameTimeoutMs);
+    }
+
+    /**
+     * Ends the running live view session
+     *
+     * @param {Error|null} error - Rejects startLiveView() with this, or resolves it if null
+     * @private
+     */
+    _endLiveView(error) {
+        this.liveViewCallback = null;
         this.isLiveViewActive = false;
+        this._revokeLastFrameURL();
+
+        const session = this.liveViewSession;
+        if (!session) return;
+
+        this.liveViewSession = null;
+        clearTimeout(session.watchdog);
+        if (error) session.reject(error);
+        else session.resolve();
+
+        this._emit('liveViewStopped', { error });
     }
 
     /**
      * Stops live view
      */
     stopLiveView() {
-        this.shouldStopLiveView = true;
+        this._endLiveView(null);
     }
 
     /**
@@ -410,17 +1724,28 @@ export class CameraDevice {
      * @returns {Promise<void>}
      */
     async close() {
-        this.shouldStopLiveView = true;
-        this.isLiveViewActive = false;
+        this.stopLiveView();
+
+        // INV-DATA-003: Update state on disconnect (also stops the reader)
+        this.markDisconnected(null);
 
         try {
             await this.device.close();
         } catch (error) {
             console.warn(`Error closing camera ${this.displayName}:`, error);
         }
+    }
 
-        // INV-DATA-003: Update state on disconnect
-        this.isConnected = false;
+    /**
+     * Returns the settings as last known, without asking the camera
+     *
+     * The dxo_all_settings_get result from initialize() / getAllSettings(),
+     * updated with every setting the camera confirmed since.
+     *
+     * @returns {Object} Setting type -> value
+     */
+    getSettingsSnapshot() {
+        return { ...(this.settings?.result || {}), ...Object.fromEntries(this.appliedSettings) };
     }
 
     /**
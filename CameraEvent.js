@@ -0,0 +1,87 @@
+/*
+    CameraEvent.js - Event type dispatched by the camera classes and their helpers
+    https://github.com/jsyang/dxo1control
+
+    Both classes are EventTargets; subscribe with addEventListener():
+
+        camera.addEventListener('batteryChanged', e => show(e.detail.batteryLevel));
+        manager.addEventListener('captureComplete', e => log(e.detail.results));
+
+    Every event carries a `detail` object, like CustomEvent (which is not a
+    global in every Node version we support).
+*/
+
+/**
+ * CameraDevice events (detail.camera is always the source camera):
+ * - 'connected'       - USB session established
+ * - 'initialized'     - initial status and settings fetched
+ * - 'disconnected'    - closed or unplugged; detail.error is set when unexpected
+ * - 'error'           - a command failed; detail.error
+ * - 'notification'    - any unsolicited camera message; detail.notification
+ * - 'settingApplied'  - camera confirmed a setting; detail.type, detail.param
+ * - 'statusChanged'   - detail.status (the dxo_camera_status_get response)
+ * - 'batteryChanged'  - detail.batteryLevel, detail.previousBatteryLevel
+ * - 'liveViewStarted' / 'liveViewStopped' (detail.error if it ended abnormally)
+ * - 'liveViewFrame'   - detail.frame (Uint8Array JPEG)
+ * - 'liveViewMalformedFrame' - live view data outside any frame was discarded; detail.count
+ * - 'captureStarted' / 'captureComplete' - detail.result or detail.error
+ * - 'bracketStarted' / 'bracketComplete' - captureBracket(); detail.set, then detail.result
+ * - 'focusStackStarted' / 'focusStackComplete' - captureFocusStack(); detail.set, then detail.result
+ * - 'burstStarted' / 'burstComplete' - burst(); detail.count, detail.intervalMs, then detail.result
+ *                       (each shot also fires captureStarted / captureComplete)
+ * - 'focusChanged'    - focusAt() succeeded: detail.point, detail.area (camera coordinates),
+ *                       detail.rect (fractions of the image), detail.result; all null but result
+ *                       after flushFocus()
+ *
+ * CameraManager events - every CameraDevice event above except connected,
+ * disconnected and the captureStarted / captureComplete, bracketStarted / bracketComplete,
+ * focusStackStarted / focusStackComplete and burstStarted / burstComplete pairs is
+ * re-dispatched as is; plus:
+ * - 'connected' / 'disconnected' - detail.camera (added to / removed from the manager)
+ * - 'camerasChanged' - detail.cameras (state objects, as for onCameraChange)
+ * - 'captureStarted' - detail.cameras; 'captureComplete' - detail.results, detail.totalTime,
+ *   detail.shot (the ShotRecord added to manager.session)
+ * - 'bracketStarted' - captureBracketAll(); detail.set, detail.cameras; 'bracketComplete' - detail.result
+ * - 'focusStackStarted' - captureFocusStackAll(); detail.set, detail.cameras; 'focusStackComplete' - detail.result
+ * - 'burstStarted' - burstAll(); detail.count, detail.intervalMs, detail.cameras; 'burstComplete' - detail.result
+ * - 'reconnecting' - a dropped camera will be retried; detail.camera, detail.attempt, detail.delayMs
+ * - 'reconnected' - session restored; detail.camera, detail.attempts, detail.failedSettings
+ * - 'reconnectFailed' - gave up (followed by 'disconnected'); detail.camera, detail.error, detail.attempts
+ *
+ * TetheredCapture events (detail.camera is the camera that took the photo):
+ * - 'downloadProgress' - detail.remotePath, detail.received, detail.size
+ * - 'fileReady' - detail.path, detail.remotePath, detail.size, detail.shot, detail.captureResult
+ * - 'downloadFailed' - detail.error, detail.remotePath, detail.shot, detail.captureResult
+ *
+ * LiveViewAnalyzer events (detail.camera is the analyzed camera):
+ * - 'analysis' - detail.analysis (histogram, clipping, focus), detail.overlay (ImageBitmap or null),
+ *   detail.frameIndex
+ * - 'stopped' - analysis ended; detail.error if live view or the worker failed
+ *
+ * LiveViewRecorder events (detail.camera is the recorded camera):
+ * - 'frameRecorded' - detail.frames, detail.bytes, detail.durationMs (totals so far)
+ * - 'stopped' - recording finished; detail.reason, detail.error, detail.summary
+ *
+ * LiveViewMediaStream events (detail.camera is the camera shown):
+ * - 'recordingStarted' - detail.mimeType
+ * - 'recordingStopped' - detail.blob (WebM), detail.durationMs
+ * - 'stopped' - the MediaStream ended; detail.error if live view failed
+ *
+ * @typedef {string} CameraEventType
+ */
+
+/**
+ * CameraEvent - Event with a `detail` payload
+ */
+export class CameraEvent extends Event {
+    /**
+     * @param {CameraEventType} type - Event name
+     * @param {Object} [detail] - Event payload
+     */
+    constructor(type, detail = {}) {
+        super(type);
+        this.detail = detail;
+    }
+}
+
+export default CameraEvent;
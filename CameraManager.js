@@ -11,6 +11,11 @@
 */
 
 import { CameraDevice } from './CameraDevice.js';
+import { CameraEvent } from './CameraEvent.js';
+import { CaptureSession } from './CaptureSession.js';
+import { CameraDisconnectedError, getAbortReason } from './errors.js';
+import { encodeSetting, getBracketValues, getFocusStackDistances } from './settings.js';
+import { getDefaultUSBBackend, now } from './platform.js';
 
 // INV-MULTI-002: Maximum camera limit (prevents resource exhaustion)
 const MAX_CAMERAS = 4;
@@ -19,9 +24,65 @@ const MAX_CAMERAS = 4;
 // INV-SEC-001: Only connect to verified DXO One vendor ID
 const PARAMS_DEVICE_REQUEST = { filters: [{ vendorId: 0x2b8f }] };
 
-const ERROR_WEBUSB_API_NOT_SUPPORTED = 'Sorry, your browser / JS environment does not support WebUSB!\nTry running this in Chrome.';
+// CameraDevice events re-dispatched by the manager (detail.camera identifies the source).
+// connected/disconnected/captureStarted/captureComplete are not forwarded: the manager
+// dispatches its own events with those names.
+const FORWARDED_CAMERA_EVENTS = [
+    'initialized',
+    'error',
+    'notification',
+    'settingApplied',
+    'statusChanged',
+    'batteryChanged',
+    'liveViewStarted',
+    'liveViewStopped',
+    'liveViewFrame',
+    'liveViewMalformedFrame',
+    'focusChanged',
+];
+
+// Reconnect policy for cameras that drop off USB (see CameraManager options.reconnect)
+const DEFAULT_RECONNECT_POLICY = {
+    initialDelayMs: 500,
+    maxDelayMs: 10000,
+    backoffFactor: 2,
+    maxAttempts: 10,
+    giveUpAfterMs: 120000,
+};
+
+// Latency compensation (see measureLatency()): status round trips for a first
+// estimate, weight of each new round trip in the running estimate, and how old an
+// estimate may get before a capture refreshes it with another sample
+const LATENCY_SAMPLES = 5;
+const LATENCY_SMOOTHING = 0.3;
+const LATENCY_MAX_AGE_MS = 10000;
+
+const ERROR_WEBUSB_API_NOT_SUPPORTED = 'Sorry, your browser / JS environment does not support WebUSB!\nTry running this in Chrome, or pass a usbBackend (e.g. createNodeUSBBackend() under Node.js).';
 const ERROR_MAX_CAMERAS_REACHED = `Maximum ${MAX_CAMERAS} cameras supported. Disconnect a camera to add another.`;
 
+/**
+ * Waits ms milliseconds, or rejects with the signal's reason once it is aborted
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleepUnlessAborted(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(getAbortReason(signal));
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(getAbortReason(signal));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
 /**
  * Sync mode for multi-camera capture operations
  * @typedef {'parallel' | 'sequential'} SyncMode
@@ -33,9 +94,82 @@ const ERROR_MAX_CAMERAS_REACHED = `Maximum ${MAX_CAMERAS} cameras supported. Dis
  * @property {string} cameraId - ID of the camera
  * @property {string} cameraName - Display name of the camera
  * @property {'success' | 'error'} status - Result status
- * @property {number} timestamp - When the capture completed
+ * @property {number} timestamp - When the capture was requested (now())
+ * @property {number|null} sentAt - When dxo_photo_take went out (now()), null if it never did
+ * @property {number} receivedAt - When the camera answered or the capture failed (now())
+ * @property {number} dispatchDelayMs - How long dxo_photo_take was held back so the shutters
+ *           fire together (latency compensation); 0 for the slowest camera and in sequential mode
+ * @property {number|null} estimatedLatencyMs - Estimated time from sentAt to the shutter firing
+ *           (half the camera's status round trip), null if the camera has no estimate
+ * @property {number|null} triggerAt - Estimated shutter time (now()): sentAt plus estimatedLatencyMs
+ *           (or sentAt alone without an estimate); null if the command never went out
+ * @property {number|null} triggerSkewMs - triggerAt after the earliest triggerAt of the shot;
+ *           0 for the first camera to fire, null if the command never went out
  * @property {Object} [result] - Camera response on success
- * @property {string} [error] - Error message on failure
+ * @property {CameraError|Error} [error] - Error on failure; check the class
+ *           (CameraTimeoutError, CameraRPCError, ...) or `error.name` for the kind
+ */
+
+/**
+ * Running estimate of a camera's command round trip (see CameraManager.measureLatency())
+ * @typedef {Object} LatencyEstimate
+ * @property {number} roundTripMs - Exponentially smoothed dxo_camera_status_get round trip
+ * @property {number} lastRoundTripMs - The latest sample
+ * @property {number} samples - Round trips measured so far
+ * @property {number} measuredAt - When the latest sample was taken (now())
+ */
+
+/**
+ * Outcome of CameraManager.captureBracketAll()
+ * @typedef {Object} BracketSetResult
+ * @property {{id: string, kind: 'hdr', type: string, count: number, spacing: number, center: (string|null), startedAt: string}} set -
+ *           Identifies the shots as one HDR set; center is null when each camera brackets its own value
+ * @property {'success' | 'error'} status - 'success' if every step succeeded on every camera and
+ *           all settings were restored
+ * @property {Array<{index: number, shot: (number|null), settings: Array, results: CaptureResult[]}>} steps -
+ *           Steps attempted: the setSetting() result of each camera, then the captureAll() results (each with
+ *           the camera's `value` and `offset` in EV) and the session shot number; a failed setting skips the capture
+ * @property {Array} restored - Restoring each camera's original value; result is that value
+ * @property {CameraError|Error|null} error - First failure
+ */
+
+/**
+ * Outcome of CameraManager.captureFocusStackAll()
+ * @typedef {Object} FocusStackSetResult
+ * @property {Object} set - As FocusStackResult.set (see CameraDevice.js)
+ * @property {'success' | 'error'} status - 'success' if every step succeeded on every camera and
+ *           all focus settings were restored
+ * @property {Array<{index: number, shot: (number|null), settings: Array, results: CaptureResult[]}>} steps -
+ *           As for BracketSetResult; each CaptureResult also has the step's invDistance, distanceM and param
+ * @property {Array} restored - Restoring each camera's focus; result is its original
+ *           {still_focusing_mode, mf_inv_distance}
+ * @property {CameraError|Error|null} error - First failure
+ */
+
+/**
+ * Outcome of CameraManager.burstAll()
+ * @typedef {Object} BurstSetResult
+ * @property {'success' | 'error'} status - 'success' if every camera took every shot
+ * @property {number} count - Shots asked of each camera
+ * @property {number} intervalMs
+ * @property {BurstResult[]} results - Each camera's burst (see CameraDevice.js)
+ * @property {number} taken - Shots taken, all cameras together
+ * @property {number} dropped - Shots dropped, all cameras together
+ * @property {number} durationMs - From the first request on any camera to the last answer
+ * @property {number} fps - Shots taken per second of durationMs, all cameras together
+ * @property {CameraError|Error|null} error - First failure on any camera
+ */
+
+/**
+ * Reconnect policy; delays grow from initialDelayMs by backoffFactor up to maxDelayMs.
+ * The camera is dropped from the manager after maxAttempts failed attempts or
+ * giveUpAfterMs without success, whichever comes first (null disables either limit).
+ * @typedef {Object} ReconnectPolicy
+ * @property {number} [initialDelayMs=500] - Wait before the first attempt
+ * @property {number} [maxDelayMs=10000] - Longest wait between attempts
+ * @property {number} [backoffFactor=2] - Multiplier applied after each failed attempt
+ * @property {number|null} [maxAttempts=10] - Attempts before giving up
+ * @property {number|null} [giveUpAfterMs=120000] - Time since the drop before giving up
  */
 
 /**
@@ -45,7 +179,8 @@ const ERROR_MAX_CAMERAS_REACHED = `Maximum ${MAX_CAMERAS} cameras supported. Dis
  * - Connection management for up to 4 cameras
  * - Synchronized capture across all cameras
  * - Per-camera state tracking
- * - Event callbacks for state changes
+ * - Automatic reconnect (matched by serial number) when a camera drops off USB
+ * - Events for state changes (see CameraEvent.js), plus the legacy callbacks
  *
  * @example
  * const manager = new CameraManager();
@@ -53,34 +188,80 @@ const ERROR_MAX_CAMERAS_REACHED = `Maximum ${MAX_CAMERAS} cameras supported. Dis
  * await manager.connectCamera();
  * const results = await manager.captureAll();
  * console.log(`Captured on ${results.filter(r => r.status === 'success').length} cameras`);
+ *
+ * manager.addEventListener('batteryChanged', e => {
+ *     console.log(`${e.detail.camera.displayName}: ${e.detail.batteryLevel}%`);
+ * });
  */
-export class CameraManager {
+export class CameraManager extends EventTarget {
     /**
      * Creates a new CameraManager instance
      *
      * @param {Object} [options] - Configuration options
-     * @param {Object} [options.usbBackend=navigator.usb] - WebUSB backend (for testing)
+     * @param {Object} [options.usbBackend=navigator.usb] - WebUSB backend (node-usb under
+     *        Node.js, see nodeusb.js; VirtualUSB for testing)
      * @param {Function} [options.onCameraChange] - Callback when camera list changes
      * @param {Function} [options.onCaptureComplete] - Callback when capture completes
+     * @param {Function} [options.onReconnect] - Callback (cameraState, 'reconnecting' | 'reconnected' | 'failed')
+     * @param {ReconnectPolicy|false} [options.reconnect] - Reconnect policy, or false to
+     *        drop unplugged cameras immediately
+     * @param {number} [options.commandTimeoutMs] - Per-command time limit for each camera
+     * @param {number} [options.captureTimeoutMs] - Time limit for each takePhoto()
+     * @param {number} [options.initTimeoutMs] - Time limit for each camera's init handshake
+     * @param {string} [options.sessionName] - Name of the initial capture session
+     * @param {boolean} [options.latencyCompensation=true] - In parallel mode, hold back
+     *        dxo_photo_take to cameras that answer faster so the shutters fire together
      */
     constructor(options = {}) {
+        super();
+
         // INV-CONS-001: Check WebUSB availability
-        this.usbBackend = options.usbBackend || (typeof navigator !== 'undefined' ? navigator.usb : null);
+        this.usbBackend = options.usbBackend || getDefaultUSBBackend();
+
+        // Time limits passed to every CameraDevice (undefined keeps its defaults)
+        this.cameraOptions = {
+            commandTimeoutMs: options.commandTimeoutMs,
+            captureTimeoutMs: options.captureTimeoutMs,
+            initTimeoutMs: options.initTimeoutMs,
+        };
 
         // Camera storage - Map of cameraId -> CameraDevice
         this.cameras = new Map();
 
+        // Map of cameraId -> listener re-dispatching that camera's events
+        this.cameraEventForwarders = new Map();
+
+        // Map of cameraId -> { attempt, startedAt, timer, inFlight } for cameras being reconnected
+        this.reconnectStates = new Map();
+        this.reconnectPolicy = options.reconnect === false
+            ? null
+            : { ...DEFAULT_RECONNECT_POLICY, ...options.reconnect };
+
         // Sync mode for capture operations
         this.syncMode = 'parallel';
 
+        // Map of cameraId -> LatencyEstimate, for latency compensated parallel capture
+        this.latencyCompensation = options.latencyCompensation ?? true;
+        this.latencyEstimates = new Map();
+
+        // Map of cameraId -> { stopped, done } for background measurements in progress (see _refreshLatency())
+        this.latencyRefreshes = new Map();
+
+        // Manifest of every captureAll() (see CaptureSession.js)
+        this.session = new CaptureSession({ name: options.sessionName });
+
         // Callbacks
         this.onCameraChange = options.onCameraChange || (() => {});
         this.onCaptureComplete = options.onCaptureComplete || (() => {});
+        this.onReconnect = options.onReconnect || (() => {});
 
-        // Bind disconnect handler and store reference for cleanup (Bug fix: memory leak)
+        // Bind USB handlers and store references for cleanup (Bug fix: memory leak)
         this._boundDisconnectHandler = this._handleDisconnect.bind(this);
+        this._boundConnectHandler = this._handleConnect.bind(this);
+        this._boundCameraDisconnectedHandler = this._handleCameraDisconnected.bind(this);
         if (this.usbBackend) {
             this.usbBackend.addEventListener('disconnect', this._boundDisconnectHandler);
+            this.usbBackend.addEventListener('connect', this._boundConnectHandler);
         }
     }
 
@@ -96,6 +277,7 @@ export class CameraManager {
         // Remove USB disconnect listener (Bug fix: prevent memory leak)
         if (this.usbBackend && this._boundDisconnectHandler) {
             this.usbBackend.removeEventListener('disconnect', this._boundDisconnectHandler);
+            this.usbBackend.removeEventListener('connect', this._boundConnectHandler);
         }
 
         // Disconnect all cameras
@@ -126,7 +308,10 @@ export class CameraManager {
      * @returns {Object[]} Array of camera state objects
      */
     getAllCameraStates() {
-        return this.connectedCameras.map(camera => camera.getState());
+        return this.connectedCameras.map(camera => ({
+            ...camera.getState(),
+            isReconnecting: this.reconnectStates.has(camera.id),
+        }));
     }
 
     /**
@@ -145,10 +330,12 @@ export class CameraManager {
      * Each camera requires explicit user permission (INV-SEC-002).
      *
      * @param {string} [nickname] - Optional user-friendly name for the camera
+     * @param {Object} [options]
+     * @param {string} [options.serialNumber] - Only offer the camera with this serial number
      * @returns {Promise<CameraDevice>} The connected camera device
      * @throws {Error} If WebUSB not available, max cameras reached, or connection fails
      */
-    async connectCamera(nickname = null) {
+    async connectCamera(nickname = null, options = {}) {
         // INV-CONS-001: Check WebUSB availability
         if (!this.isWebUSBAvailable()) {
             throw new Error(ERROR_WEBUSB_API_NOT_SUPPORTED);
@@ -161,7 +348,9 @@ export class CameraManager {
 
         try {
             // INV-SEC-002: User permission required (handled by WebUSB API)
-            const device = await this.usbBackend.requestDevice(PARAMS_DEVICE_REQUEST);
+            const device = await this.usbBackend.requestDevice(options.serialNumber
+                ? { filters: PARAMS_DEVICE_REQUEST.filters.map(f => ({ ...f, serialNumber: options.serialNumber })) }
+                : PARAMS_DEVICE_REQUEST);
 
             // Check if this device is already connected
             // Use serial number for identification, or fallback to vendor-product ID
@@ -177,11 +366,13 @@ export class CameraManager {
             }
 
             // Create and initialize the camera device
-            const camera = new CameraDevice(device, nickname);
+            const camera = new CameraDevice(device, nickname, this.cameraOptions);
             await camera.initialize();
 
             // Store the camera
-            this.cameras.set(camera.id, camera);
+            this._addCamera(camera);
+            this._emit('connected', { camera });
+            this._refreshLatency([camera]);
 
             // Notify listeners
             this._notifyCameraChange();
@@ -216,7 +407,8 @@ export class CameraManager {
             console.warn(`Error disconnecting camera ${cameraId}:`, error);
         }
 
-        this.cameras.delete(cameraId);
+        this._removeCamera(camera);
+        this._emit('disconnected', { camera });
         this._notifyCameraChange();
 
         return true;
@@ -228,12 +420,16 @@ export class CameraManager {
      * @returns {Promise<void>}
      */
     async disconnectAll() {
-        const disconnectPromises = Array.from(this.cameras.values()).map(camera =>
+        const cameras = this.connectedCameras;
+        const disconnectPromises = cameras.map(camera =>
             camera.close().catch(err => console.warn(`Error closing camera:`, err))
         );
 
         await Promise.all(disconnectPromises);
-        this.cameras.clear();
+        for (const camera of cameras) {
+            this._removeCamera(camera);
+            this._emit('disconnected', { camera });
+        }
         this._notifyCameraChange();
     }
 
@@ -276,6 +472,17 @@ export class CameraManager {
         this.syncMode = mode;
     }
 
+    /**
+     * Starts a new capture session; later captureAll() calls are recorded in it
+     *
+     * @param {string} [name] - Session name
+     * @returns {CaptureSession} The new session (also `manager.session`)
+     */
+    startSession(name) {
+        this.session = new CaptureSession({ name });
+        return this.session;
+    }
+
     /**
      * Captures a photo on all connected cameras
      *
@@ -283,108 +490,569 @@ export class CameraManager {
      * - 'parallel': Captures on all cameras simultaneously (best effort ~50ms)
      * - 'sequential': Captures one camera at a time (slower but more reliable)
      *
+     * In parallel mode with latencyCompensation, dxo_photo_take goes out to the
+     * camera with the slowest estimated command round trip first and to the
+     * others later by the difference, so the estimated shutter times line up.
+     * The estimates (see measureLatency()) are taken in the background after a
+     * camera connects and refreshed after a capture once older than 10s; a
+     * capture first stops a measurement still running and waits for its round
+     * trip in flight, so no status command is queued ahead of a shutter. A
+     * camera without an estimate yet is fired without a delay. Each
+     * CaptureResult has the estimated trigger time and skew.
+     *
+     * A camera that stops responding fails with CameraTimeoutError instead of
+     * blocking the other results.
+     *
+     * Every call is recorded as a shot in `session` (see CaptureSession.js); the
+     * 'captureComplete' event carries it as detail.shot.
+     *
+     * @param {Object} [options] - Passed to each CameraDevice.takePhoto()
+     * @param {number} [options.timeoutMs] - Per-camera time limit
+     * @param {AbortSignal} [options.signal] - Cancels captures not yet completed
      * @returns {Promise<CaptureResult[]>} Results for each camera
      */
-    async captureAll() {
+    async captureAll(options = {}) {
         if (this.cameras.size === 0) {
             return [];
         }
 
-        const startTime = performance.now();
+        const { results } = await this._capture(options);
+        return results;
+    }
 
-        const results = this.syncMode === 'parallel'
-            ? await this._captureParallel()
-            : await this._captureSequential();
+    /**
+     * Measures each camera's command round trip, for latency compensated capture
+     *
+     * Sends dxo_camera_status_get `samples` times to every camera in turn and
+     * folds each round trip (command sent to reply) into the camera's running
+     * estimate in `latencyEstimates`. The manager already does this in the
+     * background after connecting and after captures; call it to wait for a
+     * first estimate, e.g. before a shot right after connecting.
+     *
+     * @param {Object} [options] - Passed to each CameraDevice.getStatus() (timeoutMs, signal), plus:
+     * @param {number} [options.samples=5] - Round trips per camera
+     * @returns {Promise<Array>} Results from all cameras; result is the camera's LatencyEstimate
+     */
+    async measureLatency(options = {}) {
+        const { samples = LATENCY_SAMPLES, ...commandOptions } = options;
+        return this._applyToAll(camera => this._measureCameraLatency(camera, samples, commandOptions));
+    }
+
+    /**
+     * Takes a burst on all connected cameras
+     *
+     * Every camera runs its own CameraDevice.burst() at the same time, firing as
+     * fast as it accepts dxo_photo_take, whatever the sync mode; the cameras'
+     * shots are not lined up with each other. Burst shots are not recorded in
+     * `session` (a TetheredCapture still downloads them, slowing the burst).
+     *
+     * @param {number} count - Shots per camera
+     * @param {Object} [options] - See CameraDevice.burst()
+     * @returns {Promise<BurstSetResult|null>} null if no camera is connected
+     * @throws {TypeError} If count or intervalMs is not usable (nothing is taken)
+     */
+    async burstAll(count, options = {}) {
+        const { intervalMs = 0 } = options;
+        if (!Number.isInteger(count) || count < 1) throw new TypeError('A burst needs a count of at least 1');
+        if (!(intervalMs >= 0)) throw new TypeError('A burst interval cannot be negative');
+
+        const cameras = this.connectedCameras;
+        if (cameras.length === 0) return null;
+
+        this._emit('burstStarted', { count, intervalMs, cameras });
 
-        const totalTime = performance.now() - startTime;
+        // burst() only rejects for bad arguments, which were checked above
+        const results = await Promise.all(cameras.map(camera => camera.burst(count, options)));
+        const shots = results.flatMap(burst => burst.shots);
+        const taken = results.reduce((sum, burst) => sum + burst.taken, 0);
+        const durationMs = shots.length > 0
+            ? Math.max(...shots.map(shot => shot.receivedAt)) - Math.min(...shots.map(shot => shot.requestedAt))
+            : 0;
+
+        const result = {
+            status: results.every(burst => burst.status === 'success') ? 'success' : 'error',
+            count,
+            intervalMs,
+            results,
+            taken,
+            dropped: count * cameras.length - taken,
+            durationMs,
+            fps: durationMs > 0 ? taken * 1000 / durationMs : 0,
+            error: results.find(burst => burst.error)?.error ?? null,
+        };
+        this._emit('burstComplete', { result });
+        return result;
+    }
+
+    /**
+     * Takes a focus stack on all connected cameras
+     *
+     * Like CameraDevice.captureFocusStack(), with every step fired on all
+     * cameras together as a captureAll(), so every step is a shot in
+     * `session`. All cameras focus at the same distances; without a count,
+     * there are enough shots for the widest aperture among them. A failure on
+     * any camera ends the stack after that step; every camera's focus mode and
+     * distance are then restored, also when a step throws. A camera connected
+     * while the stack runs is neither focused nor fired.
+     *
+     * @param {Object} [options] - See CameraDevice.captureFocusStack()
+     * @returns {Promise<FocusStackSetResult|null>} null if no camera is connected
+     * @throws {CameraSettingError} If the limits or options do not make a stack (nothing is changed)
+     */
+    async captureFocusStackAll(options = {}) {
+        const { near = 5, far = 0, count, spacing = 'dof', ...commandOptions } = options;
+        const cameras = this.connectedCameras;
+        if (cameras.length === 0) return null;
+
+        const originals = new Map();
+        for (const camera of cameras) {
+            originals.set(camera.id, {
+                still_focusing_mode: await camera.getSetting('still_focusing_mode', commandOptions),
+                mf_inv_distance: camera.getSettingsSnapshot().mf_inv_distance ?? null,
+            });
+        }
+        const apertures = cameras.map(camera => parseFloat(camera.getSettingsSnapshot().aperture)).filter(f => f > 0);
+        const aperture = apertures.length > 0 ? Math.min(...apertures) : undefined;
+        const plan = getFocusStackDistances(near, far, { count, spacing, aperture });
+
+        const startedAt = new Date();
+        const set = {
+            id: `focus-${startedAt.toISOString()}`,
+            kind: 'focus-stack',
+            near: plan[0].invDistance,
+            far: plan.at(-1).invDistance,
+            count: plan.length,
+            spacing,
+            aperture: aperture ?? null,
+            startedAt: startedAt.toISOString(),
+        };
+
+        this._emit('focusStackStarted', { set, cameras });
+        const { steps, restored, error } = await this._captureSteps(plan.length, {
+            prepare: async (camera, i) => {
+                if (i === 0) await camera.setSetting('still_focusing_mode', 'mf', commandOptions);
+                return camera.setSetting('mf_inv_distance', plan[i].param, commandOptions);
+            },
+            describe: (cameraId, i) => plan[i],
+            restore: async camera => {
+                const original = originals.get(camera.id);
+                const restoreOptions = { timeoutMs: commandOptions.timeoutMs };
+                try {
+                    if (original.mf_inv_distance !== null) {
+                        await camera.setSetting('mf_inv_distance', original.mf_inv_distance, restoreOptions);
+                    }
+                } finally {
+                    await camera.setSetting('still_focusing_mode', original.still_focusing_mode, restoreOptions);
+                }
+                return original;
+            },
+            cameraIds: new Set(originals.keys()),
+            options: commandOptions,
+        });
+
+        const result = { set, status: error ? 'error' : 'success', steps, restored, error };
+        this._emit('focusStackComplete', { result });
+        return result;
+    }
+
+    /**
+     * Runs synchronized captures, each after a settings change on every
+     * camera, then restores the settings on every camera
+     *
+     * Stops after the first step in which a camera fails to change its
+     * settings (its capture is skipped) or to take the photo, or once the
+     * signal is aborted. Only the cameras in cameraIds are prepared, fired
+     * and recorded; the settings are restored even if a step throws.
+     *
+     * @private
+     * @param {number} count - Number of steps
+     * @param {Object} sequence
+     * @param {Function} sequence.prepare - (camera, index) => promise applying step `index` (from 0)
+     * @param {Function} sequence.describe - (cameraId, index) => fields added to that camera's CaptureResult
+     * @param {Function} sequence.restore - camera => promise of what was restored; always called
+     * @param {Set<string>} sequence.cameraIds - Cameras taking part; ones connected later are left alone
+     * @param {Object} sequence.options - Passed to captureAll()
+     * @returns {Promise<{steps: Array, restored: Array, error: (Error|null)}>}
+     */
+    async _captureSteps(count, { prepare, describe, restore, cameraIds, options }) {
+        const steps = [];
+        let error = null;
+        let restored;
+        // Cameras still connected that take part; ones connected later are left alone
+        const participants = () => this.connectedCameras.filter(camera => cameraIds.has(camera.id));
+
+        try {
+            for (let i = 0; i < count; i++) {
+                const step = { index: i + 1, shot: null, results: [] };
+                steps.push(step);
+
+                step.settings = await this._applyToAll(camera => prepare(camera, i), participants());
+                error = step.settings.find(entry => entry.status === 'error')?.error ?? null;
+                if (!error && options.signal?.aborted) error = getAbortReason(options.signal);
+                if (error) break;
+
+                const { results, shot } = await this._capture(options, participants());
+                step.shot = shot.shot;
+                step.results = results.map(entry => ({ ...entry, ...describe(entry.cameraId, i) }));
+                error = results.find(entry => entry.status === 'error')?.error ?? null;
+                if (error) break;
+            }
+        } finally {
+            // Without the signal: an aborted sequence still restores the settings
+            restored = await this._applyToAll(restore, participants());
+        }
+
+        error ??= restored.find(entry => entry.status === 'error')?.error ?? null;
+        return { steps, restored, error };
+    }
+
+    /**
+     * Captures on the given cameras and records the shot
+     *
+     * @private
+     * @param {Object} options - See captureAll()
+     * @param {CameraDevice[]} [cameras=connectedCameras] - Cameras to fire
+     * @returns {Promise<{results: CaptureResult[], shot: ShotRecord}>}
+     */
+    async _capture(options, cameras = this.connectedCameras) {
+        // Settings as they were when the shot started
+        const settings = new Map(cameras.map(camera => [camera.id, camera.getSettingsSnapshot()]));
+        const startedAt = new Date();
+        const syncMode = this.syncMode;
+
+        // A status round trip still queued on a camera would hold up its dxo_photo_take
+        await this._stopLatencyRefreshes(cameras);
+
+        const dispatchDelays = syncMode === 'parallel' && this.latencyCompensation
+            ? this._planDispatchDelays(cameras)
+            : new Map();
+
+        const startTime = now();
+        this._emit('captureStarted', { cameras });
+
+        const results = syncMode === 'parallel'
+            ? await this._captureParallel(options, cameras, dispatchDelays)
+            : await this._captureSequential(options, cameras);
+        const skew = this._estimateTriggerTimes(results);
+        this._refreshLatency(cameras);
+
+        const totalTime = now() - startTime;
 
         // Log sync timing for debugging (INV-MULTI-004)
-        console.log(`[CameraManager] Capture completed in ${totalTime.toFixed(1)}ms (mode: ${this.syncMode})`);
+        const skewText = skew !== null ? `, estimated trigger skew ${skew.toFixed(1)}ms` : '';
+        console.log(`[CameraManager] Capture completed in ${totalTime.toFixed(1)}ms (mode: ${syncMode}${skewText})`);
+
+        const shot = this.session.recordShot({
+            startedAt,
+            startTime,
+            totalTime,
+            syncMode,
+            results,
+            cameras: await this._describeCapturingCameras(results, settings, {
+                timeoutMs: options.timeoutMs,
+                signal: options.signal,
+            }),
+        });
 
         this.onCaptureComplete(results, totalTime);
-        return results;
+        this._emit('captureComplete', { results, totalTime, shot });
+        return { results, shot };
     }
 
     /**
-     * Captures on all cameras in parallel (best effort synchronization)
+     * Takes an exposure bracket (AEB) on all connected cameras as one HDR set
      *
-     * @private
-     * @returns {Promise<CaptureResult[]>}
+     * Each step sets every camera's value, waits for all to confirm, then
+     * fires them together as a captureAll(), so every step is a shot in
+     * `session` (and in TetheredCapture file names). Each camera brackets
+     * around its own current value unless options.center is given. A failure
+     * on any camera ends the bracket after that step; every camera's setting
+     * is then restored, also when a step throws. A camera connected while the
+     * bracket runs takes no part in it.
+     *
+     * @param {Object} [options] - See CameraDevice.captureBracket()
+     * @returns {Promise<BracketSetResult|null>} null if no camera is connected
+     * @throws {CameraSettingError} If the bracket does not fit a camera's setting (nothing is changed)
      */
-    async _captureParallel() {
+    async captureBracketAll(options = {}) {
+        const { type = 'ev_bias', count = 3, spacing = 1, order, center, ...commandOptions } = options;
         const cameras = this.connectedCameras;
+        if (cameras.length === 0) return null;
 
-        // INV-MULTI-003: Use Promise.allSettled for partial failure handling
-        const capturePromises = cameras.map(camera => {
-            const timestamp = performance.now();
-            return camera.takePhoto()
-                .then(result => ({
-                    cameraId: camera.id,
-                    cameraName: camera.displayName,
-                    status: 'success',
-                    timestamp,
-                    result,
-                }))
-                .catch(error => ({
-                    cameraId: camera.id,
-                    cameraName: camera.displayName,
-                    status: 'error',
-                    timestamp,
-                    error: error.message,
-                }));
+        // Plan every camera's values before changing anything
+        const originals = new Map();
+        const plans = new Map();
+        for (const camera of cameras) {
+            const original = await camera.getSetting(type, commandOptions);
+            try {
+                plans.set(camera.id, getBracketValues(type, center ?? original, { count, spacing, order }));
+            } catch (error) {
+                error.cameraId = camera.id;
+                throw error;
+            }
+            originals.set(camera.id, original);
+        }
+
+        const startedAt = new Date();
+        const set = {
+            id: `hdr-${startedAt.toISOString()}`,
+            kind: 'hdr',
+            type,
+            count,
+            spacing,
+            center: center !== undefined ? encodeSetting(type, center) : null,
+            startedAt: startedAt.toISOString(),
+        };
+
+        this._emit('bracketStarted', { set, cameras });
+        const { steps, restored, error } = await this._captureSteps(count, {
+            prepare: (camera, i) => camera.setSetting(type, plans.get(camera.id)[i].value, commandOptions),
+            describe: (cameraId, i) => plans.get(cameraId)[i],
+            restore: async camera => {
+                await camera.setSetting(type, originals.get(camera.id), { timeoutMs: commandOptions.timeoutMs });
+                return originals.get(camera.id);
+            },
+            cameraIds: new Set(plans.keys()),
+            options: commandOptions,
         });
 
-        return await Promise.all(capturePromises);
+        const result = { set, status: error ? 'error' : 'success', steps, restored, error };
+        this._emit('bracketComplete', { result });
+        return result;
+    }
+
+    /**
+     * Collects what the session records about each camera of a capture
+     *
+     * Asks every camera that took a photo for the file it wrote; a camera
+     * that cannot say gets a null remotePath.
+     *
+     * @private
+     * @param {CaptureResult[]} results
+     * @param {Map<string, Object>} settings - cameraId -> settings snapshot
+     * @param {Object} [options] - timeoutMs and signal of the capture, see CameraDevice.getLastFilePath()
+     * @returns {Promise<Map<string, Object>>} cameraId -> {serialNumber, nickname, settings, remotePath}
+     */
+    async _describeCapturingCameras(results, settings, options = {}) {
+        const entries = await Promise.all(results.map(async ({ cameraId, status }) => {
+            const camera = this.cameras.get(cameraId);
+            const remotePath = status === 'success' && camera
+                ? await camera.getLastFilePath(options).then(reply => reply?.result?.path ?? null, () => null)
+                : null;
+
+            return [cameraId, {
+                serialNumber: camera?.device.serialNumber ?? null,
+                nickname: camera?.nickname ?? null,
+                settings: settings.get(cameraId),
+                remotePath,
+            }];
+        }));
+        return new Map(entries);
+    }
+
+    /**
+     * Measures one camera's status round trips into its LatencyEstimate
+     *
+     * @private
+     * @param {CameraDevice} camera
+     * @param {number} samples - Round trips to measure
+     * @param {Object} options - See CameraDevice.getStatus()
+     * @param {Object} [refresh] - Background refresh entry; setting refresh.stopped ends the
+     *        measurement after the round trip in flight
+     * @returns {Promise<LatencyEstimate>}
+     */
+    async _measureCameraLatency(camera, samples, options, refresh = null) {
+        for (let i = 0; i < samples && !refresh?.stopped; i++) {
+            let sentAt = null;
+            await camera.getStatus({ ...options, onSent: time => { sentAt = time; } });
+            const roundTripMs = now() - sentAt;
+
+            // Removed or reconnected meanwhile: the estimate was dropped with the old link
+            if (this.cameras.get(camera.id) !== camera || this.reconnectStates.has(camera.id)) break;
+
+            const previous = this.latencyEstimates.get(camera.id);
+            this.latencyEstimates.set(camera.id, {
+                roundTripMs: previous
+                    ? previous.roundTripMs + LATENCY_SMOOTHING * (roundTripMs - previous.roundTripMs)
+                    : roundTripMs,
+                lastRoundTripMs: roundTripMs,
+                samples: (previous?.samples ?? 0) + 1,
+                measuredAt: now(),
+            });
+        }
+        return this.latencyEstimates.get(camera.id);
+    }
+
+    /**
+     * Starts measuring, in the background, the cameras whose latency estimate
+     * is missing, has fewer than LATENCY_SAMPLES samples or is older than
+     * LATENCY_MAX_AGE_MS
+     *
+     * A capture stops the measurement first (see _stopLatencyRefreshes()), so
+     * the status round trips are never queued ahead of a shutter; a camera
+     * that cannot be measured keeps any older estimate.
+     *
+     * @private
+     * @param {CameraDevice[]} cameras
+     */
+    _refreshLatency(cameras) {
+        if (!this.latencyCompensation) return;
+
+        for (const camera of cameras) {
+            const estimate = this.latencyEstimates.get(camera.id);
+            if (this.latencyRefreshes.has(camera.id)) continue;
+
+            const missingSamples = LATENCY_SAMPLES - (estimate?.samples ?? 0);
+            if (missingSamples <= 0 && now() - estimate.measuredAt < LATENCY_MAX_AGE_MS) continue;
+
+            const refresh = { stopped: false, done: null };
+            refresh.done = this._measureCameraLatency(camera, Math.max(missingSamples, 1), {}, refresh)
+                .catch(() => null)
+                .finally(() => {
+                    if (this.latencyRefreshes.get(camera.id) === refresh) this.latencyRefreshes.delete(camera.id);
+                });
+            this.latencyRefreshes.set(camera.id, refresh);
+        }
+    }
+
+    /**
+     * Stops the background latency measurements of the given cameras and
+     * waits for the round trip each has in flight
+     *
+     * Keeps a capture's dxo_photo_take from waiting in a camera's command
+     * queue behind dxo_camera_status_get, which the dispatch delays do not
+     * account for. Costs at most one round trip; the next _refreshLatency()
+     * picks up the samples still missing.
+     *
+     * @private
+     * @param {CameraDevice[]} cameras - Cameras about to be fired
+     * @returns {Promise<void>}
+     */
+    async _stopLatencyRefreshes(cameras) {
+        const refreshes = cameras.map(camera => this.latencyRefreshes.get(camera.id)).filter(Boolean);
+        refreshes.forEach(refresh => { refresh.stopped = true; });
+        await Promise.all(refreshes.map(refresh => refresh.done));
+    }
+
+    /**
+     * Works out how long to hold back each camera's dxo_photo_take from the
+     * current latency estimates; a camera without one goes without a delay
+     *
+     * @private
+     * @param {CameraDevice[]} cameras - Cameras about to be fired
+     * @returns {Map<string, number>} cameraId -> dispatch delay in ms
+     */
+    _planDispatchDelays(cameras) {
+        // Shutter fires about half a round trip after the command goes out
+        const oneWay = new Map(cameras.map(camera => [camera.id, (this.latencyEstimates.get(camera.id)?.roundTripMs ?? 0) / 2]));
+        const slowest = Math.max(...oneWay.values());
+        return new Map(cameras.map(camera => [camera.id, slowest - oneWay.get(camera.id)]));
+    }
+
+    /**
+     * Fills in each result's estimated trigger time and skew
+     *
+     * @private
+     * @param {CaptureResult[]} results
+     * @returns {number|null} Spread between the first and last estimated trigger, null if none went out
+     */
+    _estimateTriggerTimes(results) {
+        for (const result of results) {
+            result.estimatedLatencyMs = this.latencyEstimates.has(result.cameraId)
+                ? this.latencyEstimates.get(result.cameraId).roundTripMs / 2
+                : null;
+            result.triggerAt = result.sentAt !== null ? result.sentAt + (result.estimatedLatencyMs ?? 0) : null;
+        }
+
+        const triggers = results.map(result => result.triggerAt).filter(time => time !== null);
+        if (triggers.length === 0) {
+            results.forEach(result => { result.triggerSkewMs = null; });
+            return null;
+        }
+
+        const first = Math.min(...triggers);
+        results.forEach(result => {
+            result.triggerSkewMs = result.triggerAt !== null ? result.triggerAt - first : null;
+        });
+        return Math.max(...triggers) - first;
+    }
+
+    /**
+     * Takes a photo on one camera as part of a capture
+     *
+     * @private
+     * @param {CameraDevice} camera
+     * @param {Object} options - See captureAll()
+     * @param {number} [dispatchDelayMs=0] - Wait before sending dxo_photo_take
+     * @returns {Promise<CaptureResult>} Never rejects; failures are in the result
+     */
+    async _captureCamera(camera, options, dispatchDelayMs = 0) {
+        const capture = {
+            cameraId: camera.id,
+            cameraName: camera.displayName,
+            timestamp: now(),
+            sentAt: null,
+            dispatchDelayMs,
+        };
+
+        try {
+            if (dispatchDelayMs > 0) await sleepUnlessAborted(dispatchDelayMs, options.signal);
+            const result = await camera.takePhoto({ ...options, onSent: time => { capture.sentAt = time; } });
+            return { ...capture, status: 'success', receivedAt: now(), result };
+        } catch (error) {
+            return { ...capture, status: 'error', receivedAt: now(), error };
+        }
+    }
+
+    /**
+     * Captures on all cameras in parallel (best effort synchronization)
+     *
+     * @private
+     * @param {Object} options - See captureAll()
+     * @param {CameraDevice[]} cameras - Cameras to fire
+     * @param {Map<string, number>} dispatchDelays - cameraId -> ms to hold back dxo_photo_take
+     * @returns {Promise<CaptureResult[]>}
+     */
+    async _captureParallel(options, cameras, dispatchDelays) {
+        // INV-MULTI-003: One camera failing leaves the others' results intact
+        return await Promise.all(cameras.map(camera => this._captureCamera(camera, options, dispatchDelays.get(camera.id))));
     }
 
     /**
      * Captures on all cameras sequentially
      *
      * @private
+     * @param {Object} options - See captureAll()
+     * @param {CameraDevice[]} cameras - Cameras to fire, in order
      * @returns {Promise<CaptureResult[]>}
      */
-    async _captureSequential() {
-        const cameras = this.connectedCameras;
+    async _captureSequential(options, cameras) {
         const results = [];
 
         for (const camera of cameras) {
-            const timestamp = performance.now();
-            try {
-                const result = await camera.takePhoto();
-                results.push({
-                    cameraId: camera.id,
-                    cameraName: camera.displayName,
-                    status: 'success',
-                    timestamp,
-                    result,
-                });
-            } catch (error) {
-                results.push({
-                    cameraId: camera.id,
-                    cameraName: camera.displayName,
-                    status: 'error',
-                    timestamp,
-                    error: error.message,
-                });
-            }
+            results.push(await this._captureCamera(camera, options));
         }
 
         return results;
     }
 
     /**
-     * Sends a command to all connected cameras
+     * Runs an operation on every connected camera in parallel
      *
-     * @param {string} method - RPC method name
-     * @param {Object} [params] - RPC parameters
-     * @returns {Promise<Array>} Results from all cameras
+     * One camera failing does not affect the others; its entry carries the
+     * error instead of a result.
+     *
+     * @private
+     * @param {Function} operation - Called with each CameraDevice, returns a promise
+     * @param {CameraDevice[]} [cameras=connectedCameras] - Cameras to run it on
+     * @returns {Promise<Array>} {cameraId, cameraName, status, result | error} per camera
      */
-    async sendCommandToAll(method, params) {
-        const cameras = this.connectedCameras;
+    async _applyToAll(operation, cameras = this.connectedCameras) {
 
         // INV-MULTI-003: Handle partial failures
-        const commandPromises = cameras.map(camera => {
-            return camera.transferOutRPC(method, params)
+        const promises = cameras.map(camera => {
+            return Promise.resolve()
+                .then(() => operation(camera))
                 .then(result => ({
                     cameraId: camera.id,
                     cameraName: camera.displayName,
@@ -395,29 +1063,136 @@ export class CameraManager {
                     cameraId: camera.id,
                     cameraName: camera.displayName,
                     status: 'error',
-                    error: error.message,
+                    error,
                 }));
         });
 
-        return await Promise.all(commandPromises);
+        return await Promise.all(promises);
+    }
+
+    /**
+     * Sends a command to all connected cameras
+     *
+     * @param {string} method - RPC method name
+     * @param {Object} [params] - RPC parameters
+     * @param {Object} [options] - Passed to each CameraDevice.transferOutRPC()
+     * @param {number} [options.timeoutMs] - Per-camera time limit
+     * @param {AbortSignal} [options.signal] - Cancels commands not yet completed
+     * @returns {Promise<Array>} Results from all cameras
+     */
+    async sendCommandToAll(method, params, options = {}) {
+        return this._applyToAll(camera => camera.transferOutRPC(method, params, options));
     }
 
     /**
      * Gets status from all cameras
      *
+     * @param {Object} [options] - See sendCommandToAll()
      * @returns {Promise<Array>} Status from all cameras
      */
-    async getAllStatus() {
-        return this.sendCommandToAll('dxo_camera_status_get');
+    async getAllStatus(options = {}) {
+        return this._applyToAll(camera => camera.getStatus(options));
     }
 
     /**
      * Gets settings from all cameras
      *
+     * @param {Object} [options] - See sendCommandToAll()
      * @returns {Promise<Array>} Settings from all cameras
      */
-    async getAllSettings() {
-        return this.sendCommandToAll('dxo_all_settings_get');
+    async getAllSettings(options = {}) {
+        return this._applyToAll(camera => camera.getAllSettings(options));
+    }
+
+    /**
+     * Changes a setting on all cameras (see CameraDevice.setSetting())
+     *
+     * @param {string} type - Setting type, e.g. "iso"
+     * @param {*} value - Wire value or friendly name
+     * @param {Object} [options] - See sendCommandToAll()
+     * @returns {Promise<Array>} Results from all cameras; result is the applied param
+     * @throws {CameraSettingError} If the type or value is not allowed (nothing is sent)
+     */
+    async setSettingAll(type, value, options = {}) {
+        encodeSetting(type, value);
+        return this._applyToAll(camera => camera.setSetting(type, value, options));
+    }
+
+    /**
+     * Focuses all cameras on the same point (see CameraDevice.focus())
+     *
+     * @param {number} x - Horizontal position; origin is the bottom left corner
+     * @param {number} y - Vertical position
+     * @param {Object} [options] - See sendCommandToAll()
+     * @returns {Promise<Array>} Results from all cameras
+     */
+    async focusAll(x, y, options = {}) {
+        return this._applyToAll(camera => camera.focus(x, y, options));
+    }
+
+    /**
+     * Focuses all cameras on the same point of their live view image (see CameraDevice.focusAt())
+     *
+     * Each camera converts the point with its own live view frame size, so
+     * the same spot of the picture is used even if the sizes differ.
+     *
+     * @param {{x: number, y: number}} point - Fractions (0-1) of the image, from the top left
+     * @param {Object} [options] - See CameraDevice.focusAt()
+     * @returns {Promise<Array>} Results from all cameras; result is {area, rect, result}
+     */
+    async focusAllAt(point, options = {}) {
+        return this._applyToAll(camera => camera.focusAt(point, options));
+    }
+
+    /**
+     * Clears the tap-to-focus point on all cameras
+     *
+     * @param {Object} [options] - See sendCommandToAll()
+     * @returns {Promise<Array>} Results from all cameras
+     */
+    async flushFocusAll(options = {}) {
+        return this._applyToAll(camera => camera.flushFocus(options));
+    }
+
+    /**
+     * Sends the same location to all cameras (see CameraDevice.setGPSData())
+     *
+     * @param {Object|GeolocationPosition|string} position - Location to record
+     * @param {Object} [options] - See sendCommandToAll()
+     * @returns {Promise<Array>} Results from all cameras
+     */
+    async setGPSDataAll(position, options = {}) {
+        return this._applyToAll(camera => camera.setGPSData(position, options));
+    }
+
+    /**
+     * Puts all cameras into idle (sleep) mode
+     *
+     * @param {Object} [options] - See sendCommandToAll()
+     * @returns {Promise<Array>} Results from all cameras
+     */
+    async sleepAll(options = {}) {
+        return this._applyToAll(camera => camera.sleep(options));
+    }
+
+    /**
+     * Gets the digital zoom factor of all cameras
+     *
+     * @param {Object} [options] - See sendCommandToAll()
+     * @returns {Promise<Array>} Results from all cameras
+     */
+    async getAllDigitalZoom(options = {}) {
+        return this._applyToAll(camera => camera.getDigitalZoom(options));
+    }
+
+    /**
+     * Gets the most recently written file path of all cameras
+     *
+     * @param {Object} [options] - See sendCommandToAll()
+     * @returns {Promise<Array>} Results from all cameras
+     */
+    async getAllLastFilePaths(options = {}) {
+        return this._applyToAll(camera => camera.getLastFilePath(options));
     }
 
     /**
@@ -427,26 +1202,228 @@ export class CameraManager {
      * @param {USBConnectionEvent} event
      */
     _handleDisconnect(event) {
-        // Find and remove the disconnected camera
         for (const [id, camera] of this.cameras) {
             if (camera.device === event.device) {
-                // INV-DATA-003: Update connection state
-                camera.isConnected = false;
-                this.cameras.delete(id);
-                console.log(`[CameraManager] Camera ${camera.displayName} disconnected`);
-                this._notifyCameraChange();
+                // INV-DATA-003: Update connection state (fails in-flight commands).
+                // The camera's 'disconnected' event then starts the reconnect.
+                camera.markDisconnected(new CameraDisconnectedError(`Camera ${camera.displayName} was unplugged`, {
+                    cameraId: id,
+                }));
                 break;
             }
         }
     }
 
+    /**
+     * Handles USB connect events: a camera waiting to reconnect is retried at once
+     *
+     * @private
+     * @param {USBConnectionEvent} event
+     */
+    _handleConnect(event) {
+        const serialNumber = event.device.serialNumber;
+        const camera = serialNumber ? this.cameras.get(serialNumber) : undefined;
+
+        if (camera && this.reconnectStates.has(camera.id)) {
+            clearTimeout(this.reconnectStates.get(camera.id).timer);
+            this._attemptReconnect(camera, event.device);
+        }
+    }
+
+    /**
+     * Handles a camera losing its connection (unplugged or its reader failed)
+     *
+     * Cameras with a serial number wait for reconnection; others, or all
+     * cameras when reconnect is disabled, are removed as before.
+     *
+     * @private
+     * @param {CameraEvent} event - The camera's 'disconnected' event
+     */
+    _handleCameraDisconnected(event) {
+        const { camera, error } = event.detail;
+
+        // A deliberate close() is not a drop
+        if (!error || this.cameras.get(camera.id) !== camera) return;
+
+        console.log(`[CameraManager] Camera ${camera.displayName} disconnected`);
+
+        if (!this.reconnectPolicy || !camera.device.serialNumber) {
+            this._removeCamera(camera);
+            this._emit('disconnected', { camera, error });
+            this._notifyCameraChange();
+            return;
+        }
+
+        if (!this.reconnectStates.has(camera.id)) {
+            this.reconnectStates.set(camera.id, { attempt: 0, startedAt: Date.now(), timer: null, inFlight: false });
+            this._scheduleReconnect(camera);
+            this._notifyCameraChange();
+        }
+    }
+
+    /**
+     * Waits out the backoff delay, then tries to reconnect
+     *
+     * @private
+     * @param {CameraDevice} camera
+     */
+    _scheduleReconnect(camera) {
+        const state = this.reconnectStates.get(camera.id);
+        const { initialDelayMs, maxDelayMs, backoffFactor } = this.reconnectPolicy;
+        const delayMs = Math.min(initialDelayMs * Math.pow(backoffFactor, state.attempt), maxDelayMs);
+
+        state.timer = setTimeout(() => this._attemptReconnect(camera), delayMs);
+
+        this._emit('reconnecting', { camera, attempt: state.attempt + 1, delayMs });
+        this._notifyReconnect(camera, 'reconnecting');
+    }
+
+    /**
+     * Finds the camera among permitted devices and restores its session
+     *
+     * @private
+     * @param {CameraDevice} camera
+     * @param {USBDevice} [device] - Device from a connect event; otherwise looked up with getDevices()
+     * @returns {Promise<void>}
+     */
+    async _attemptReconnect(camera, device = null) {
+        const state = this.reconnectStates.get(camera.id);
+        if (!state || state.inFlight) return;
+
+        state.inFlight = true;
+        state.attempt++;
+
+        let error;
+        try {
+            if (!device) {
+                const devices = await this.usbBackend.getDevices();
+                // The old handle is still open if only the reader failed; restoreSession() closes it
+                device = devices.find(d => d.serialNumber === camera.id && (d === camera.device || !d.opened));
+            }
+
+            if (device) {
+                const failedSettings = await camera.restoreSession(device);
+                if (!camera.isConnected) {
+                    throw camera.lastError || new CameraDisconnectedError(`Camera ${camera.displayName} dropped again`, {
+                        cameraId: camera.id,
+                    });
+                }
+
+                // Stopped waiting (disconnectCamera(), dispose()) while restoring
+                if (this.reconnectStates.get(camera.id) !== state) {
+                    await camera.close();
+                    return;
+                }
+
+                this.reconnectStates.delete(camera.id);
+                // The new link may be slower or faster
+                this.latencyEstimates.delete(camera.id);
+                this.latencyRefreshes.delete(camera.id);
+                console.log(`[CameraManager] Camera ${camera.displayName} reconnected`);
+                this._emit('reconnected', { camera, attempts: state.attempt, failedSettings });
+                this._notifyReconnect(camera, 'reconnected');
+                this._notifyCameraChange();
+                this._refreshLatency([camera]);
+                return;
+            }
+
+            error = new CameraDisconnectedError(`Camera ${camera.displayName} is not plugged in`, {
+                cameraId: camera.id,
+            });
+        } catch (restoreError) {
+            error = restoreError;
+        } finally {
+            state.inFlight = false;
+        }
+
+        if (this.reconnectStates.get(camera.id) !== state) return;
+
+        const { maxAttempts, giveUpAfterMs } = this.reconnectPolicy;
+        const isOutOfAttempts = maxAttempts !== null && state.attempt >= maxAttempts;
+        const isOutOfTime = giveUpAfterMs !== null && Date.now() - state.startedAt >= giveUpAfterMs;
+
+        if (isOutOfAttempts || isOutOfTime) {
+            console.warn(`[CameraManager] Giving up on camera ${camera.displayName} after ${state.attempt} attempts:`, error);
+            this._notifyReconnect(camera, 'failed');
+            this._removeCamera(camera);
+            this._emit('reconnectFailed', { camera, error, attempts: state.attempt });
+            this._emit('disconnected', { camera, error });
+            this._notifyCameraChange();
+            return;
+        }
+
+        this._scheduleReconnect(camera);
+    }
+
+    /**
+     * Calls onReconnect with the camera's current state
+     *
+     * @private
+     * @param {CameraDevice} camera
+     * @param {'reconnecting' | 'reconnected' | 'failed'} status
+     */
+    _notifyReconnect(camera, status) {
+        this.onReconnect({ ...camera.getState(), isReconnecting: status === 'reconnecting' }, status);
+    }
+
+    /**
+     * Stores a camera and starts re-dispatching its events
+     *
+     * @private
+     * @param {CameraDevice} camera
+     */
+    _addCamera(camera) {
+        const forward = event => this._emit(event.type, event.detail);
+        FORWARDED_CAMERA_EVENTS.forEach(type => camera.addEventListener(type, forward));
+        camera.addEventListener('disconnected', this._boundCameraDisconnectedHandler);
+
+        this.cameras.set(camera.id, camera);
+        this.cameraEventForwarders.set(camera.id, forward);
+    }
+
+    /**
+     * Forgets a camera, stops re-dispatching its events and cancels any reconnect
+     *
+     * @private
+     * @param {CameraDevice} camera
+     */
+    _removeCamera(camera) {
+        const forward = this.cameraEventForwarders.get(camera.id);
+        if (forward) {
+            FORWARDED_CAMERA_EVENTS.forEach(type => camera.removeEventListener(type, forward));
+        }
+        camera.removeEventListener('disconnected', this._boundCameraDisconnectedHandler);
+
+        const reconnectState = this.reconnectStates.get(camera.id);
+        if (reconnectState) clearTimeout(reconnectState.timer);
+        this.reconnectStates.delete(camera.id);
+
+        this.cameras.delete(camera.id);
+        this.cameraEventForwarders.delete(camera.id);
+        this.latencyEstimates.delete(camera.id);
+        this.latencyRefreshes.delete(camera.id);
+    }
+
+    /**
+     * Dispatches a CameraEvent from the manager
+     *
+     * @private
+     * @param {string} type - Event name
+     * @param {Object} [detail] - Event payload
+     */
+    _emit(type, detail = {}) {
+        this.dispatchEvent(new CameraEvent(type, detail));
+    }
+
     /**
      * Notifies listeners of camera list changes
      *
      * @private
      */
     _notifyCameraChange() {
-        this.onCameraChange(this.getAllCameraStates());
+        const cameras = this.getAllCameraStates();
+        this.onCameraChange(cameras);
+        this._emit('camerasChanged', { cameras });
     }
 
     /**
@@ -0,0 +1,380 @@
+/*
+    CaptureSession.js - Manifest of the shots taken in a session
+    https://github.com/jsyang/dxo1control
+
+    CameraManager keeps one CaptureSession (manager.session) and records a
+    shot for every captureAll(): when it was taken, how long each camera took
+    to receive and answer dxo_photo_take, each camera's settings at that
+    moment, and the file it wrote. Files saved by TetheredCapture are attached
+    to their shot as they arrive.
+
+    The manifest is exported as JSON (one object per session) or CSV (one row
+    per camera per shot, settings as a JSON column) and can be read back from
+    either, so a shoot can be audited and matched to its files later:
+
+        fs.writeFileSync('shoot.csv', manager.session.toCSV());
+        const session = CaptureSession.fromCSV(fs.readFileSync('shoot.csv', 'utf8'));
+*/
+
+// Bumped when the JSON layout changes incompatibly
+export const MANIFEST_VERSION = 1;
+
+// CSV header, in column order
+const CSV_COLUMNS = [
+    'session', 'session_started_at', 'shot', 'time', 'sync_mode', 'total_time_ms',
+    'camera_id', 'serial_number', 'nickname', 'camera_name', 'status', 'sent_ms', 'received_ms',
+    'remote_path', 'file', 'error_name', 'error_message', 'error_code', 'settings',
+];
+
+/**
+ * One camera's part in a shot
+ * @typedef {Object} ShotCameraRecord
+ * @property {string} cameraId - CameraDevice id
+ * @property {string|null} serialNumber - USB serial number
+ * @property {string|null} nickname - User-assigned name at the time of the shot
+ * @property {string} cameraName - Display name at the time of the shot
+ * @property {'success' | 'error'} status - Capture outcome
+ * @property {number|null} sentMs - When dxo_photo_take was sent, in ms after the shot started
+ *           (null if it never was)
+ * @property {number|null} receivedMs - When the camera answered or the capture failed, in ms
+ *           after the shot started
+ * @property {Object} settings - Setting type -> value when the shot started
+ * @property {string|null} remotePath - File written on the camera's card
+ * @property {string|null} file - Local copy of that file, once downloaded
+ * @property {{name: string, message: string, code: (number|string|null)}|null} error - Why the capture failed
+ */
+
+/**
+ * One captureAll()
+ * @typedef {Object} ShotRecord
+ * @property {number} shot - Shot number, from 1
+ * @property {string} time - Wall-clock start of the shot (ISO 8601)
+ * @property {SyncMode} syncMode - How the cameras were triggered
+ * @property {number} totalTimeMs - Duration of the whole capture
+ * @property {ShotCameraRecord[]} cameras - One entry per camera
+ */
+
+/**
+ * Rounds a duration to 0.1ms, keeping null
+ */
+function roundMs(value) {
+    return value === null || value === undefined ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Reduces an error to the fields worth keeping in a manifest
+ */
+function serializeError(error) {
+    if (!error) return null;
+    return {
+        name: error.name || 'Error',
+        message: error.message || String(error),
+        code: error.code ?? null,
+    };
+}
+
+/**
+ * Quotes a CSV field if needed (RFC 4180)
+ */
+function formatCSVField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180, quoted fields may span lines)
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines
+    return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Parses a CSV number column; empty means null
+ */
+function parseCSVNumber(text) {
+    return text === '' || text === undefined ? null : Number(text);
+}
+
+/**
+ * Parses an error code column: JSON-RPC codes are numbers, others (e.g. "EIO") stay text
+ */
+function parseErrorCode(text) {
+    if (text === '' || text === undefined) return null;
+    return Number.isNaN(Number(text)) ? text : Number(text);
+}
+
+/**
+ * CaptureSession - Shots recorded by a CameraManager, exportable as JSON or CSV
+ */
+export class CaptureSession {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name='session'] - Session name (also used by TetheredCapture file names)
+     * @param {string} [options.startedAt] - Wall-clock start (ISO 8601); defaults to now
+     * @param {ShotRecord[]} [options.shots] - Shots already taken, e.g. when importing
+     */
+    constructor({ name = 'session', startedAt = new Date().toISOString(), shots = [] } = {}) {
+        this.name = name;
+        this.startedAt = startedAt;
+        this.shots = shots;
+
+        // "cameraId remotePath" -> local file, for files saved before their shot was recorded
+        this.unmatchedFiles = new Map();
+    }
+
+    /**
+     * Gets the number of shots recorded
+     *
+     * @returns {number}
+     */
+    get shotCount() {
+        return this.shots.length;
+    }
+
+    /**
+     * Gets the number the next recorded shot will get
+     *
+     * @returns {number}
+     */
+    get nextShotNumber() {
+        return (this.shots.at(-1)?.shot ?? 0) + 1;
+    }
+
+    /**
+     * Adds a shot from the results of a capture
+     *
+     * @param {Object} capture
+     * @param {Date} capture.startedAt - Wall-clock start of the capture
+     * @param {number} capture.startTime - now() at the start, the origin of sentMs / receivedMs
+     * @param {number} capture.totalTime - Duration of the capture in ms
+     * @param {SyncMode} capture.syncMode - How the cameras were triggered
+     * @param {CaptureResult[]} capture.results - Results of the capture
+     * @param {Map<string, Object>} capture.cameras - cameraId -> {serialNumber, nickname, settings, remotePath}
+     * @returns {ShotRecord} The recorded shot
+     */
+    recordShot({ startedAt, startTime, totalTime, syncMode, results, cameras }) {
+        const shot = {
+            shot: this.nextShotNumber,
+            time: startedAt.toISOString(),
+            syncMode,
+            totalTimeMs: roundMs(totalTime),
+            cameras: results.map(result => {
+                const camera = cameras.get(result.cameraId) || {};
+                return {
+                    cameraId: result.cameraId,
+                    serialNumber: camera.serialNumber ?? null,
+                    nickname: camera.nickname ?? null,
+                    cameraName: result.cameraName,
+                    status: result.status,
+                    sentMs: result.sentAt === null ? null : roundMs(result.sentAt - startTime),
+                    receivedMs: roundMs(result.receivedAt - startTime),
+                    settings: camera.settings ?? {},
+                    remotePath: camera.remotePath ?? null,
+                    file: this._takeUnmatchedFile(result.cameraId, camera.remotePath),
+                    error: serializeError(result.error),
+                };
+            }),
+        };
+
+        this.shots.push(shot);
+        return shot;
+    }
+
+    /**
+     * Records where a camera's file was saved
+     *
+     * Matches the most recent shot in which the camera wrote `remotePath`. A
+     * download can finish before captureAll() has recorded its shot; the file
+     * is then attached when the shot is recorded.
+     *
+     * @param {string} cameraId - Camera that took the photo
+     * @param {string} remotePath - File on the camera's card
+     * @param {string} file - Local path of the copy
+     * @returns {boolean} True if a recorded shot has that file
+     */
+    attachFile(cameraId, remotePath, file) {
+        for (let i = this.shots.length - 1; i >= 0; i--) {
+            const entry = this.shots[i].cameras.find(camera =>
+                camera.cameraId === cameraId && camera.remotePath === remotePath
+            );
+            if (entry) {
+                entry.file = file;
+                return true;
+            }
+        }
+
+        this.unmatchedFiles.set(`${cameraId} ${remotePath}`, file);
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    _takeUnmatchedFile(cameraId, remotePath) {
+        const key = `${cameraId} ${remotePath}`;
+        const file = this.unmatchedFiles.get(key) ?? null;
+        this.unmatchedFiles.delete(key);
+        return file;
+    }
+
+    /**
+     * Returns the manifest as a plain object (used by JSON.stringify)
+     *
+     * @returns {{version: number, name: string, startedAt: string, shots: ShotRecord[]}}
+     */
+    toJSON() {
+        return {
+            version: MANIFEST_VERSION,
+            name: this.name,
+            startedAt: this.startedAt,
+            shots: this.shots,
+        };
+    }
+
+    /**
+     * Returns the manifest as CSV, one row per camera per shot
+     *
+     * @returns {string}
+     */
+    toCSV() {
+        const lines = [CSV_COLUMNS.join(',')];
+
+        for (const shot of this.shots) {
+            for (const camera of shot.cameras) {
+                lines.push([
+                    this.name, this.startedAt, shot.shot, shot.time, shot.syncMode, shot.totalTimeMs,
+                    camera.cameraId, camera.serialNumber, camera.nickname, camera.cameraName, camera.status,
+                    camera.sentMs, camera.receivedMs, camera.remotePath, camera.file,
+                    camera.error?.name, camera.error?.message, camera.error?.code,
+                    JSON.stringify(camera.settings),
+                ].map(formatCSVField).join(','));
+            }
+        }
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Reads a manifest written by toJSON()
+     *
+     * @param {string|Object} json - JSON text or the parsed object
+     * @returns {CaptureSession}
+     * @throws {TypeError} If it is not a capture session manifest
+     */
+    static fromJSON(json) {
+        const manifest = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!manifest || !Array.isArray(manifest.shots)) {
+            throw new TypeError('Not a capture session manifest: "shots" is missing');
+        }
+        if (manifest.version > MANIFEST_VERSION) {
+            throw new TypeError(`Capture session manifest version ${manifest.version} is newer than this library (${MANIFEST_VERSION})`);
+        }
+
+        return new CaptureSession({
+            name: manifest.name,
+            startedAt: manifest.startedAt,
+            shots: manifest.shots,
+        });
+    }
+
+    /**
+     * Reads a manifest written by toCSV()
+     *
+     * Columns are matched by header name, so extra or reordered columns are fine.
+     *
+     * @param {string} text - CSV text
+     * @returns {CaptureSession}
+     * @throws {TypeError} If required columns are missing
+     */
+    static fromCSV(text) {
+        const [header = [], ...rows] = parseCSV(text.replace(/^\uFEFF/, ''));
+        const missing = ['shot', 'camera_id', 'status'].filter(column => !header.includes(column));
+        if (missing.length > 0) {
+            throw new TypeError(`Not a capture session manifest: missing column(s) ${missing.join(', ')}`);
+        }
+
+        const shots = new Map();
+        let name;
+        let startedAt;
+
+        for (const fields of rows) {
+            const row = Object.fromEntries(header.map((column, i) => [column, fields[i] ?? '']));
+            name ??= row.session || undefined;
+            startedAt ??= row.session_started_at || undefined;
+
+            const number = Number(row.shot);
+            if (!shots.has(number)) {
+                shots.set(number, {
+                    shot: number,
+                    time: row.time,
+                    syncMode: row.sync_mode,
+                    totalTimeMs: parseCSVNumber(row.total_time_ms),
+                    cameras: [],
+                });
+            }
+
+            shots.get(number).cameras.push({
+                cameraId: row.camera_id,
+                serialNumber: row.serial_number || null,
+                nickname: row.nickname || null,
+                cameraName: row.camera_name,
+                status: row.status,
+                sentMs: parseCSVNumber(row.sent_ms),
+                receivedMs: parseCSVNumber(row.received_ms),
+                settings: row.settings ? JSON.parse(row.settings) : {},
+                remotePath: row.remote_path || null,
+                file: row.file || null,
+                error: row.error_name || row.error_message
+                    ? { name: row.error_name, message: row.error_message, code: parseErrorCode(row.error_code) }
+                    : null,
+            });
+        }
+
+        return new CaptureSession({ name, startedAt, shots: Array.from(shots.values()) });
+    }
+}
+
+export default CaptureSession;
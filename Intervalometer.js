@@ -0,0 +1,433 @@
+/*
+    Intervalometer.js - Timelapse shooting timed by the host
+    https://github.com/jsyang/dxo1control
+
+    Takes a photo every intervalMs on one camera (takePhoto()) or on all
+    cameras of a CameraManager at once (captureAll(), so every shot is in
+    the session manifest and TetheredCapture downloads it):
+
+        const timelapse = new Intervalometer(manager, {
+            intervalMs: 10000,
+            count: 360,
+            minBatteryLevel: 15,
+            ramp: { type: 'exposure_time', from: '1/250', to: '1/4' },
+            onShot: shot => console.log(`${shot.shot}/360, ${shot.lateMs.toFixed(0)}ms late`),
+            onStop: summary => console.log(`Stopped: ${summary.reason}`),
+        });
+        timelapse.start();
+        ...
+        timelapse.pause();
+        timelapse.resume();
+        await timelapse.whenStopped();
+
+    Shots are timed from start(), not from the previous shot, so timing
+    errors do not add up: shot n is due n intervals after the start (plus
+    any time spent paused). A shot that takes longer than the interval
+    makes the slots it overran count as missed; the next shot is taken
+    straight away in the latest slot that is due.
+
+    It stops after `count` shots, before a shot due after `endTime`, when a
+    camera's battery drops below `minBatteryLevel` (checked before every
+    shot), on stop(), or with stopOnError on the first failed shot. The
+    ramped setting keeps its last value afterwards.
+*/
+
+import { CameraManager } from './CameraManager.js';
+import { CameraDisconnectedError } from './errors.js';
+import { getRampValues } from './settings.js';
+import { now } from './platform.js';
+
+/**
+ * Progress after each shot, passed to onShot
+ * @typedef {Object} IntervalShot
+ * @property {number} shot - 1 for the first shot of the run
+ * @property {number} slot - Interval slot the shot was taken in, from 0; missed slots leave gaps
+ * @property {number} scheduledAt - When the slot was due (Date.now() time)
+ * @property {number} lateMs - How long after that the shot began
+ * @property {number} durationMs - Battery check, ramp setting and capture
+ * @property {string|null} rampValue - Ramped setting's value for this shot, null without a ramp
+ * @property {Object|CaptureResult[]|null} result - takePhoto() response or captureAll() results;
+ *           null if the shot failed before the capture
+ * @property {CameraError|Error|null} error - The ramp setting's, the capture's or the first failed camera's error
+ * @property {number} failures - Failed shots so far, this one included
+ * @property {number} missed - Slots missed so far
+ * @property {number|null} remaining - Shots left to take, null without a count
+ * @property {number|null} nextShotAt - When the next slot is due (Date.now() time), null if stopping
+ */
+
+/**
+ * Outcome of a run, passed to onStop and returned by stop() / whenStopped()
+ * @typedef {Object} IntervalSummary
+ * @property {string} reason - 'stopped', 'count', 'endTime', 'lowBattery' or 'error'
+ * @property {CameraError|Error|null} error - Set when reason is 'error'
+ * @property {number} shots - Shots taken, failed ones included
+ * @property {number} failures - Shots that failed
+ * @property {number} missed - Slots missed because a shot overran the interval
+ * @property {string} startedAt - ISO 8601
+ * @property {number} durationMs - From start() to the end of the last shot
+ * @property {{camera: CameraDevice, batteryLevel: number}|null} lowBattery - Set when reason is 'lowBattery'
+ */
+
+/**
+ * Intervalometer - Takes photos at a fixed interval
+ *
+ * Progress is reported through the callbacks given to the constructor; an
+ * error thrown by a callback is logged and does not stop the run.
+ */
+export class Intervalometer {
+    /**
+     * @param {CameraManager|CameraDevice} source - All connected cameras of a manager, or one camera
+     * @param {Object} options
+     * @param {number} options.intervalMs - Time from the start of one shot to the start of the next
+     * @param {number} [options.count] - Stop after this many shots
+     * @param {Date|number} [options.endTime] - Take no shot due after this time (Date or Date.now() value)
+     * @param {number} [options.minBatteryLevel] - Stop when a camera reports a battery percentage below this
+     * @param {Object} [options.ramp] - Change a setting gradually over the run (see getRampValues() in settings.js)
+     * @param {string} options.ramp.type - 'ev_bias', 'exposure_time', 'iso' or 'aperture'
+     * @param {string} options.ramp.from - Value of the first shot
+     * @param {string} options.ramp.to - Value reached at the last shot
+     * @param {number} [options.ramp.shots] - Shots the ramp spans (default: count, or the shots
+     *        until endTime); later shots keep `to`
+     * @param {boolean} [options.stopOnError=false] - Stop at the first failed shot instead of carrying on
+     * @param {Object} [options.captureOptions] - Passed to takePhoto() / captureAll() and setSetting()
+     *        (timeoutMs)
+     * @param {Function} [options.onShot] - Called with an IntervalShot after each shot
+     * @param {Function} [options.onStateChange] - Called with 'running', 'paused' or 'stopped'
+     * @param {Function} [options.onStop] - Called with the IntervalSummary when the run ends
+     * @throws {TypeError} If the interval, count, end time or ramp length is missing or invalid
+     * @throws {CameraSettingError} If the ramp's type or values cannot be ramped
+     */
+    constructor(source, options = {}) {
+        const { intervalMs, count, endTime, ramp } = options;
+
+        if (!(intervalMs > 0)) {
+            throw new TypeError('Intervalometer needs an intervalMs above 0');
+        }
+        if (count !== undefined && !(Number.isInteger(count) && count >= 1)) {
+            throw new TypeError('Intervalometer count must be a whole number of at least 1');
+        }
+        if (endTime !== undefined && !Number.isFinite(Number(endTime))) {
+            throw new TypeError('Intervalometer endTime must be a Date or a time in milliseconds');
+        }
+        if (ramp) {
+            getRampValues(ramp.type, ramp.from, ramp.to, 1);
+            if (ramp.shots === undefined && count === undefined && endTime === undefined) {
+                throw new TypeError('An exposure ramp needs ramp.shots, a count or an endTime to know its length');
+            }
+        }
+
+        this.source = source;
+        this.intervalMs = intervalMs;
+        this.count = count ?? Infinity;
+        this.endTime = endTime !== undefined ? Number(endTime) : null;
+        this.minBatteryLevel = options.minBatteryLevel ?? null;
+        this.ramp = ramp ?? null;
+        this.stopOnError = options.stopOnError ?? false;
+        this.captureOptions = options.captureOptions ?? {};
+        this.callbacks = {
+            onShot: options.onShot,
+            onStateChange: options.onStateChange,
+            onStop: options.onStop,
+        };
+
+        // 'idle', 'running', 'paused' or 'stopped'
+        this.state = 'idle';
+        this.run = null;
+
+        this._resetCounters();
+    }
+
+    /**
+     * Starts a run; the first shot is taken straight away
+     *
+     * @throws {Error} If already running or paused
+     */
+    start() {
+        if (this.state === 'running' || this.state === 'paused') {
+            throw new Error('Intervalometer is already running');
+        }
+
+        this._resetCounters();
+        this.anchor = now();
+        this.startedAt = Date.now();
+        if (this.ramp) {
+            const shots = this.ramp.shots
+                ?? (Number.isFinite(this.count) ? this.count : Math.floor((this.endTime - this.startedAt) / this.intervalMs) + 1);
+            this.rampValues = getRampValues(this.ramp.type, this.ramp.from, this.ramp.to, Math.max(1, shots));
+        }
+
+        this._setState('running');
+        this.run = this._run();
+    }
+
+    /**
+     * Holds off further shots; a shot in progress finishes. The end time
+     * still applies while paused.
+     */
+    pause() {
+        if (this.state !== 'running') return;
+        this.pausedAt = now();
+        this._setState('paused');
+        this._wake();
+    }
+
+    /**
+     * Continues after pause(), with the remaining slots moved back by the time spent paused
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+        this.anchor += now() - this.pausedAt;
+        this.pausedAt = null;
+        this._setState('running');
+        this._wake();
+    }
+
+    /**
+     * Ends the run once any shot in progress has finished
+     *
+     * @returns {Promise<IntervalSummary|null>} null if start() was never called
+     */
+    stop() {
+        this._stopFor('stopped');
+        return this.whenStopped();
+    }
+
+    /**
+     * Waits until the run ends, by stop() or one of the limits
+     *
+     * @returns {Promise<IntervalSummary|null>} null if start() was never called
+     */
+    whenStopped() {
+        return this.run ?? Promise.resolve(null);
+    }
+
+    /**
+     * @private
+     */
+    _resetCounters() {
+        this.anchor = null;
+        this.startedAt = null;
+        this.pausedAt = null;
+        this.slot = 0;
+        this.shots = 0;
+        this.failures = 0;
+        this.missed = 0;
+        this.rampValues = null;
+        this.appliedRampValue = null;
+        this.stopReason = null;
+        this.error = null;
+        this.lowBattery = null;
+        this.timer = null;
+        this.wakeUp = null;
+    }
+
+    /**
+     * Takes shots until a limit is reached or stop() is called
+     *
+     * @private
+     * @returns {Promise<IntervalSummary>}
+     */
+    async _run() {
+        while (!this.stopReason) {
+            if (this.state === 'paused') {
+                await this._sleep(this.endTime !== null ? this.endTime - Date.now() : Infinity);
+                if (this.endTime !== null && Date.now() >= this.endTime) this._stopFor('endTime');
+                continue;
+            }
+
+            const dueAt = this.anchor + this.slot * this.intervalMs;
+            const wait = dueAt - now();
+            if (this.endTime !== null && Date.now() + Math.max(0, wait) > this.endTime) {
+                this._stopFor('endTime');
+                break;
+            }
+            if (wait > 0) {
+                // Woken early by pause() or stop(); either way, look again
+                await this._sleep(wait);
+                continue;
+            }
+
+            const shot = await this._shoot(dueAt);
+            if (!shot) continue;
+
+            if (this.shots >= this.count) this._stopFor('count');
+
+            // Drift correction: the next slot is counted from the start, skipping any already past
+            // (only missed if the run goes on)
+            const nextSlot = Math.max(this.slot + 1, Math.floor((now() - this.anchor) / this.intervalMs));
+            if (!this.stopReason) this.missed += nextSlot - this.slot - 1;
+            this.slot = nextSlot;
+
+            shot.missed = this.missed;
+            shot.nextShotAt = this.stopReason ? null : Date.now() + (this.anchor + nextSlot * this.intervalMs - now());
+            this._notify('onShot', shot);
+        }
+
+        const summary = {
+            reason: this.stopReason,
+            error: this.error,
+            shots: this.shots,
+            failures: this.failures,
+            missed: this.missed,
+            startedAt: new Date(this.startedAt).toISOString(),
+            durationMs: Date.now() - this.startedAt,
+            lowBattery: this.lowBattery,
+        };
+        this._setState('stopped');
+        this._notify('onStop', summary);
+        return summary;
+    }
+
+    /**
+     * Checks the batteries, applies the ramp and takes one shot
+     *
+     * @private
+     * @param {number} dueAt - now() time the slot was due
+     * @returns {Promise<IntervalShot|null>} Without missed / nextShotAt; null if the
+     *          battery check stopped the run instead
+     */
+    async _shoot(dueAt) {
+        const startTime = now();
+        const shot = {
+            shot: this.shots + 1,
+            slot: this.slot,
+            scheduledAt: Date.now() - (startTime - dueAt),
+            lateMs: startTime - dueAt,
+            durationMs: 0,
+            rampValue: this.rampValues?.[Math.min(this.shots, this.rampValues.length - 1)] ?? null,
+            result: null,
+            error: null,
+            failures: this.failures,
+            missed: this.missed,
+            remaining: null,
+            nextShotAt: null,
+        };
+
+        if (this.minBatteryLevel !== null) {
+            this.lowBattery = await this._findLowBattery();
+            if (this.lowBattery) {
+                this._stopFor('lowBattery');
+                return null;
+            }
+        }
+
+        try {
+            if (shot.rampValue !== null && shot.rampValue !== this.appliedRampValue) {
+                await this._applyRampValue(shot.rampValue);
+            }
+
+            if (this.source instanceof CameraManager) {
+                shot.result = await this.source.captureAll(this.captureOptions);
+                shot.error = shot.result.length === 0
+                    ? new CameraDisconnectedError('No camera is connected')
+                    : shot.result.find(r => r.status === 'error')?.error ?? null;
+            } else {
+                shot.result = await this.source.takePhoto(this.captureOptions);
+            }
+        } catch (error) {
+            shot.error = error;
+        }
+
+        this.shots++;
+        if (shot.error) {
+            this.failures++;
+            if (this.stopOnError) {
+                this.error ??= shot.error;
+                this._stopFor('error');
+            }
+        }
+
+        shot.durationMs = now() - startTime;
+        shot.failures = this.failures;
+        shot.remaining = Number.isFinite(this.count) ? this.count - this.shots : null;
+        return shot;
+    }
+
+    /**
+     * Sets the ramped setting on the camera(s)
+     *
+     * @private
+     * @throws {CameraError} The (first camera's) setSetting() failure
+     */
+    async _applyRampValue(value) {
+        const { type } = this.ramp;
+
+        if (this.source instanceof CameraManager) {
+            const results = await this.source.setSettingAll(type, value, this.captureOptions);
+            const failure = results.find(r => r.status === 'error');
+            if (failure) throw failure.error;
+        } else {
+            await this.source.setSetting(type, value, this.captureOptions);
+        }
+        this.appliedRampValue = value;
+    }
+
+    /**
+     * Refreshes the battery levels and finds a camera below minBatteryLevel
+     *
+     * A camera whose status cannot be read is judged on its last known level.
+     *
+     * @private
+     * @returns {Promise<{camera: CameraDevice, batteryLevel: number}|null>}
+     */
+    async _findLowBattery() {
+        const cameras = this.source instanceof CameraManager ? this.source.connectedCameras : [this.source];
+        await Promise.all(cameras.map(camera => camera.getStatus(this.captureOptions).catch(() => {})));
+
+        const camera = cameras.find(camera => camera.batteryLevel !== null && camera.batteryLevel < this.minBatteryLevel);
+        return camera ? { camera, batteryLevel: camera.batteryLevel } : null;
+    }
+
+    /**
+     * Waits, until woken early by pause(), resume() or stop()
+     *
+     * @private
+     * @param {number} ms - Infinity waits only for a wake-up
+     */
+    _sleep(ms) {
+        return new Promise(resolve => {
+            this.wakeUp = resolve;
+            if (Number.isFinite(ms)) this.timer = setTimeout(resolve, Math.max(0, ms));
+        });
+    }
+
+    /**
+     * @private
+     */
+    _wake() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.wakeUp?.();
+        this.wakeUp = null;
+    }
+
+    /**
+     * @private
+     */
+    _stopFor(reason) {
+        if (this.state !== 'running' && this.state !== 'paused') return;
+        this.stopReason ??= reason;
+        this._wake();
+    }
+
+    /**
+     * @private
+     */
+    _setState(state) {
+        this.state = state;
+        this._notify('onStateChange', state);
+    }
+
+    /**
+     * @private
+     */
+    _notify(name, value) {
+        try {
+            this.callbacks[name]?.(value);
+        } catch (error) {
+            console.warn(`Intervalometer ${name} callback failed:`, error);
+        }
+    }
+}
+
+export default Intervalometer;
@@ -0,0 +1,217 @@
+/*
+    LiveViewAnalyzer.js - Live histogram, clipping and focus peaking (browsers only)
+    https://github.com/jsyang/dxo1control
+
+    Analyzes a camera's live view in a worker (analysisworker.js) and reports
+    the histogram, clipped highlights / shadows and a focus score for each
+    analyzed frame, with an overlay image to draw on top of the preview:
+
+        const analyzer = new LiveViewAnalyzer(camera, { clipping: true, peaking: true });
+        analyzer.addEventListener('analysis', e => {
+            const { analysis, overlay } = e.detail;
+            overlayContext.drawImage(overlay, 0, 0, overlayCanvas.width, overlayCanvas.height);
+            if (analysis.clipping.highlights > 0.01) warn('Highlights clipping');
+        });
+        analyzer.start();
+
+    Frames come from camera.liveViewFrames(), so live view is started if it
+    is not running. One frame is analyzed at a time; frames arriving
+    meanwhile are dropped, so a slow computer analyzes fewer frames rather
+    than falling behind. The figures are computed by frameanalysis.js, which
+    also works without a worker (e.g. under Node.js with a JPEG decoder).
+*/
+
+import { CameraEvent } from './CameraEvent.js';
+import { DEFAULT_ANALYSIS_OPTIONS } from './frameanalysis.js';
+
+const DEFAULT_MAX_FPS = 5;
+
+// Frames wider than this are scaled down before analysis
+const DEFAULT_MAX_WIDTH = 640;
+
+/**
+ * LiveViewAnalyzer - Worker-based exposure and focus analysis of a camera's live view
+ *
+ * Dispatches CameraEvents (detail.camera is the analyzed camera):
+ * - 'analysis' - detail.analysis (FrameAnalysis without the overlay pixels), detail.overlay
+ *                (ImageBitmap, or null if no overlay is enabled; closed when the next
+ *                analysis arrives), detail.frameIndex
+ * - 'stopped'  - analysis ended; detail.error if live view or the worker failed
+ */
+export class LiveViewAnalyzer extends EventTarget {
+    /**
+     * @param {CameraDevice} camera
+     * @param {Object} [options]
+     * @param {number} [options.maxFps=5] - Analyses per second at most
+     * @param {number} [options.maxWidth=640] - Analyze a copy scaled down to this width
+     * @param {boolean} [options.clipping=false] - Overlay clipped highlights (red) and shadows (blue)
+     * @param {boolean} [options.peaking=false] - Overlay in-focus edges (yellow)
+     * @param {number} [options.highlightThreshold=250] - See DEFAULT_ANALYSIS_OPTIONS in frameanalysis.js
+     * @param {number} [options.shadowThreshold=5]
+     * @param {number} [options.peakingThreshold=160]
+     * @throws {TypeError} Outside a browser supporting module workers and OffscreenCanvas
+     */
+    constructor(camera, options = {}) {
+        super();
+
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+            throw new TypeError('LiveViewAnalyzer needs a browser with Worker and OffscreenCanvas');
+        }
+
+        this.camera = camera;
+        this.maxFps = options.maxFps ?? DEFAULT_MAX_FPS;
+        this.options = {
+            ...DEFAULT_ANALYSIS_OPTIONS,
+            maxWidth: DEFAULT_MAX_WIDTH,
+            clipping: false,
+            peaking: false,
+        };
+        this.setOptions(options);
+
+        // Most recent 'analysis' detail
+        this.latest = null;
+
+        // Set while running
+        this.frames = null;
+        this.worker = null;
+
+        // Request waiting for the worker: {id, resolve, reject}
+        this.pending = null;
+        this.nextRequestId = 1;
+        this.workerError = null;
+    }
+
+    /**
+     * Gets whether analysis is running
+     *
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.frames !== null;
+    }
+
+    /**
+     * Changes overlays or thresholds; applies from the next analyzed frame
+     *
+     * @param {Object} options - Any constructor option except maxFps
+     */
+    setOptions(options) {
+        for (const key of Object.keys(this.options)) {
+            if (options[key] !== undefined) this.options[key] = options[key];
+        }
+    }
+
+    /**
+     * Starts analyzing live view frames
+     */
+    start() {
+        if (this.frames) return;
+
+        this.workerError = null;
+        this.worker = new Worker(new URL('./analysisworker.js', import.meta.url), { type: 'module' });
+        this.worker.addEventListener('message', event => this._handleWorkerMessage(event.data));
+        this.worker.addEventListener('error', event => {
+            event.preventDefault();
+            this.workerError = new Error(`Analysis worker failed: ${event.message || 'could not be loaded'}`);
+            this._rejectPending(this.workerError);
+        });
+
+        this.frames = this.camera.liveViewFrames({ maxFps: this.maxFps });
+        this._analyzeFrames(this.frames, this.worker);
+    }
+
+    /**
+     * Stops analyzing; stops live view if starting the analyzer started it
+     */
+    stop() {
+        const frames = this.frames;
+        if (!frames) return;
+
+        this.frames = null;
+        this.worker = null;
+        frames.close();
+    }
+
+    /**
+     * Analyzes frames until the live view stream ends
+     *
+     * @private
+     * @param {LiveViewStream} frames
+     * @param {Worker} worker - Terminated afterwards
+     */
+    async _analyzeFrames(frames, worker) {
+        let error = null;
+
+        try {
+            for await (const frame of frames) {
+                const { analysis, overlay, error: frameError } = await this._request(worker, frame.data);
+
+                // stop() while the worker was busy
+                if (this.frames !== frames) {
+                    overlay?.close();
+                    break;
+                }
+                // A frame the browser cannot decode; try the next one
+                if (frameError) continue;
+
+                this.latest?.overlay?.close();
+                this.latest = { camera: this.camera, analysis, overlay, frameIndex: frame.index };
+                this.dispatchEvent(new CameraEvent('analysis', this.latest));
+            }
+        } catch (e) {
+            error = e;
+            frames.close();
+        }
+
+        worker.terminate();
+        // Unless stop() or a new start() came first
+        if (this.frames === frames) {
+            this.frames = null;
+            this.worker = null;
+        }
+        this.dispatchEvent(new CameraEvent('stopped', { camera: this.camera, error }));
+    }
+
+    /**
+     * Sends one frame to the worker
+     *
+     * The frame is copied, not transferred: other consumers of the live view
+     * share the same bytes.
+     *
+     * @private
+     */
+    _request(worker, jpeg) {
+        if (this.workerError) return Promise.reject(this.workerError);
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pending = { id, resolve, reject };
+            worker.postMessage({ id, jpeg, options: this.options });
+        });
+    }
+
+    /**
+     * @private
+     */
+    _handleWorkerMessage(message) {
+        const pending = this.pending;
+        if (!pending || pending.id !== message.id) {
+            message.overlay?.close();
+            return;
+        }
+
+        this.pending = null;
+        pending.resolve(message);
+    }
+
+    /**
+     * @private
+     */
+    _rejectPending(error) {
+        const pending = this.pending;
+        this.pending = null;
+        pending?.reject(error);
+    }
+}
+
+export default LiveViewAnalyzer;
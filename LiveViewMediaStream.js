@@ -0,0 +1,215 @@
+/*
+    LiveViewMediaStream.js - Live view as a MediaStream (browsers only)
+    https://github.com/jsyang/dxo1control
+
+    Draws a camera's live view onto a canvas and exposes
+    canvas.captureStream() as a MediaStream, for <video>, recording, or
+    WebRTC and streaming tools:
+
+        const media = new LiveViewMediaStream(camera, { fps: 15 });
+        video.srcObject = media.start();
+        peerConnection.addTrack(media.stream.getVideoTracks()[0], media.stream);
+
+        media.startRecording();
+        // ...
+        const webm = await media.stopRecording();
+
+    Frames come from camera.liveViewFrames(), so live view is started if it
+    is not running and the canvas always shows the newest frame. The canvas
+    takes the size of the frames. When live view ends, a running recording
+    is finished and 'recordingStopped' carries the file.
+*/
+
+import { CameraEvent } from './CameraEvent.js';
+import { now } from './platform.js';
+
+const DEFAULT_FPS = 15;
+
+// Recording formats, most preferred first
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * LiveViewMediaStream - Canvas-backed MediaStream of a camera's live view
+ *
+ * Dispatches CameraEvents (detail.camera is the source camera):
+ * - 'recordingStarted' - detail.mimeType
+ * - 'recordingStopped' - detail.blob (the WebM file), detail.durationMs
+ * - 'stopped'          - the stream ended; detail.error if live view failed
+ */
+export class LiveViewMediaStream extends EventTarget {
+    /**
+     * @param {CameraDevice} camera
+     * @param {Object} [options]
+     * @param {HTMLCanvasElement} [options.canvas] - Canvas to draw on, e.g. one shown on the
+     *        page (default: a new, detached canvas)
+     * @param {number} [options.fps=15] - Frame rate of the stream; faster live view frames are skipped
+     * @throws {TypeError} Outside a browser supporting HTMLCanvasElement.captureStream()
+     */
+    constructor(camera, options = {}) {
+        super();
+
+        const canvas = options.canvas ?? (typeof document !== 'undefined' ? document.createElement('canvas') : null);
+        if (typeof canvas?.captureStream !== 'function') {
+            throw new TypeError('LiveViewMediaStream needs a browser with HTMLCanvasElement.captureStream()');
+        }
+
+        this.camera = camera;
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.fps = options.fps ?? DEFAULT_FPS;
+
+        // Set while running
+        this.stream = null;
+        this.frames = null;
+
+        // Set while recording; `recording` resolves with the file and outlives the recorder
+        this.recorder = null;
+        this.recording = null;
+    }
+
+    /**
+     * Gets whether a recording is in progress
+     *
+     * @returns {boolean}
+     */
+    get isRecording() {
+        return this.recorder !== null;
+    }
+
+    /**
+     * Starts drawing live view frames
+     *
+     * @returns {MediaStream} The canvas stream (also `this.stream`)
+     */
+    start() {
+        if (this.stream) return this.stream;
+
+        this.frames = this.camera.liveViewFrames({ format: 'imagebitmap', maxFps: this.fps });
+        this.stream = this.canvas.captureStream(this.fps);
+        this._drawFrames(this.frames, this.stream);
+        return this.stream;
+    }
+
+    /**
+     * Stops drawing and ends the MediaStream (and any recording)
+     *
+     * Stops live view if starting this stream started it.
+     */
+    stop() {
+        if (!this.frames) return;
+
+        // The draw loop ends the canvas stream's tracks once the frames are closed;
+        // start() may begin a new stream before that
+        this.frames.close();
+        if (this.recorder && this.recorder.state !== 'inactive') this.recorder.stop();
+        this.frames = null;
+        this.stream = null;
+    }
+
+    /**
+     * Starts recording the stream to WebM, starting the stream if needed
+     *
+     * @param {Object} [options]
+     * @param {string} [options.mimeType] - Recording format (default: the first supported
+     *        of VP9, VP8 or plain WebM)
+     * @param {number} [options.videoBitsPerSecond] - Target bit rate
+     * @param {number} [options.timesliceMs=1000] - How often recorded data is collected
+     * @throws {TypeError} If MediaRecorder is not available
+     * @throws {Error} If already recording
+     */
+    startRecording(options = {}) {
+        if (typeof MediaRecorder === 'undefined') {
+            throw new TypeError('Recording needs MediaRecorder, which this environment lacks');
+        }
+        if (this.recorder) {
+            throw new Error(`Already recording ${this.camera.displayName}`);
+        }
+
+        const { videoBitsPerSecond, timesliceMs = 1000 } = options;
+        const mimeType = options.mimeType ?? WEBM_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+
+        const recorder = new MediaRecorder(this.start(), { mimeType, videoBitsPerSecond });
+        const chunks = [];
+        const startedAt = now();
+
+        recorder.addEventListener('dataavailable', event => {
+            if (event.data.size > 0) chunks.push(event.data);
+        });
+        this.recording = new Promise((resolve, reject) => {
+            recorder.addEventListener('stop', () => {
+                const blob = new Blob(chunks, { 'type': recorder.mimeType || mimeType || 'video/webm' });
+                this.recorder = null;
+                this._emit('recordingStopped', { blob, durationMs: now() - startedAt });
+                resolve(blob);
+            });
+            recorder.addEventListener('error', event => {
+                this.recorder = null;
+                reject(event.error);
+            });
+        });
+        // stopRecording() hands the outcome to the caller; don't report it twice
+        this.recording.catch(() => {});
+
+        recorder.start(timesliceMs);
+        this.recorder = recorder;
+        this._emit('recordingStarted', { mimeType: recorder.mimeType });
+    }
+
+    /**
+     * Finishes the recording; the stream keeps running
+     *
+     * @returns {Promise<Blob>} The WebM file
+     * @throws {Error} If nothing was recorded
+     */
+    stopRecording() {
+        if (!this.recording) {
+            return Promise.reject(new Error(`Not recording ${this.camera.displayName}`));
+        }
+
+        if (this.recorder?.state !== 'inactive') this.recorder?.stop();
+        return this.recording;
+    }
+
+    /**
+     * Draws frames until the live view stream ends
+     *
+     * @private
+     * @param {LiveViewStream} frames
+     * @param {MediaStream} stream - The canvas stream ended afterwards
+     */
+    async _drawFrames(frames, stream) {
+        let error = null;
+
+        try {
+            for await (const frame of frames) {
+                const bitmap = frame.data;
+                if (this.canvas.width !== bitmap.width || this.canvas.height !== bitmap.height) {
+                    this.canvas.width = bitmap.width;
+                    this.canvas.height = bitmap.height;
+                }
+                this.context.drawImage(bitmap, 0, 0);
+                bitmap.close();
+            }
+        } catch (e) {
+            error = e;
+        }
+
+        stream.getTracks().forEach(track => track.stop());
+        // Unless start() has already begun a new stream
+        if (this.frames === frames) {
+            if (this.recorder && this.recorder.state !== 'inactive') this.recorder.stop();
+            this.stream = null;
+            this.frames = null;
+        }
+        this._emit('stopped', { error });
+    }
+
+    /**
+     * @private
+     */
+    _emit(type, detail = {}) {
+        this.dispatchEvent(new CameraEvent(type, { camera: this.camera, ...detail }));
+    }
+}
+
+export default LiveViewMediaStream;
@@ -0,0 +1,479 @@
+/*
+    LiveViewRecorder.js - Save a camera's live view to disk
+    https://github.com/jsyang/dxo1control
+
+    Writes the live view JPEGs as they arrive, unchanged, into a directory:
+
+        const recorder = new LiveViewRecorder(camera, {
+            directory: await showDirectoryPicker({ mode: 'readwrite' }),   // a path under Node.js
+            format: 'avi',
+            maxDurationMs: 60000,
+        });
+        recorder.addEventListener('stopped', e => console.log(e.detail.summary));
+        await recorder.start();
+        ...
+        await recorder.stop();
+
+    Formats:
+    - 'sequence' - one file per frame: <name>-000001.jpg, <name>-000002.jpg, ...
+    - 'mjpeg'    - <name>.mjpeg, the JPEGs back to back (plays in ffplay / VLC)
+    - 'avi'      - <name>.avi, Motion JPEG in an AVI container (plays almost anywhere)
+
+    Each recording also gets a sidecar, <name>.csv, with one line per frame:
+    its number, when it arrived (ms since the first frame and wall clock
+    time), the live view frame index, its size and where it was written
+    (file, and byte offset of the JPEG inside a .mjpeg / .avi). Players show
+    an AVI at its average frame rate; the sidecar has the real timing.
+
+    Frames come from camera.liveViewFrames(), so live view is started if it
+    is not running. When the disk is slower than the camera, frames are
+    dropped rather than queued (see LiveViewStream.js); the gaps show in
+    the camera_frame column.
+*/
+
+import { CameraEvent } from './CameraEvent.js';
+import { getJPEGSize } from './protocol.js';
+import { createFileWriter, now } from './platform.js';
+
+export const RECORDING_FORMATS = ['sequence', 'mjpeg', 'avi'];
+
+const SIDECAR_HEADER = 'frame,time_ms,wall_time,camera_frame,bytes,file,offset\n';
+
+// AVI 1.0 (RIFF) files are limited to 1 GiB by most players
+const MAX_AVI_BYTES = 1024 * 1024 * 1024;
+
+// AVI layout: RIFF header (12) + hdrl list (200) + movi list header (12)
+const AVI_HEADER_SIZE = 224;
+// Where 'movi' is written; idx1 offsets are relative to it
+const AVI_MOVI_OFFSET = 220;
+const AVI_CHUNK_HEADER_SIZE = 8;
+const AVI_INDEX_ENTRY_SIZE = 16;
+const AVIF_HASINDEX = 0x10;
+const AVIIF_KEYFRAME = 0x10;
+
+const encoder = new TextEncoder();
+
+/**
+ * Outcome of a recording
+ * @typedef {Object} RecordingSummary
+ * @property {string} format - 'sequence', 'mjpeg' or 'avi'
+ * @property {string|null} path - The .mjpeg / .avi file, or null for an image sequence
+ * @property {string} sidecarPath - The .csv file
+ * @property {number} frames - Frames written
+ * @property {number} bytes - Bytes written, not counting the sidecar
+ * @property {number} durationMs - From the first to the last frame written
+ * @property {string} reason - Why it stopped: 'stopped', 'maxFrames', 'maxBytes',
+ *           'maxDuration', 'liveViewEnded' or 'error'
+ * @property {Error|null} error - Set when reason is 'error', or live view failed
+ * @property {LiveViewStats} stats - Of the live view stream (frames dropped etc.)
+ */
+
+/**
+ * Builds the RIFF header of a Motion JPEG AVI
+ *
+ * @private
+ * @returns {Uint8Array} AVI_HEADER_SIZE bytes
+ */
+function buildAVIHeader({ frameCount, fps, width, height, maxFrameSize, fileSize }) {
+    const header = new Uint8Array(AVI_HEADER_SIZE);
+    const view = new DataView(header.buffer);
+    let offset = 0;
+
+    const fourcc = value => {
+        header.set(encoder.encode(value), offset);
+        offset += 4;
+    };
+    const uint32 = value => {
+        view.setUint32(offset, value, true);
+        offset += 4;
+    };
+    const uint16 = value => {
+        view.setUint16(offset, value, true);
+        offset += 2;
+    };
+
+    const moviSize = fileSize - AVI_HEADER_SIZE - AVI_CHUNK_HEADER_SIZE - frameCount * AVI_INDEX_ENTRY_SIZE + 4;
+    const rate = Math.max(1, Math.round(fps * 1000));
+
+    fourcc('RIFF'); uint32(fileSize - 8); fourcc('AVI ');
+
+    fourcc('LIST'); uint32(192); fourcc('hdrl');
+    fourcc('avih'); uint32(56);
+    uint32(Math.round(1e6 / fps));                    // dwMicroSecPerFrame
+    uint32(Math.round(maxFrameSize * fps));           // dwMaxBytesPerSec
+    uint32(0);                                        // dwPaddingGranularity
+    uint32(AVIF_HASINDEX);                            // dwFlags
+    uint32(frameCount);                               // dwTotalFrames
+    uint32(0);                                        // dwInitialFrames
+    uint32(1);                                        // dwStreams
+    uint32(maxFrameSize);                             // dwSuggestedBufferSize
+    uint32(width); uint32(height);
+    offset += 16;                                     // dwReserved[4]
+
+    fourcc('LIST'); uint32(116); fourcc('strl');
+    fourcc('strh'); uint32(56);
+    fourcc('vids'); fourcc('MJPG');
+    uint32(0);                                        // dwFlags
+    uint16(0); uint16(0);                             // wPriority, wLanguage
+    uint32(0);                                        // dwInitialFrames
+    uint32(1000); uint32(rate);                       // dwScale, dwRate: frames per second x 1000
+    uint32(0);                                        // dwStart
+    uint32(frameCount);                               // dwLength
+    uint32(maxFrameSize);                             // dwSuggestedBufferSize
+    uint32(0xFFFFFFFF);                               // dwQuality: default
+    uint32(0);                                        // dwSampleSize
+    uint16(0); uint16(0); uint16(width); uint16(height); // rcFrame
+
+    fourcc('strf'); uint32(40);                       // BITMAPINFOHEADER
+    uint32(40);
+    uint32(width); uint32(height);
+    uint16(1); uint16(24);                            // biPlanes, biBitCount
+    fourcc('MJPG');
+    uint32(width * height * 3);                       // biSizeImage
+    offset += 16;                                     // resolution, palette
+
+    fourcc('LIST'); uint32(moviSize); fourcc('movi');
+
+    return header;
+}
+
+/**
+ * LiveViewRecorder - Tees a camera's live view frames to files
+ *
+ * Dispatches CameraEvents (detail.camera is the recorded camera):
+ * - 'frameRecorded' - detail.frames, detail.bytes, detail.durationMs so far
+ * - 'stopped'       - detail.reason, detail.error, detail.summary (RecordingSummary)
+ */
+export class LiveViewRecorder extends EventTarget {
+    /**
+     * @param {CameraDevice} camera
+     * @param {Object} options
+     * @param {FileSystemDirectoryHandle|string} options.directory - Where files are written:
+     *        a File System Access API directory handle in browsers, a path under Node.js
+     * @param {'sequence'|'mjpeg'|'avi'} [options.format='sequence']
+     * @param {string} [options.name='liveview'] - File name prefix
+     * @param {number} [options.maxFrames] - Stop after this many frames
+     * @param {number} [options.maxBytes] - Stop before the recording (without the sidecar)
+     *        would exceed this size; AVI files are always kept under 1 GiB
+     * @param {number} [options.maxDurationMs] - Stop this long after start()
+     * @param {number} [options.maxFps] - Record at most this many frames per second
+     * @throws {TypeError} If the directory is missing or the format unknown
+     */
+    constructor(camera, options = {}) {
+        super();
+
+        if (!options.directory) {
+            throw new TypeError('LiveViewRecorder needs a directory');
+        }
+        const format = options.format ?? 'sequence';
+        if (!RECORDING_FORMATS.includes(format)) {
+            throw new TypeError(`Unknown recording format "${format}": expected ${RECORDING_FORMATS.join(', ')}`);
+        }
+
+        this.camera = camera;
+        this.directory = options.directory;
+        this.format = format;
+        this.name = options.name ?? 'liveview';
+        this.maxFrames = options.maxFrames ?? Infinity;
+        this.maxBytes = Math.min(options.maxBytes ?? Infinity, format === 'avi' ? MAX_AVI_BYTES : Infinity);
+        this.maxDurationMs = options.maxDurationMs ?? Infinity;
+        this.maxFps = options.maxFps;
+
+        // Set while recording
+        this.frames = null;
+        this.recording = null;
+        this.stopReason = null;
+
+        this._resetCounters();
+    }
+
+    /**
+     * Gets whether a recording is in progress
+     *
+     * @returns {boolean}
+     */
+    get isRecording() {
+        return this.frames !== null;
+    }
+
+    /**
+     * Creates the files and starts recording
+     *
+     * @returns {Promise<void>} Resolves once recording has begun
+     * @throws {Error} If already recording, or a file cannot be created
+     */
+    async start() {
+        if (this.recording) throw new Error('LiveViewRecorder is already recording');
+
+        this._resetCounters();
+        this.stopReason = null;
+
+        let resolveRecording;
+        this.recording = new Promise(resolve => resolveRecording = resolve);
+
+        try {
+            this.sidecar = await createFileWriter(this.directory, `${this.name}.csv`);
+            await this.sidecar.write(encoder.encode(SIDECAR_HEADER));
+
+            if (this.format !== 'sequence') {
+                this.container = await createFileWriter(this.directory, `${this.name}.${this.format}`);
+                if (this.format === 'avi') {
+                    // Filled in by _finish(), once the frame count and rate are known
+                    await this.container.write(new Uint8Array(AVI_HEADER_SIZE));
+                    this.bytes = AVI_HEADER_SIZE;
+                }
+            }
+        } catch (error) {
+            await this._abortFiles();
+            this.recording = null;
+            throw error;
+        }
+
+        this.frames = this.camera.liveViewFrames({ maxFps: this.maxFps });
+        // stop() while the files were being created
+        if (this.stopReason) this.frames.close();
+        if (Number.isFinite(this.maxDurationMs)) {
+            this.timer = setTimeout(() => this._stopFor('maxDuration'), this.maxDurationMs);
+        }
+
+        this._record(this.frames).then(resolveRecording);
+    }
+
+    /**
+     * Stops recording and finishes the files; stops live view if starting the
+     * recorder started it
+     *
+     * @returns {Promise<RecordingSummary|null>} null if no recording was started
+     */
+    stop() {
+        this._stopFor('stopped');
+        return this.whenStopped();
+    }
+
+    /**
+     * Waits until the recording ends, by stop() or one of the limits
+     *
+     * @returns {Promise<RecordingSummary|null>} null if no recording was started
+     */
+    whenStopped() {
+        return this.recording ?? Promise.resolve(null);
+    }
+
+    /**
+     * @private
+     */
+    _resetCounters() {
+        this.sidecar = null;
+        this.container = null;
+        this.timer = null;
+        this.frameCount = 0;
+        this.bytes = 0;
+        this.maxFrameSize = 0;
+        this.frameSize = null;
+        this.firstFrameTime = null;
+        this.lastFrameTime = null;
+        // AVI index: [offset, size] of each chunk
+        this.index = [];
+    }
+
+    /**
+     * @private
+     */
+    _stopFor(reason) {
+        if (!this.recording) return;
+        this.stopReason ??= reason;
+        this.frames?.close();
+    }
+
+    /**
+     * Writes frames until the stream ends or a limit is reached
+     *
+     * @private
+     * @param {LiveViewStream} frames
+     * @returns {Promise<RecordingSummary>}
+     */
+    async _record(frames) {
+        let error = null;
+
+        try {
+            for await (const frame of frames) {
+                if (this.bytes + this._frameCost(frame.data) > this.maxBytes) {
+                    this._stopFor('maxBytes');
+                    break;
+                }
+                await this._writeFrame(frame);
+
+                if (this.frameCount >= this.maxFrames) {
+                    this._stopFor('maxFrames');
+                    break;
+                }
+            }
+        } catch (e) {
+            error = e;
+            this.stopReason ??= 'error';
+            frames.close();
+        }
+
+        clearTimeout(this.timer);
+        this.frames = null;
+
+        try {
+            await this._finish();
+        } catch (e) {
+            error ??= e;
+            this.stopReason = 'error';
+        }
+
+        const summary = {
+            format: this.format,
+            path: this.container?.path ?? null,
+            sidecarPath: this.sidecar?.path ?? null,
+            frames: this.frameCount,
+            bytes: this.bytes,
+            durationMs: this.frameCount > 0 ? this.lastFrameTime - this.firstFrameTime : 0,
+            reason: this.stopReason ?? 'liveViewEnded',
+            error,
+            stats: frames.stats,
+        };
+        this.recording = null;
+        this._emit('stopped', { reason: summary.reason, error, summary });
+        return summary;
+    }
+
+    /**
+     * Bytes a frame adds to the recording
+     *
+     * @private
+     */
+    _frameCost(jpeg) {
+        if (this.format !== 'avi') return jpeg.length;
+        // Chunk header, padding to an even size, and its idx1 entry (plus the idx1 header once)
+        return AVI_CHUNK_HEADER_SIZE + jpeg.length + (jpeg.length % 2) + AVI_INDEX_ENTRY_SIZE +
+            (this.frameCount === 0 ? AVI_CHUNK_HEADER_SIZE : 0);
+    }
+
+    /**
+     * @private
+     */
+    async _writeFrame(frame) {
+        const jpeg = frame.data;
+        const number = this.frameCount + 1;
+
+        let fileName;
+        let offset = '';
+        if (this.format === 'sequence') {
+            fileName = `${this.name}-${String(number).padStart(6, '0')}.jpg`;
+            const writer = await createFileWriter(this.directory, fileName);
+            try {
+                await writer.write(jpeg);
+                await writer.close();
+            } catch (error) {
+                await Promise.resolve(writer.abort()).catch(() => {});
+                throw error;
+            }
+        } else if (this.format === 'mjpeg') {
+            fileName = `${this.name}.mjpeg`;
+            offset = this.bytes;
+            await this.container.write(jpeg);
+        } else {
+            fileName = `${this.name}.avi`;
+            const chunkHeader = new Uint8Array(AVI_CHUNK_HEADER_SIZE);
+            chunkHeader.set(encoder.encode('00dc'));
+            new DataView(chunkHeader.buffer).setUint32(4, jpeg.length, true);
+
+            offset = this.bytes + AVI_CHUNK_HEADER_SIZE;
+            await this.container.write(chunkHeader);
+            await this.container.write(jpeg);
+            if (jpeg.length % 2) await this.container.write(new Uint8Array(1));
+
+            this.index.push([this.bytes - AVI_MOVI_OFFSET, jpeg.length]);
+            this.frameSize ??= getJPEGSize(jpeg);
+        }
+
+        this.frameCount = number;
+        this.bytes += this.format === 'avi'
+            ? AVI_CHUNK_HEADER_SIZE + jpeg.length + (jpeg.length % 2)
+            : jpeg.length;
+        this.maxFrameSize = Math.max(this.maxFrameSize, jpeg.length);
+        this.firstFrameTime ??= frame.timestamp;
+        this.lastFrameTime = frame.timestamp;
+
+        // frame.timestamp is monotonic; shift it onto the wall clock
+        const wallTime = new Date(Date.now() - (now() - frame.timestamp)).toISOString();
+        const timeMs = (frame.timestamp - this.firstFrameTime).toFixed(3);
+        await this.sidecar.write(encoder.encode(
+            `${number},${timeMs},${wallTime},${frame.index},${jpeg.length},${fileName},${offset}\n`
+        ));
+
+        this._emit('frameRecorded', {
+            camera: this.camera,
+            frames: this.frameCount,
+            bytes: this.bytes,
+            durationMs: this.lastFrameTime - this.firstFrameTime,
+        });
+    }
+
+    /**
+     * Closes the files, completing the AVI index and header
+     *
+     * @private
+     */
+    async _finish() {
+        const { container, sidecar } = this;
+
+        try {
+            if (container && this.format === 'avi') {
+                const frameCount = this.index.length;
+                const idx1 = new Uint8Array(AVI_CHUNK_HEADER_SIZE + frameCount * AVI_INDEX_ENTRY_SIZE);
+                const view = new DataView(idx1.buffer);
+                idx1.set(encoder.encode('idx1'));
+                view.setUint32(4, frameCount * AVI_INDEX_ENTRY_SIZE, true);
+                this.index.forEach(([offset, size], i) => {
+                    const entry = AVI_CHUNK_HEADER_SIZE + i * AVI_INDEX_ENTRY_SIZE;
+                    idx1.set(encoder.encode('00dc'), entry);
+                    view.setUint32(entry + 4, AVIIF_KEYFRAME, true);
+                    view.setUint32(entry + 8, offset, true);
+                    view.setUint32(entry + 12, size, true);
+                });
+                await container.write(idx1);
+                this.bytes += idx1.length;
+
+                const durationMs = frameCount > 1 ? this.lastFrameTime - this.firstFrameTime : 0;
+                const fps = durationMs > 0 ? (frameCount - 1) * 1000 / durationMs : (this.maxFps || 15);
+                await container.writeAt(0, buildAVIHeader({
+                    frameCount,
+                    fps,
+                    width: this.frameSize?.width ?? 0,
+                    height: this.frameSize?.height ?? 0,
+                    maxFrameSize: this.maxFrameSize,
+                    fileSize: this.bytes,
+                }));
+            }
+            await container?.close();
+        } finally {
+            await sidecar?.close();
+        }
+    }
+
+    /**
+     * Removes files of a recording that could not start
+     *
+     * @private
+     */
+    async _abortFiles() {
+        await Promise.all([this.sidecar, this.container]
+            .filter(Boolean)
+            .map(writer => Promise.resolve(writer.abort()).catch(() => {})));
+        this.sidecar = null;
+        this.container = null;
+    }
+
+    /**
+     * @private
+     */
+    _emit(type, detail) {
+        this.dispatchEvent(new CameraEvent(type, { camera: this.camera, ...detail }));
+    }
+}
+
+export default LiveViewRecorder;
@@ -0,0 +1,322 @@
+/*
+    LiveViewStream.js - Live view frames as an async iterable
+    https://github.com/jsyang/dxo1control
+
+    camera.liveViewFrames() starts live view (unless it is already running)
+    and hands out frames as fast as the consumer takes them:
+
+        const frames = camera.liveViewFrames({ format: 'imagebitmap', maxFps: 15 });
+        for await (const frame of frames) {
+            context.drawImage(frame.data, 0, 0);
+            frame.data.close();
+            showStats(frames.stats);
+        }
+
+    Only the newest frame waits for the consumer: one not taken by the time
+    the next arrives is dropped (stats.framesDropped), so a slow consumer
+    always gets a current picture instead of a growing backlog. Frames are
+    converted to the requested format when taken, so dropped frames cost
+    nothing.
+
+    Leaving the loop, close() or the signal stops live view if this stream
+    started it. toReadableStream() offers the same frames as a WHATWG stream.
+*/
+
+import { createFrameConverter, now } from './platform.js';
+
+// Span of the running fps / bytes-per-second figures
+const STATS_WINDOW_MS = 1000;
+
+// maxFps accepts frames this much early, so arrival jitter does not halve the rate
+const FRAME_INTERVAL_SLACK = 0.9;
+
+/**
+ * A live view frame
+ * @typedef {Object} LiveViewFrame
+ * @property {Uint8Array|Blob|ImageBitmap} data - The frame, in the stream's format
+ * @property {number} index - Number of the frame among all received by this stream, from 1
+ * @property {number} timestamp - When it arrived (now())
+ * @property {number} byteLength - Size of the JPEG
+ */
+
+/**
+ * Running live view statistics
+ * @typedef {Object} LiveViewStats
+ * @property {number} fps - Frames handed to the consumer per second, over the last second
+ * @property {number} receivedFps - Frames arriving from the camera per second
+ * @property {number} bytesPerSecond - JPEG bytes arriving per second
+ * @property {number} acceptedBytesPerSecond - JPEG bytes per second of the frames not skipped
+ *           (what maxBytesPerSecond limits; the camera keeps sending bytesPerSecond)
+ * @property {number} framesReceived - Frames that arrived
+ * @property {number} framesDelivered - Frames handed to the consumer
+ * @property {number} framesDropped - Frames replaced by a newer one before the consumer took them
+ * @property {number} framesSkipped - Frames ignored to stay under maxFps / maxBytesPerSecond
+ * @property {number} malformedFrames - Broken frames: data the camera sent outside any
+ *           frame, and frames that could not be decoded (imagebitmap)
+ * @property {number} bytesReceived - JPEG bytes that arrived
+ */
+
+/**
+ * LiveViewStream - Latest-frame-only async iterator over a camera's live view
+ */
+export class LiveViewStream {
+    /**
+     * Use CameraDevice.liveViewFrames() rather than constructing this directly
+     *
+     * @param {CameraDevice} camera
+     * @param {Object} [options]
+     * @param {'uint8array'|'blob'|'imagebitmap'} [options.format='uint8array'] - Type of frame.data
+     * @param {number} [options.maxFps] - Skip frames arriving faster than this (default: no limit)
+     * @param {number} [options.maxBytesPerSecond] - Skip frames that would take the JPEG data accepted
+     *        over the last second above this (default: no limit)
+     * @param {AbortSignal} [options.signal] - Ends the stream when aborted
+     * @param {number} [options.frameTimeoutMs] - See CameraDevice.startLiveView()
+     * @throws {TypeError} If the format is unknown or unavailable (imagebitmap under Node.js)
+     */
+    constructor(camera, options = {}) {
+        const { format = 'uint8array', maxFps = 0, maxBytesPerSecond = 0, signal, frameTimeoutMs } = options;
+
+        this.camera = camera;
+        this.signal = signal;
+        this.format = format;
+        this.convertFrame = createFrameConverter(format);
+        this.setThrottle({ maxFps, maxBytesPerSecond });
+
+        // Newest frame not yet taken by the consumer
+        this.pendingFrame = null;
+        this.lastAcceptedAt = -Infinity;
+
+        // next() calls waiting for a frame or the end
+        this.waiters = [];
+
+        this.isDone = false;
+        this.error = null;
+
+        this.counters = {
+            framesReceived: 0,
+            framesDelivered: 0,
+            framesDropped: 0,
+            framesSkipped: 0,
+            malformedFrames: 0,
+            bytesReceived: 0,
+        };
+        this.startedAt = now();
+        // {time, bytes} of frames received and accepted / times of frames delivered, within STATS_WINDOW_MS
+        this.recentReceived = [];
+        this.recentAccepted = [];
+        this.recentDelivered = [];
+
+        this._boundFrame = this._handleFrame.bind(this);
+        this._boundMalformed = event => { this.counters.malformedFrames += event.detail.count; };
+        this._boundStopped = event => this._finish(event.detail.error);
+        this._boundAbort = () => this.close();
+
+        camera.addEventListener('liveViewFrame', this._boundFrame);
+        camera.addEventListener('liveViewMalformedFrame', this._boundMalformed);
+
+        // Join a running live view; otherwise run our own and end with it
+        this.ownsLiveView = !camera.isLiveViewActive;
+        if (this.ownsLiveView) {
+            this.liveView = camera.startLiveView(null, { signal, frameTimeoutMs });
+            this.liveView.then(() => this._finish(null), error => this._finish(error));
+        } else {
+            camera.addEventListener('liveViewStopped', this._boundStopped);
+            if (signal?.aborted) this.close();
+            else signal?.addEventListener('abort', this._boundAbort, { once: true });
+        }
+    }
+
+    /**
+     * Gets the running statistics
+     *
+     * @returns {LiveViewStats}
+     */
+    get stats() {
+        const time = now();
+        this._pruneStats(time);
+        const seconds = Math.min(STATS_WINDOW_MS, Math.max(time - this.startedAt, 1)) / 1000;
+
+        return {
+            fps: this.recentDelivered.length / seconds,
+            receivedFps: this.recentReceived.length / seconds,
+            bytesPerSecond: this.recentReceived.reduce((sum, frame) => sum + frame.bytes, 0) / seconds,
+            acceptedBytesPerSecond: this.recentAccepted.reduce((sum, frame) => sum + frame.bytes, 0) / seconds,
+            ...this.counters,
+        };
+    }
+
+    /**
+     * Changes the frame rate and data rate limits of a running stream
+     *
+     * Live view itself keeps its rate; frames over the limits are skipped
+     * before they are converted or handed out. The camera cannot be asked
+     * for fewer or smaller frames, and they cannot be left unread either:
+     * command replies and file data arrive on the same endpoint.
+     *
+     * @param {Object} limits
+     * @param {number} [limits.maxFps] - 0 for no limit; unchanged if omitted
+     * @param {number} [limits.maxBytesPerSecond] - 0 for no limit; unchanged if omitted
+     */
+    setThrottle({ maxFps, maxBytesPerSecond }) {
+        if (maxFps !== undefined) this.minFrameIntervalMs = maxFps > 0 ? 1000 / maxFps : 0;
+        if (maxBytesPerSecond !== undefined) this.maxBytesPerSecond = maxBytesPerSecond > 0 ? maxBytesPerSecond : 0;
+    }
+
+    /**
+     * Waits for the next frame
+     *
+     * @returns {Promise<{value: LiveViewFrame, done: boolean}>}
+     * @throws {Error} Once, if live view ended with an error (frame timeout, disconnect, ...)
+     */
+    async next() {
+        for (;;) {
+            if (this.pendingFrame) {
+                const frame = this.pendingFrame;
+                this.pendingFrame = null;
+
+                let data;
+                try {
+                    data = await this.convertFrame(frame.data);
+                } catch (error) {
+                    // A frame the browser cannot decode
+                    this.counters.malformedFrames++;
+                    continue;
+                }
+
+                this.counters.framesDelivered++;
+                this.recentDelivered.push(now());
+                return { value: { ...frame, data }, done: false };
+            }
+
+            if (this.isDone) {
+                const { error } = this;
+                this.error = null;
+                if (error) throw error;
+                return { value: undefined, done: true };
+            }
+
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+    }
+
+    /**
+     * Ends the stream early (for await...of calls this on break)
+     *
+     * @returns {Promise<{value: undefined, done: true}>}
+     */
+    async return() {
+        this.close();
+        return { value: undefined, done: true };
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    /**
+     * Ends the stream, stopping live view if this stream started it
+     */
+    close() {
+        if (this.isDone) return;
+
+        this.pendingFrame = null;
+        this._finish(null);
+        if (this.ownsLiveView && this.camera.isLiveViewActive) this.camera.stopLiveView();
+    }
+
+    /**
+     * Offers the frames as a ReadableStream (pull based, so the drop policy still applies)
+     *
+     * @returns {ReadableStream<LiveViewFrame>}
+     */
+    toReadableStream() {
+        return new ReadableStream({
+            pull: async controller => {
+                const { value, done } = await this.next();
+                if (done) controller.close();
+                else controller.enqueue(value);
+            },
+            cancel: () => this.close(),
+        }, { highWaterMark: 0 });
+    }
+
+    /**
+     * @private
+     */
+    _handleFrame(event) {
+        const { frame } = event.detail;
+        const time = now();
+
+        this.counters.framesReceived++;
+        this.counters.bytesReceived += frame.length;
+        this.recentReceived.push({ time, bytes: frame.length });
+        this._pruneStats(time);
+
+        if (time - this.lastAcceptedAt < this.minFrameIntervalMs * FRAME_INTERVAL_SLACK || this._isOverByteBudget(frame.length)) {
+            this.counters.framesSkipped++;
+            return;
+        }
+        this.lastAcceptedAt = time;
+        this.recentAccepted.push({ time, bytes: frame.length });
+
+        if (this.pendingFrame) this.counters.framesDropped++;
+        this.pendingFrame = {
+            data: frame,
+            index: this.counters.framesReceived,
+            timestamp: time,
+            byteLength: frame.length,
+        };
+        this._wake();
+    }
+
+    /**
+     * Whether accepting a frame would exceed maxBytesPerSecond over the stats window
+     *
+     * @private
+     */
+    _isOverByteBudget(byteLength) {
+        if (!this.maxBytesPerSecond) return false;
+        const accepted = this.recentAccepted.reduce((sum, frame) => sum + frame.bytes, 0);
+        return accepted + byteLength > this.maxBytesPerSecond * STATS_WINDOW_MS / 1000;
+    }
+
+    /**
+     * Marks the stream as ended; frames already waiting are still handed out
+     *
+     * @private
+     * @param {Error|null} error - Thrown by the next next() call
+     */
+    _finish(error) {
+        if (this.isDone) return;
+
+        this.isDone = true;
+        this.error = error || null;
+
+        this.camera.removeEventListener('liveViewFrame', this._boundFrame);
+        this.camera.removeEventListener('liveViewMalformedFrame', this._boundMalformed);
+        this.camera.removeEventListener('liveViewStopped', this._boundStopped);
+        this.signal?.removeEventListener('abort', this._boundAbort);
+        this._wake();
+    }
+
+    /**
+     * @private
+     */
+    _wake() {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * @private
+     */
+    _pruneStats(time) {
+        const cutoff = time - STATS_WINDOW_MS;
+        while (this.recentReceived.length > 0 && this.recentReceived[0].time < cutoff) this.recentReceived.shift();
+        while (this.recentAccepted.length > 0 && this.recentAccepted[0].time < cutoff) this.recentAccepted.shift();
+        while (this.recentDelivered.length > 0 && this.recentDelivered[0] < cutoff) this.recentDelivered.shift();
+    }
+}
+
+export default LiveViewStream;
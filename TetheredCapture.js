@@ -0,0 +1,338 @@
+/*
+    TetheredCapture.js - Download every capture as it is taken
+    https://github.com/jsyang/dxo1control
+
+    While started, each successful takePhoto() on the watched camera(s) -
+    called directly or through CameraManager.captureAll() - is followed by a
+    download of the new file into a directory:
+
+        const tether = new TetheredCapture(manager, {
+            directory: await showDirectoryPicker(),   // a path under Node.js
+            sessionName: 'product-shoot',
+        });
+        tether.addEventListener('fileReady', e => console.log(e.detail.path));
+        tether.start();
+
+        await manager.captureAll();   // -> product-shoot_0001_Left.JPG, ...
+
+    Every camera of one captureAll() shares a shot number; a capture on a
+    single camera gets a number of its own. With a CameraManager, saved files
+    are also recorded in its capture session manifest (manager.session).
+
+    The file fetched is the one dxo_fs_last_file_get reports right after the
+    capture, so with RAW enabled only one file of the JPEG / DNG pair is
+    downloaded. For a captureAll() that is the remotePath the manager already
+    recorded in the shot, and the downloads start once the shot is recorded.
+*/
+
+import { CameraManager } from './CameraManager.js';
+import { CameraEvent } from './CameraEvent.js';
+import { CameraError } from './errors.js';
+import { createFileWriter, now } from './platform.js';
+
+const DEFAULT_FILE_NAME_TEMPLATE = '{session}_{shot}_{camera}{ext}';
+
+// Not allowed in file names on at least one common file system
+const UNSAFE_FILE_NAME_CHARS = /[\\/:*?"<>|\x00-\x1F]/g;
+
+/**
+ * Expands a file name template
+ *
+ * Placeholders:
+ * - {session} - session name
+ * - {shot}    - shot number, zero padded to 4 digits
+ * - {camera}  - camera nickname, or its display name
+ * - {serial}  - camera serial number (or generated id)
+ * - {name}    - file name on the camera's card, without extension
+ * - {ext}     - extension on the card, with the dot (e.g. ".JPG")
+ *
+ * @param {string} template - e.g. "{session}_{shot}_{camera}{ext}"
+ * @param {Object} values - {session, shot, camera, serial, remotePath}
+ * @returns {string} File name with unsafe characters replaced by "_"
+ */
+export function formatFileName(template, { session, shot, camera, serial, remotePath }) {
+    const baseName = remotePath.slice(remotePath.lastIndexOf('/') + 1);
+    const dot = baseName.lastIndexOf('.');
+
+    const values = {
+        session,
+        shot: String(shot).padStart(4, '0'),
+        camera,
+        serial,
+        name: dot > 0 ? baseName.slice(0, dot) : baseName,
+        ext: dot > 0 ? baseName.slice(dot) : '',
+    };
+
+    return template
+        .replace(/\{(\w+)\}/g, (match, key) => key in values ? String(values[key] ?? '') : match)
+        .replace(UNSAFE_FILE_NAME_CHARS, '_');
+}
+
+/**
+ * TetheredCapture - Saves every capture of a camera or CameraManager
+ *
+ * Dispatches CameraEvents (detail.camera is the source camera):
+ * - 'downloadProgress' - detail.remotePath, detail.received, detail.size
+ * - 'fileReady'        - detail.path (local file), detail.remotePath, detail.size,
+ *                        detail.shot, detail.captureResult
+ * - 'downloadFailed'   - detail.error, detail.remotePath (null if unknown), detail.shot,
+ *                        detail.captureResult
+ */
+export class TetheredCapture extends EventTarget {
+    /**
+     * @param {CameraManager|CameraDevice} source - A manager (all its cameras, including
+     *        ones connected later) or a single camera
+     * @param {Object} options
+     * @param {FileSystemDirectoryHandle|string} options.directory - Where files are written:
+     *        a File System Access API directory handle in browsers, a path under Node.js
+     * @param {string} [options.sessionName='session'] - {session} in file names
+     * @param {string} [options.fileNameTemplate='{session}_{shot}_{camera}{ext}'] - See formatFileName()
+     * @param {number} [options.firstShotNumber=1] - Number of the first shot
+     * @param {Object} [options.downloadOptions] - Passed to CameraDevice.downloadFile()
+     *        (chunkSize, retries, timeoutMs)
+     */
+    constructor(source, options = {}) {
+        super();
+
+        if (!options.directory) {
+            throw new TypeError('TetheredCapture needs a directory');
+        }
+
+        this.source = source;
+        this.directory = options.directory;
+        this.sessionName = options.sessionName ?? 'session';
+        this.fileNameTemplate = options.fileNameTemplate ?? DEFAULT_FILE_NAME_TEMPLATE;
+        this.downloadOptions = options.downloadOptions ?? {};
+        this.shotNumber = (options.firstShotNumber ?? 1) - 1;
+        this.isActive = false;
+
+        // Cameras taking part in the running captureAll(), and its shot number
+        this.roundCameraIds = new Set();
+        this.roundShotNumber = null;
+
+        // cameraId -> {camera, shot, captureResult} of the running captureAll(), waiting
+        // for the shot record with their remotePath
+        this.roundCaptures = new Map();
+
+        // cameraId -> {shot, timestamp, inRound} of the capture in progress
+        this.captures = new Map();
+
+        this.watchedCameras = new Set();
+        this.pendingDownloads = new Set();
+
+        this._boundCaptureStarted = this._handleCaptureStarted.bind(this);
+        this._boundCaptureComplete = this._handleCaptureComplete.bind(this);
+        this._boundRoundStarted = this._handleRoundStarted.bind(this);
+        this._boundRoundComplete = this._handleRoundComplete.bind(this);
+        this._boundCameraConnected = event => this._watch(event.detail.camera);
+        this._boundCameraDisconnected = event => this._unwatch(event.detail.camera);
+    }
+
+    /**
+     * Starts downloading new captures
+     */
+    start() {
+        if (this.isActive) return;
+        this.isActive = true;
+
+        if (this.source instanceof CameraManager) {
+            this.source.connectedCameras.forEach(camera => this._watch(camera));
+            this.source.addEventListener('connected', this._boundCameraConnected);
+            this.source.addEventListener('disconnected', this._boundCameraDisconnected);
+            this.source.addEventListener('captureStarted', this._boundRoundStarted);
+            this.source.addEventListener('captureComplete', this._boundRoundComplete);
+        } else {
+            this._watch(this.source);
+        }
+    }
+
+    /**
+     * Stops reacting to new captures; downloads already started finish
+     */
+    stop() {
+        if (!this.isActive) return;
+        this.isActive = false;
+
+        if (this.source instanceof CameraManager) {
+            this.source.removeEventListener('connected', this._boundCameraConnected);
+            this.source.removeEventListener('disconnected', this._boundCameraDisconnected);
+            this.source.removeEventListener('captureStarted', this._boundRoundStarted);
+            this.source.removeEventListener('captureComplete', this._boundRoundComplete);
+        }
+        Array.from(this.watchedCameras).forEach(camera => this._unwatch(camera));
+        this.roundCameraIds.clear();
+        this.roundCaptures.clear();
+        this.captures.clear();
+    }
+
+    /**
+     * Waits until every download started so far has finished or failed
+     *
+     * @returns {Promise<void>}
+     */
+    async whenIdle() {
+        while (this.pendingDownloads.size > 0) {
+            await Promise.allSettled(Array.from(this.pendingDownloads));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _watch(camera) {
+        if (this.watchedCameras.has(camera)) return;
+        this.watchedCameras.add(camera);
+        camera.addEventListener('captureStarted', this._boundCaptureStarted);
+        camera.addEventListener('captureComplete', this._boundCaptureComplete);
+    }
+
+    /**
+     * @private
+     */
+    _unwatch(camera) {
+        this.watchedCameras.delete(camera);
+        camera.removeEventListener('captureStarted', this._boundCaptureStarted);
+        camera.removeEventListener('captureComplete', this._boundCaptureComplete);
+    }
+
+    /**
+     * CameraManager.captureAll() started: its cameras share the next shot number
+     *
+     * @private
+     */
+    _handleRoundStarted(event) {
+        // A previous captureAll() that threw before its captureComplete left no remotePath
+        for (const { camera, shot, captureResult } of this.roundCaptures.values()) {
+            const error = new CameraError(`captureAll() for shot ${shot} did not complete, the file on ${camera.displayName} is unknown`, {
+                cameraId: camera.id,
+            });
+            this._emit('downloadFailed', { camera, error, remotePath: null, shot, captureResult });
+        }
+        this.roundCaptures.clear();
+
+        this.roundShotNumber = ++this.shotNumber;
+        this.roundCameraIds = new Set(event.detail.cameras.map(camera => camera.id));
+    }
+
+    /**
+     * @private
+     */
+    _handleCaptureStarted(event) {
+        const { camera } = event.detail;
+        const inRound = this.roundCameraIds.delete(camera.id);
+        const shot = inRound ? this.roundShotNumber : ++this.shotNumber;
+        this.captures.set(camera.id, { shot, timestamp: now(), inRound });
+    }
+
+    /**
+     * @private
+     */
+    _handleCaptureComplete(event) {
+        const { camera, result, error } = event.detail;
+        const capture = this.captures.get(camera.id);
+        this.captures.delete(camera.id);
+        if (error || !capture) return;
+
+        // Same shape as the entries of CameraManager.captureAll()
+        const captureResult = {
+            cameraId: camera.id,
+            cameraName: camera.displayName,
+            status: 'success',
+            timestamp: capture.timestamp,
+            result,
+        };
+
+        if (capture.inRound) {
+            this.roundCaptures.set(camera.id, { camera, shot: capture.shot, captureResult });
+            return;
+        }
+
+        // Started synchronously, so the file is looked up before any later capture
+        this._startDownload(camera, capture.shot, captureResult);
+    }
+
+    /**
+     * CameraManager.captureAll() recorded its shot: download the files it lists
+     *
+     * @private
+     */
+    _handleRoundComplete(event) {
+        const { shot } = event.detail;
+        // A camera whose capture was aborted before takePhoto() never started one; its
+        // next capture is on its own
+        this.roundCameraIds.clear();
+        for (const { camera, shot: shotNumber, captureResult } of this.roundCaptures.values()) {
+            const entry = shot.cameras.find(entry => entry.cameraId === camera.id);
+            this._startDownload(camera, shotNumber, captureResult, entry?.remotePath ?? null);
+        }
+        this.roundCaptures.clear();
+    }
+
+    /**
+     * @private
+     */
+    _startDownload(camera, shot, captureResult, remotePath) {
+        const download = this._download(camera, shot, captureResult, remotePath)
+            .finally(() => this.pendingDownloads.delete(download));
+        this.pendingDownloads.add(download);
+    }
+
+    /**
+     * Downloads the file of one capture and reports the outcome
+     *
+     * @private
+     * @param {string|null} [remotePath] - File on the card if already known (null: the
+     *        camera reported none); asked with dxo_fs_last_file_get when undefined
+     */
+    async _download(camera, shot, captureResult, remotePath) {
+        let writer = null;
+
+        try {
+            if (remotePath === undefined) {
+                remotePath = (await camera.getLastFilePath())?.result?.path ?? null;
+            }
+            if (!remotePath) {
+                throw new CameraError(`Camera ${camera.displayName} reported no file for shot ${shot}`, {
+                    cameraId: camera.id,
+                    method: 'dxo_fs_last_file_get',
+                });
+            }
+
+            const fileName = formatFileName(this.fileNameTemplate, {
+                session: this.sessionName,
+                shot,
+                camera: camera.nickname || camera.displayName,
+                serial: camera.id,
+                remotePath,
+            });
+            writer = await createFileWriter(this.directory, fileName);
+
+            const { size } = await camera.downloadFile(remotePath, {
+                ...this.downloadOptions,
+                writer,
+                onProgress: ({ received, size }) => {
+                    this._emit('downloadProgress', { camera, remotePath, received, size });
+                },
+            });
+            await writer.close();
+
+            if (this.source instanceof CameraManager) {
+                this.source.session.attachFile(camera.id, remotePath, writer.path);
+            }
+            this._emit('fileReady', { camera, path: writer.path, remotePath, size, shot, captureResult });
+        } catch (error) {
+            if (writer) await Promise.resolve(writer.abort()).catch(() => {});
+            console.warn(`[TetheredCapture] Could not download shot ${shot} from ${camera.displayName}:`, error);
+            this._emit('downloadFailed', { camera, error, remotePath: remotePath ?? null, shot, captureResult });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _emit(type, detail) {
+        this.dispatchEvent(new CameraEvent(type, detail));
+    }
+}
+
+export default TetheredCapture;
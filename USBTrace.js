@@ -0,0 +1,638 @@
+/*
+    USBTrace.js - USB traffic recorder and replay backend
+    https://github.com/jsyang/dxo1control
+
+    Recording wraps a WebUSB backend so every transfer to and from the camera
+    is logged (opt-in; nothing is recorded unless you wrap the backend):
+
+        const recorder = new USBTraceRecorder();
+        const manager = new CameraManager({ usbBackend: recorder.wrapBackend(navigator.usb) });
+        ...
+        downloadBlob(recorder.toJSONL(), 'dxo1-trace.jsonl', 'application/x-ndjson');
+
+    Replaying feeds a recorded trace back into CameraDevice / DXOONE.open(),
+    which turns a field bug into a reproducible regression case:
+
+        const usb = new ReplayUSB(parseTrace(text));
+        const manager = new CameraManager({ usbBackend: usb });
+
+    Trace format: JSON Lines, one entry per line.
+    - { type: 'header', version, startedAt }
+    - { type: 'device', timestamp, device, vendorId, productId, productName, configuration }
+    - { type: 'transfer', timestamp, device, direction: 'out' | 'in', endpoint, hex }
+      (an `in` transfer that failed has `error: { name, message }` instead of hex)
+    - { type: 'event', timestamp, device, name: 'open' | 'close' | 'connect' | 'disconnect' }
+    `timestamp` is milliseconds since the recording started; `device` is the
+    serial number (or `device-N` for devices without one).
+
+    Replay preserves order, not timing: camera output becomes readable as soon
+    as every host transfer recorded before it has been sent. Only unplug /
+    replug events keep their recorded gap, since nothing the host does
+    triggers them. Host transfers that differ from the trace are collected in
+    `mismatches`.
+*/
+
+import { getHexFromU8A } from './u8a.js';
+import { now } from './platform.js';
+
+export const TRACE_VERSION = 1;
+
+/**
+ * Creates a WebUSB-style error
+ *
+ * @private
+ */
+function createUSBError(message, name) {
+    if (typeof DOMException !== 'undefined') return new DOMException(message, name);
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+/**
+ * Converts a hex string (as written by getHexFromU8A) back to bytes
+ *
+ * @private
+ */
+function getU8AFromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Copies the parts of a USBConfiguration the library reads
+ *
+ * @private
+ */
+function snapshotConfiguration(configuration) {
+    if (!configuration) return null;
+
+    return {
+        configurationValue: configuration.configurationValue,
+        interfaces: configuration.interfaces.map(iface => ({
+            interfaceNumber: iface.interfaceNumber,
+            alternate: {
+                alternateSetting: iface.alternate.alternateSetting,
+                endpoints: iface.alternate.endpoints.map(({ endpointNumber, direction, type, packetSize }) =>
+                    ({ endpointNumber, direction, type, packetSize })
+                ),
+            },
+        })),
+    };
+}
+
+/**
+ * Parses a JSON Lines trace
+ *
+ * @param {string} text - Trace file contents
+ * @returns {Object[]} Trace entries
+ */
+export function parseTrace(text) {
+    return text.split('\n')
+        .filter(line => line.trim() !== '')
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid trace entry on line ${index + 1}: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * USBTraceRecorder - Collects trace entries from wrapped devices
+ */
+export class USBTraceRecorder {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onEntry] - Called with each entry as it is recorded,
+     *        e.g. to stream the trace to a file
+     */
+    constructor(options = {}) {
+        this.entries = [];
+        this.onEntry = options.onEntry || (() => {});
+        this.startTime = now();
+
+        // Raw USBDevice -> recording proxy / trace name, so each device is wrapped once
+        this.wrappedDevices = new WeakMap();
+        this.deviceNames = new WeakMap();
+        this.unnamedDeviceCount = 0;
+
+        this._record({ type: 'header', version: TRACE_VERSION, startedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Wraps a WebUSB backend; devices it hands out are recorded
+     *
+     * @param {USB} usbBackend - navigator.usb, node-usb, VirtualUSB, ...
+     * @returns {RecordingUSB}
+     */
+    wrapBackend(usbBackend) {
+        return new RecordingUSB(usbBackend, this);
+    }
+
+    /**
+     * Wraps a single USBDevice so its transfers are recorded
+     *
+     * @param {USBDevice} device
+     * @returns {USBDevice} A proxy that behaves like the device
+     */
+    wrapDevice(device) {
+        if (this.wrappedDevices.has(device)) return this.wrappedDevices.get(device);
+
+        const deviceName = this.getDeviceName(device);
+        const recorder = this;
+
+        this._record({
+            type: 'device',
+            timestamp: this._timestamp(),
+            device: deviceName,
+            vendorId: device.vendorId,
+            productId: device.productId,
+            productName: device.productName || null,
+            configuration: snapshotConfiguration(device.configuration),
+        });
+
+        const wrappers = {
+            async open() {
+                await device.open();
+                recorder._recordEvent(deviceName, 'open');
+            },
+
+            async close() {
+                recorder._recordEvent(deviceName, 'close');
+                await device.close();
+            },
+
+            async selectAlternateInterface(interfaceNumber, alternateSetting) {
+                await device.selectAlternateInterface(interfaceNumber, alternateSetting);
+                recorder._record({
+                    type: 'device',
+                    timestamp: recorder._timestamp(),
+                    device: deviceName,
+                    vendorId: device.vendorId,
+                    productId: device.productId,
+                    productName: device.productName || null,
+                    configuration: snapshotConfiguration(device.configuration),
+                });
+            },
+
+            async transferOut(endpointNumber, data) {
+                const bytes = data instanceof Uint8Array
+                    ? data
+                    : new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength);
+
+                recorder._record({
+                    type: 'transfer',
+                    timestamp: recorder._timestamp(),
+                    device: deviceName,
+                    direction: 'out',
+                    endpoint: endpointNumber,
+                    hex: getHexFromU8A(bytes),
+                });
+                return device.transferOut(endpointNumber, data);
+            },
+
+            async transferIn(endpointNumber, length) {
+                const entry = {
+                    type: 'transfer',
+                    device: deviceName,
+                    direction: 'in',
+                    endpoint: endpointNumber,
+                    length,
+                };
+
+                try {
+                    const result = await device.transferIn(endpointNumber, length);
+                    const data = result.data;
+                    recorder._record({
+                        ...entry,
+                        timestamp: recorder._timestamp(),
+                        hex: getHexFromU8A(new Uint8Array(data.buffer, data.byteOffset, data.byteLength)),
+                    });
+                    return result;
+                } catch (error) {
+                    recorder._record({
+                        ...entry,
+                        timestamp: recorder._timestamp(),
+                        error: { name: error.name, message: error.message },
+                    });
+                    throw error;
+                }
+            },
+        };
+
+        const proxy = new Proxy(device, {
+            get(target, property) {
+                if (Object.hasOwn(wrappers, property)) return wrappers[property];
+
+                const value = Reflect.get(target, property, target);
+                return typeof value === 'function' ? value.bind(target) : value;
+            },
+        });
+
+        this.wrappedDevices.set(device, proxy);
+        return proxy;
+    }
+
+    /**
+     * Returns the name a device is recorded under
+     *
+     * @param {USBDevice} device - Raw device
+     * @returns {string} Serial number, or `device-N`
+     */
+    getDeviceName(device) {
+        if (!this.deviceNames.has(device)) {
+            this.deviceNames.set(device, device.serialNumber || `device-${++this.unnamedDeviceCount}`);
+        }
+        return this.deviceNames.get(device);
+    }
+
+    /**
+     * Serializes the trace as JSON Lines
+     *
+     * @returns {string}
+     */
+    toJSONL() {
+        return this.entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    _timestamp() {
+        return Math.round((now() - this.startTime) * 1000) / 1000;
+    }
+
+    /**
+     * @private
+     */
+    _recordEvent(deviceName, name) {
+        this._record({ type: 'event', timestamp: this._timestamp(), device: deviceName, name });
+    }
+
+    /**
+     * @private
+     */
+    _record(entry) {
+        this.entries.push(entry);
+        try {
+            this.onEntry(entry);
+        } catch (error) {
+            console.warn('[USBTraceRecorder] onEntry failed:', error);
+        }
+    }
+}
+
+/**
+ * RecordingUSB - WebUSB backend wrapper that records every device it returns
+ *
+ * connect / disconnect events are re-dispatched with the wrapped device, so
+ * `event.device === camera.device` comparisons keep working.
+ */
+export class RecordingUSB extends EventTarget {
+    /**
+     * @param {USB} usbBackend - Backend to wrap
+     * @param {USBTraceRecorder} recorder - Receives the entries
+     */
+    constructor(usbBackend, recorder) {
+        super();
+        this.usbBackend = usbBackend;
+        this.recorder = recorder;
+
+        for (const type of ['connect', 'disconnect']) {
+            usbBackend.addEventListener(type, event => {
+                const device = recorder.wrapDevice(event.device);
+                recorder._recordEvent(recorder.getDeviceName(event.device), type);
+
+                const wrappedEvent = new Event(type);
+                wrappedEvent.device = device;
+                this.dispatchEvent(wrappedEvent);
+            });
+        }
+    }
+
+    async requestDevice(options) {
+        return this.recorder.wrapDevice(await this.usbBackend.requestDevice(options));
+    }
+
+    async getDevices() {
+        return (await this.usbBackend.getDevices()).map(device => this.recorder.wrapDevice(device));
+    }
+}
+
+/**
+ * ReplayUSBDevice - USBDevice that plays back one device's recorded traffic
+ */
+export class ReplayUSBDevice {
+    /**
+     * @param {Object[]} entries - This device's trace entries, in order
+     * @param {ReplayUSB} [usb] - Backend that dispatches recorded connection events
+     */
+    constructor(entries, usb = null) {
+        const info = entries.find(e => e.type === 'device') || {};
+        const configuration = entries.filter(e => e.type === 'device' && e.configuration).pop()?.configuration;
+
+        this.vendorId = info.vendorId;
+        this.productId = info.productId;
+        this.productName = info.productName || null;
+        this.serialNumber = info.device && !info.device.startsWith('device-') ? info.device : undefined;
+
+        this.opened = false;
+        this.configuration = null;
+        this.configurations = configuration ? [configuration] : [];
+
+        this.usb = usb;
+        this.isPluggedIn = true;
+
+        // Playback state: the cursor waits on recorded host transfers and connection events
+        this.entries = entries
+            .filter(e => e.type === 'transfer' || e.type === 'event')
+            .map(e => ({ ...e, isConsumed: false }));
+        this.cursor = 0;
+        this.isWaitingForEvent = false;
+
+        // Whether the recorded host had the device open at the cursor
+        this.wasOpenWhenRecorded = !this.entries.some(e => e.type === 'event' && e.name === 'open');
+        this.available = [];
+        this.waiters = [];
+
+        // Host transfers that did not match the trace: { index, expected, actual }
+        this.mismatches = [];
+
+        this.finished = new Promise(resolve => { this._resolveFinished = resolve; });
+        this._advance();
+    }
+
+    /**
+     * True once every recorded entry has been played back
+     *
+     * @returns {boolean}
+     */
+    get isFinished() {
+        return this.cursor >= this.entries.length && this.available.length === 0;
+    }
+
+    async open() {
+        if (!this.isPluggedIn) throw createUSBError('The device was disconnected.', 'NotFoundError');
+        this.opened = true;
+    }
+
+    async close() {
+        this.opened = false;
+        this._rejectWaiters(createUSBError('The device was closed.', 'AbortError'));
+    }
+
+    async reset() {}
+
+    async selectConfiguration(configurationValue) {
+        this.configuration = this.configurations.find(c => c.configurationValue === configurationValue) ||
+                             this.configurations[0] || null;
+        if (!this.configuration) {
+            throw createUSBError('The trace has no configuration for this device.', 'NotFoundError');
+        }
+    }
+
+    async claimInterface() {}
+
+    async releaseInterface() {}
+
+    async selectAlternateInterface() {}
+
+    async clearHalt() {}
+
+    /**
+     * Checks the host's bytes against the next recorded `out` transfer
+     *
+     * @param {number} endpointNumber
+     * @param {BufferSource} data
+     * @returns {Promise<{status: string, bytesWritten: number}>}
+     */
+    async transferOut(endpointNumber, data) {
+        this._assertOpen();
+
+        const bytes = data instanceof Uint8Array
+            ? data
+            : new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength);
+        const actual = getHexFromU8A(bytes);
+
+        // Normally the entry at the cursor; further ahead if the host got here
+        // before a recorded connection event was replayed
+        const index = this.entries.findIndex((e, i) =>
+            i >= this.cursor && !e.isConsumed && e.type === 'transfer' && e.direction === 'out'
+        );
+
+        if (index === -1) {
+            this.mismatches.push({ index: this.entries.length, expected: null, actual });
+        } else {
+            const expected = this.entries[index];
+            if (expected.hex !== actual || expected.endpoint !== endpointNumber) {
+                this.mismatches.push({ index, expected: expected.hex, actual });
+            }
+            expected.isConsumed = true;
+            this._advance();
+        }
+
+        return { status: 'ok', bytesWritten: bytes.length };
+    }
+
+    /**
+     * Returns the next recorded camera output once it is due
+     *
+     * @param {number} endpointNumber
+     * @param {number} length - Maximum bytes to return
+     * @returns {Promise<{status: string, data: DataView}>}
+     */
+    async transferIn(endpointNumber, length) {
+        this._assertOpen();
+
+        while (this.available.length === 0) {
+            await new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+            this._assertOpen();
+        }
+
+        const next = this.available.shift();
+        if (next.error) {
+            this._checkFinished();
+            throw createUSBError(next.error.message, next.error.name);
+        }
+
+        let packet = next.bytes;
+        if (packet.length > length) {
+            this.available.unshift({ bytes: packet.slice(length) });
+            packet = packet.slice(0, length);
+        }
+
+        this._checkFinished();
+        const copy = packet.slice();
+        return { status: 'ok', data: new DataView(copy.buffer) };
+    }
+
+    /**
+     * Plays entries up to the next recorded host transfer
+     *
+     * @private
+     */
+    _advance() {
+        while (this.cursor < this.entries.length && !this.isWaitingForEvent) {
+            const entry = this.entries[this.cursor];
+
+            if (entry.isConsumed) {
+                this.cursor++;
+                continue;
+            }
+
+            if (entry.type === 'transfer' && entry.direction === 'out') break;
+
+            if (entry.type === 'event' && (entry.name === 'disconnect' || entry.name === 'connect')) {
+                this._playConnectionEvent(entry);
+                break;
+            }
+
+            if (entry.type === 'event') {
+                this.wasOpenWhenRecorded = entry.name === 'open';
+            } else if (!entry.error) {
+                this.available.push({ bytes: getU8AFromHex(entry.hex) });
+            } else if (this.wasOpenWhenRecorded && this.isPluggedIn && this.opened) {
+                // Reads that failed because of a close or unplug are reproduced by that event itself
+                this.available.push({ error: entry.error });
+            }
+
+            entry.isConsumed = true;
+            this.cursor++;
+        }
+
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(w => w.resolve());
+        this._checkFinished();
+    }
+
+    /**
+     * Replays an unplug / replug after its recorded gap from the previous entry
+     *
+     * @private
+     */
+    _playConnectionEvent(entry) {
+        const previous = this.entries[this.cursor - 1];
+        const delayMs = previous ? Math.max(0, entry.timestamp - previous.timestamp) : 0;
+
+        this.isWaitingForEvent = true;
+        setTimeout(() => {
+            this.isWaitingForEvent = false;
+            entry.isConsumed = true;
+            this.cursor++;
+
+            if (entry.name === 'disconnect') {
+                this.wasOpenWhenRecorded = false;
+                this.isPluggedIn = false;
+                this.opened = false;
+                this.available = [];
+                this._rejectWaiters(createUSBError('The device was disconnected.', 'NotFoundError'));
+            } else {
+                this.isPluggedIn = true;
+            }
+            if (this.usb) this.usb._dispatchConnectionEvent(entry.name, this);
+
+            this._advance();
+        }, delayMs);
+    }
+
+    /**
+     * @private
+     */
+    _checkFinished() {
+        if (this.isFinished) this._resolveFinished();
+    }
+
+    /**
+     * @private
+     */
+    _rejectWaiters(error) {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(w => w.reject(error));
+    }
+
+    /**
+     * @private
+     */
+    _assertOpen() {
+        if (!this.isPluggedIn) throw createUSBError('The device was disconnected.', 'NotFoundError');
+        if (!this.opened) throw createUSBError('The device must be opened first.', 'InvalidStateError');
+    }
+}
+
+/**
+ * ReplayUSB - WebUSB backend serving the devices recorded in a trace
+ */
+export class ReplayUSB extends EventTarget {
+    /**
+     * @param {Object[]} entries - Parsed trace (see parseTrace())
+     */
+    constructor(entries) {
+        super();
+
+        const entriesByDevice = new Map();
+        for (const entry of entries) {
+            if (!entry.device) continue;
+            if (!entriesByDevice.has(entry.device)) entriesByDevice.set(entry.device, []);
+            entriesByDevice.get(entry.device).push(entry);
+        }
+
+        this.devices = Array.from(entriesByDevice.values()).map(deviceEntries =>
+            new ReplayUSBDevice(deviceEntries, this)
+        );
+    }
+
+    /**
+     * Resolves once every device has played back its whole trace
+     *
+     * @returns {Promise<void>}
+     */
+    get finished() {
+        return Promise.all(this.devices.map(d => d.finished)).then(() => {});
+    }
+
+    /**
+     * All host transfers, across devices, that differed from the trace
+     *
+     * @returns {Object[]}
+     */
+    get mismatches() {
+        return this.devices.flatMap(d => d.mismatches.map(m => ({ device: d.serialNumber, ...m })));
+    }
+
+    async requestDevice(options = {}) {
+        const filters = options.filters || [];
+        const matches = device => filters.length === 0 || filters.some(f =>
+            (f.vendorId === undefined || f.vendorId === device.vendorId) &&
+            (f.productId === undefined || f.productId === device.productId) &&
+            (f.serialNumber === undefined || f.serialNumber === device.serialNumber)
+        );
+
+        const device = this.devices.find(d => d.isPluggedIn && !d.opened && matches(d));
+        if (!device) {
+            throw createUSBError('No device selected.', 'NotFoundError');
+        }
+        return device;
+    }
+
+    async getDevices() {
+        return this.devices.filter(d => d.isPluggedIn);
+    }
+
+    /**
+     * @private
+     */
+    _dispatchConnectionEvent(type, device) {
+        const event = new Event(type);
+        event.device = device;
+        this.dispatchEvent(event);
+    }
+}
+
+export default USBTraceRecorder;
@@ -0,0 +1,775 @@
+/*
+    VirtualCamera.js - In-process DXO One simulator for development and CI
+    https://github.com/jsyang/dxo1control
+
+    Implements enough of the WebUSB USB / USBDevice interfaces to stand in for
+    real hardware anywhere a `usbBackend` is accepted:
+
+        const usb = new VirtualUSB();
+        usb.addCamera({ serialNumber: 'SIM0001' });
+        const manager = new CameraManager({ usbBackend: usb });
+        await manager.connectCamera();
+
+    The simulated camera speaks the same wire format as the real one (see
+    protocol.js): it performs the init handshake, answers JSON-RPC commands,
+    streams live view JPEGs after `dxo_camera_mode_switch` to 'view' and can
+    inject faults (forced flushes, split packets, stray handshakes, dropped or
+    malformed replies, disconnects).
+
+    Assumed camera behaviour (not verified against firmware):
+    - `dxo_setting_set` is answered immediately, followed by an unsolicited
+      `dxo_setting_applied` notification carrying the applied type and param
+    - Live view frames are a 32-byte header followed by the raw JPEG bytes
+    - File chunks follow their `dxo_fs_last_file_get` reply as framed raw
+      bytes (see protocol.js)
+*/
+
+import {
+    METADATA_INIT_SIGNATURE,
+    MESSAGE_MAGIC,
+    MESSAGE_HEADER_SIZE,
+    MAX_PACKETSIZE,
+    encodeRPCMessage,
+    StreamDecoder,
+} from './protocol.js';
+import { mergeU8A } from './u8a.js';
+import { SETTINGS_SCHEMA, encodeSetting } from './settings.js';
+
+const DXO_VENDOR_ID = 0x2b8f;
+const DXO_PRODUCT_ID = 0x0001;
+
+const IN_ENDPOINT = 1;
+const OUT_ENDPOINT = 2;
+
+// JSON-RPC error codes
+const ERROR_METHOD_NOT_FOUND = -32601;
+const ERROR_INVALID_PARAMS = -32602;
+
+/**
+ * Faults that can be queued with VirtualCamera.injectFault()
+ *
+ * - 'flush': a dxo_usb_flush_forced notification precedes the next reply
+ * - 'handshake': a METADATA_INIT_SIGNATURE packet precedes the next reply
+ * - 'split': the next reply is delivered in many small packets
+ * - 'drop': the next reply is never sent
+ * - 'malformed': the next reply carries invalid JSON
+ * - 'disconnect': the camera is unplugged when the next command arrives
+ *
+ * @typedef {'flush' | 'handshake' | 'split' | 'drop' | 'malformed' | 'disconnect'} VirtualCameraFault
+ */
+const FAULTS = ['flush', 'handshake', 'split', 'drop', 'malformed', 'disconnect'];
+
+const DEFAULT_SETTINGS = {
+    raw: 'off',
+    tnr: 'off',
+    still_focusing_mode: 'af',
+    af_mode: 'af-s',
+    mf_inv_distance: '0.000000',
+    iso: 'auto',
+    ev_bias: '0',
+    aperture: '1.8',
+    exposure_time: '1/125',
+    shooting_mode: 'program',
+    drive: 'single',
+    selftimer: '0',
+    lighting_intensity: 'medium',
+    photo_quality: '95',
+    iso_boundaries: 'no_limit',
+    max_exposure: '0/1',
+    copyright: '',
+    artist: '',
+    video_quality: '22000000',
+};
+
+// File data is sent in frames of at most this many bytes
+const FILE_DATA_FRAME_SIZE = 16384;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Prefixes raw bytes (live view JPEG, file data) with a message header
+ *
+ * @param {Uint8Array} payload - At most 65535 bytes
+ * @returns {Uint8Array}
+ */
+function frameRawPayload(payload) {
+    const header = new Uint8Array(MESSAGE_HEADER_SIZE);
+    header.set(MESSAGE_MAGIC);
+    header[8] = payload.length & 0xFF;
+    header[9] = (payload.length >> 8) & 0xFF;
+
+    return mergeU8A(header, payload);
+}
+
+/**
+ * Creates a WebUSB-style error
+ *
+ * @private
+ */
+function createUSBError(message, name) {
+    if (typeof DOMException !== 'undefined') return new DOMException(message, name);
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+/**
+ * Builds a tiny but valid grayscale baseline JPEG
+ *
+ * The brightness follows `level` (0-255) so consecutive live view frames are
+ * visibly different, and `comment` is stored in a COM segment.
+ *
+ * @param {number} level - Approximate gray level
+ * @param {string} [comment] - Text for the COM segment (ASCII)
+ * @returns {Uint8Array} JPEG file bytes
+ */
+export function createTestJPEG(level, comment = '') {
+    const WIDTH = 64;
+    const HEIGHT = 48;
+    const BLOCKS = (WIDTH / 8) * (HEIGHT / 8);
+
+    // Brightness comes from a single DC step of ±1 scaled by the quantizer:
+    // pixel = 128 ± quantizer / 8, i.e. 128 + offset
+    const offset = Math.max(-31, Math.min(31, Math.round((level - 128) / 4)));
+    const quantizer = Math.max(1, Math.abs(offset) * 8);
+
+    const segment = (marker, body) => [0xFF, marker, (body.length + 2) >> 8, (body.length + 2) & 0xFF, ...body];
+
+    const commentBytes = Array.from(new TextEncoder().encode(comment));
+    const quantTable = [0x00, quantizer, ...new Array(63).fill(1)];
+    const frameHeader = [0x08, HEIGHT >> 8, HEIGHT & 0xFF, WIDTH >> 8, WIDTH & 0xFF, 0x01, 0x01, 0x11, 0x00];
+
+    // DC table: category 0 -> '0', category 1 -> '10'; AC table: EOB -> '0'
+    const dcTable = [0x00, 0x01, 0x01, ...new Array(14).fill(0), 0x00, 0x01];
+    const acTable = [0x10, 0x01, ...new Array(15).fill(0), 0x00];
+    const scanHeader = [0x01, 0x01, 0x00, 0x00, 0x3F, 0x00];
+
+    // First block: DC category 1 with the sign bit, then EOB; the rest repeat the DC value
+    let bits = offset === 0 ? '00' : `10${offset > 0 ? '1' : '0'}0`;
+    bits += '00'.repeat(BLOCKS - 1);
+    bits = bits.padEnd(Math.ceil(bits.length / 8) * 8, '1');
+
+    const scanData = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        const byte = parseInt(bits.slice(i, i + 8), 2);
+        scanData.push(byte);
+        if (byte === 0xFF) scanData.push(0x00);
+    }
+
+    return new Uint8Array([
+        0xFF, 0xD8,
+        ...(commentBytes.length ? segment(0xFE, commentBytes) : []),
+        ...segment(0xDB, quantTable),
+        ...segment(0xC0, frameHeader),
+        ...segment(0xC4, dcTable),
+        ...segment(0xC4, acTable),
+        ...segment(0xDA, scanHeader),
+        ...scanData,
+        0xFF, 0xD9,
+    ]);
+}
+
+/**
+ * VirtualCamera - Simulated DXO One implementing the WebUSB USBDevice interface
+ *
+ * @example
+ * const camera = new VirtualCamera({ serialNumber: 'SIM0001', batteryLevel: 40 });
+ * camera.injectFault('flush');
+ */
+export class VirtualCamera {
+    /**
+     * Creates a simulated camera
+     *
+     * @param {Object} [options] - Simulation options
+     * @param {string} [options.serialNumber] - USB serial number
+     * @param {number} [options.batteryLevel=87] - Reported battery percentage
+     * @param {Object} [options.settings] - Overrides for the initial settings
+     * @param {number} [options.packetSize=512] - Largest packet returned by transferIn
+     * @param {number} [options.captureDelayMs=300] - Time taken by dxo_photo_take
+     * @param {number} [options.settingAppliedDelayMs=20] - Delay before dxo_setting_applied
+     * @param {number} [options.latencyMs=0] - Time each request takes to reach the camera
+     * @param {number} [options.liveViewFps=15] - Live view frame rate
+     * @param {boolean} [options.staleDataOnOpen=false] - Leave unread data in the buffer before the handshake
+     */
+    constructor(options = {}) {
+        this.vendorId = DXO_VENDOR_ID;
+        this.productId = DXO_PRODUCT_ID;
+        this.productName = 'DXO ONE (simulated)';
+        this.manufacturerName = 'DxO';
+        this.serialNumber = options.serialNumber ||
+                            `SIM${Math.floor(Math.random() * 1e8).toString().padStart(8, '0')}`;
+
+        this.opened = false;
+        this.configuration = null;
+        this.configurations = [VirtualCamera._createConfiguration()];
+
+        this.batteryLevel = options.batteryLevel ?? 87;
+        this.settings = { ...DEFAULT_SETTINGS, ...(options.settings || {}) };
+        this.packetSize = options.packetSize || MAX_PACKETSIZE;
+        this.captureDelayMs = options.captureDelayMs ?? 300;
+        this.settingAppliedDelayMs = options.settingAppliedDelayMs ?? 20;
+        this.latencyMs = options.latencyMs ?? 0;
+        this.liveViewFps = options.liveViewFps || 15;
+        this.staleDataOnOpen = !!options.staleDataOnOpen;
+
+        // Set by VirtualUSB when the camera is attached
+        this.usb = null;
+        this.isPluggedIn = true;
+
+        // Simulated storage
+        this.files = [];
+        this.shotCount = 0;
+
+        // Last dxo_tap_to_focus area [x, y, width, height], null when cleared
+        this.focusArea = null;
+
+        // Every request received, for assertions in tests
+        this.receivedCommands = [];
+
+        this._resetSession();
+    }
+
+    /**
+     * Builds the USBConfiguration layout used by the real camera
+     *
+     * @private
+     */
+    static _createConfiguration() {
+        const endpoints = [
+            { endpointNumber: OUT_ENDPOINT, direction: 'out', type: 'bulk', packetSize: MAX_PACKETSIZE },
+            { endpointNumber: IN_ENDPOINT, direction: 'in', type: 'bulk', packetSize: MAX_PACKETSIZE },
+        ];
+        const alternate = { alternateSetting: 1, interfaceClass: 0xFF, endpoints };
+
+        return {
+            configurationValue: 1,
+            interfaces: [
+                { interfaceNumber: 0, alternate, alternates: [alternate], claimed: false },
+                { interfaceNumber: 1, alternate, alternates: [alternate], claimed: false },
+            ],
+        };
+    }
+
+    /**
+     * Clears all per-session state (outgoing data, faults, mode)
+     *
+     * @private
+     */
+    _resetSession() {
+        this.outgoing = [];
+        this.waiters = [];
+        this.faults = [];
+        this.decoder = new StreamDecoder();
+        this.hasStartedSession = false;
+        this.mode = 'photo';
+        this.frameIndex = 0;
+        this.nextFrameAt = 0;
+    }
+
+    /**
+     * Queues a one-shot fault applied to the next command
+     *
+     * @param {VirtualCameraFault} fault - The fault to inject
+     */
+    injectFault(fault) {
+        if (!FAULTS.includes(fault)) {
+            throw new Error(`Unknown fault: ${fault}. Use one of ${FAULTS.join(', ')}.`);
+        }
+        this.faults.push(fault);
+    }
+
+    /**
+     * Sends an unsolicited JSON-RPC notification to the host
+     *
+     * @param {string} method - Notification method, e.g. 'dxo_camera_status_changed'
+     * @param {Object} [params] - Notification parameters
+     */
+    pushNotification(method, params) {
+        this._sendMessage({ "jsonrpc": "2.0", method, ...(params ? { params } : {}) });
+    }
+
+    /**
+     * Simulates pulling the USB cable
+     *
+     * Pending and future transfers fail, and the attached VirtualUSB fires 'disconnect'.
+     */
+    unplug() {
+        if (!this.isPluggedIn) return;
+
+        this.isPluggedIn = false;
+        this.opened = false;
+        this._rejectWaiters(createUSBError('The device was disconnected.', 'NotFoundError'));
+        this._resetSession();
+
+        if (this.usb) this.usb._dispatchConnectionEvent('disconnect', this);
+    }
+
+    /**
+     * Simulates plugging the camera back in (fires 'connect' on the VirtualUSB)
+     */
+    plugIn() {
+        if (this.isPluggedIn) return;
+
+        this.isPluggedIn = true;
+        if (this.usb) this.usb._dispatchConnectionEvent('connect', this);
+    }
+
+    // ---- WebUSB USBDevice interface ----
+
+    async open() {
+        this._assertPluggedIn();
+        this.opened = true;
+        this._resetSession();
+    }
+
+    async close() {
+        this.opened = false;
+        this._rejectWaiters(createUSBError('The device was closed.', 'AbortError'));
+        this._resetSession();
+        if (this.configuration) {
+            this.configuration.interfaces.forEach(i => { i.claimed = false; });
+        }
+    }
+
+    async reset() {
+        this._assertOpen();
+        this._rejectWaiters(createUSBError('The device was reset.', 'AbortError'));
+        this._resetSession();
+    }
+
+    async selectConfiguration(configurationValue) {
+        this._assertOpen();
+        const configuration = this.configurations.find(c => c.configurationValue === configurationValue);
+        if (!configuration) {
+            throw createUSBError(`Configuration ${configurationValue} not found.`, 'NotFoundError');
+        }
+        this.configuration = configuration;
+    }
+
+    async claimInterface(interfaceNumber) {
+        this._getInterface(interfaceNumber).claimed = true;
+    }
+
+    async releaseInterface(interfaceNumber) {
+        this._getInterface(interfaceNumber).claimed = false;
+    }
+
+    async selectAlternateInterface(interfaceNumber, alternateSetting) {
+        this._getInterface(interfaceNumber);
+        if (alternateSetting !== 1) {
+            throw createUSBError(`Alternate setting ${alternateSetting} not found.`, 'NotFoundError');
+        }
+    }
+
+    async clearHalt() {
+        this._assertOpen();
+    }
+
+    /**
+     * Receives the host's bytes and queues the camera's replies
+     *
+     * @param {number} endpointNumber - Must be the OUT endpoint
+     * @param {BufferSource} data - Bytes from the host
+     * @returns {Promise<{status: string, bytesWritten: number}>}
+     */
+    async transferOut(endpointNumber, data) {
+        this._assertEndpoint(endpointNumber, OUT_ENDPOINT);
+
+        const bytes = data instanceof Uint8Array
+            ? data
+            : new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength);
+
+        for (const message of this.decoder.push(bytes)) {
+            // Host handshake acknowledgement (size 0): start the session once
+            if (message.type === 'empty') {
+                this._startSession();
+            } else if (message.type === 'notification') {
+                // Host requests carry a method, so they decode as notifications
+                if (this.latencyMs > 0) {
+                    setTimeout(() => {
+                        if (this.opened) this._handleRequest(message.message);
+                    }, this.latencyMs);
+                } else {
+                    this._handleRequest(message.message);
+                }
+            }
+        }
+
+        return { status: 'ok', bytesWritten: bytes.length };
+    }
+
+    /**
+     * Returns the next packet of camera output, waiting until one is available
+     *
+     * @param {number} endpointNumber - Must be the IN endpoint
+     * @param {number} length - Maximum bytes to return
+     * @returns {Promise<{status: string, data: DataView}>}
+     */
+    async transferIn(endpointNumber, length) {
+        this._assertEndpoint(endpointNumber, IN_ENDPOINT);
+
+        while (this.outgoing.length === 0) {
+            if (this.mode === 'view') {
+                await this._waitForNextFrame();
+            } else {
+                await new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+            }
+            this._assertOpen();
+        }
+
+        let packet = this.outgoing.shift();
+        if (packet.length > length) {
+            this.outgoing.unshift(packet.slice(length));
+            packet = packet.slice(0, length);
+        }
+
+        // Fresh buffer: callers read res.data.buffer directly
+        const copy = packet.slice();
+        return { status: 'ok', data: new DataView(copy.buffer) };
+    }
+
+    // ---- Simulation internals ----
+
+    _assertPluggedIn() {
+        if (!this.isPluggedIn) {
+            throw createUSBError('The device was disconnected.', 'NotFoundError');
+        }
+    }
+
+    _assertOpen() {
+        this._assertPluggedIn();
+        if (!this.opened) {
+            throw createUSBError('The device must be opened first.', 'InvalidStateError');
+        }
+    }
+
+    _assertEndpoint(endpointNumber, expected) {
+        this._assertOpen();
+        if (endpointNumber !== expected) {
+            throw createUSBError(`Endpoint ${endpointNumber} not found.`, 'NotFoundError');
+        }
+    }
+
+    _getInterface(interfaceNumber) {
+        this._assertOpen();
+        const iface = this.configuration?.interfaces.find(i => i.interfaceNumber === interfaceNumber);
+        if (!iface) {
+            throw createUSBError(`Interface ${interfaceNumber} not found.`, 'NotFoundError');
+        }
+        return iface;
+    }
+
+    _rejectWaiters(error) {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(w => w.reject(error));
+    }
+
+    /**
+     * Queues bytes for the host, split into packets
+     *
+     * @private
+     */
+    _send(bytes, packetSize = this.packetSize) {
+        for (let offset = 0; offset < bytes.length; offset += packetSize) {
+            this.outgoing.push(bytes.slice(offset, offset + packetSize));
+        }
+
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(w => w.resolve());
+    }
+
+    _sendMessage(message, { split = false, malformed = false } = {}) {
+        let bytes = encodeRPCMessage(message);
+
+        if (malformed) {
+            // Keep the frame valid but break the JSON
+            bytes = bytes.slice();
+            bytes[MESSAGE_HEADER_SIZE] = '<'.charCodeAt(0);
+        }
+
+        // Small packets that cut through the header and payload
+        this._send(bytes, split ? 7 : this.packetSize);
+    }
+
+    _startSession() {
+        if (this.hasStartedSession) return;
+        this.hasStartedSession = true;
+
+        if (this.staleDataOnOpen) {
+            this._sendMessage({ "jsonrpc": "2.0", "id": 999, "result": { "stale": true } });
+        }
+        this._send(METADATA_INIT_SIGNATURE);
+    }
+
+    _takeFault(fault) {
+        const index = this.faults.indexOf(fault);
+        if (index < 0) return false;
+        this.faults.splice(index, 1);
+        return true;
+    }
+
+    _handleRequest(request) {
+        this.receivedCommands.push(request);
+
+        if (this._takeFault('disconnect')) {
+            this.unplug();
+            return;
+        }
+
+        const { id, method, params } = request;
+        const reply = (result, error) => {
+            if (this._takeFault('drop')) return;
+            if (this._takeFault('flush')) {
+                this._sendMessage({ "jsonrpc": "2.0", "method": "dxo_usb_flush_forced" });
+            }
+            if (this._takeFault('handshake')) {
+                this._send(METADATA_INIT_SIGNATURE);
+            }
+
+            const message = error
+                ? { "jsonrpc": "2.0", id, error }
+                : { "jsonrpc": "2.0", id, result };
+            this._sendMessage(message, {
+                split: this._takeFault('split'),
+                malformed: this._takeFault('malformed'),
+            });
+            return true;
+        };
+
+        switch (method) {
+            case 'dxo_camera_status_get':
+                return reply(this._getStatus());
+
+            case 'dxo_all_settings_get':
+                return reply({ ...this.settings });
+
+            case 'dxo_setting_set':
+                return this._handleSettingSet(params, reply);
+
+            case 'dxo_photo_take':
+                return this._handlePhotoTake(reply);
+
+            case 'dxo_camera_mode_switch':
+                this.mode = params?.param === 'view' ? 'view' : 'photo';
+                this.nextFrameAt = Date.now();
+                return reply({});
+
+            case 'dxo_fs_last_file_get':
+                return this._handleFileGet(params, reply);
+
+            case 'dxo_digital_zoom_get':
+                return reply({ "type": params?.type || 'current', "value": '1.0' });
+
+            case 'dxo_tap_to_focus':
+                return this._handleTapToFocus(params, reply);
+
+            case 'dxo_gps_data_set':
+            case 'dxo_fs_cancel_get':
+                return reply({});
+
+            case 'dxo_idle':
+                this.mode = 'idle';
+                return reply({});
+
+            default:
+                return reply(null, { "code": ERROR_METHOD_NOT_FOUND, "message": `Method not found: ${method}` });
+        }
+    }
+
+    _getStatus() {
+        return {
+            "battery": this.batteryLevel,
+            "camera_mode": this.mode,
+            "sdcard_present": true,
+            "shot_count": this.shotCount,
+        };
+    }
+
+    _handleTapToFocus(params, reply) {
+        let area;
+        try {
+            area = JSON.parse(params?.param);
+        } catch (error) {
+            area = null;
+        }
+        if (!Array.isArray(area) || area.length !== 4 || !area.every(Number.isInteger)) {
+            return reply(null, { "code": ERROR_INVALID_PARAMS, "message": `Invalid focus area: ${JSON.stringify(params)}` });
+        }
+
+        // [0,0,0,0] clears it
+        this.focusArea = area.some(value => value !== 0) ? area : null;
+        reply({});
+    }
+
+    _handleSettingSet(params, reply) {
+        const type = params?.type;
+        if (!type || !(type in this.settings) || params.param === undefined) {
+            return reply(null, { "code": ERROR_INVALID_PARAMS, "message": `Invalid setting: ${JSON.stringify(params)}` });
+        }
+
+        // Exact wire values only; friendly names are resolved on the host
+        let param;
+        try {
+            param = encodeSetting(type, params.param);
+        } catch (error) {
+            return reply(null, { "code": ERROR_INVALID_PARAMS, "message": error.message });
+        }
+        if (SETTINGS_SCHEMA[type].kind === 'enum' && param !== params.param) {
+            return reply(null, { "code": ERROR_INVALID_PARAMS, "message": `Invalid ${type}: ${JSON.stringify(params.param)}` });
+        }
+
+        this.settings[type] = param;
+        reply({});
+
+        setTimeout(() => {
+            if (!this.opened) return;
+            this.pushNotification('dxo_setting_applied', { type, "param": this.settings[type] });
+        }, this.settingAppliedDelayMs);
+    }
+
+    _handleFileGet(params, reply) {
+        // Without a path only the location of the last file is reported
+        if (params?.param === undefined) {
+            const lastFile = this.files[this.files.length - 1];
+            return reply({ "path": lastFile ? lastFile.path : null });
+        }
+
+        const file = this.files.find(f => f.path === params.param);
+        const offset = params.offset ?? 0;
+        if (!file || !Number.isInteger(offset) || offset < 0 || !(params.fetch_size > 0)) {
+            return reply(null, { "code": ERROR_INVALID_PARAMS, "message": `Invalid file request: ${JSON.stringify(params)}` });
+        }
+
+        const data = file.data.subarray(offset, offset + params.fetch_size);
+        const isSent = reply({
+            "path": file.path,
+            offset,
+            "fetch_size": data.length,
+            "file_size": file.data.length,
+        });
+        if (!isSent) return;
+
+        for (let i = 0; i < data.length; i += FILE_DATA_FRAME_SIZE) {
+            this._send(frameRawPayload(data.subarray(i, i + FILE_DATA_FRAME_SIZE)));
+        }
+    }
+
+    _handlePhotoTake(reply) {
+        setTimeout(() => {
+            if (!this.opened) return;
+
+            this.shotCount++;
+            const name = `DXO_${String(this.shotCount).padStart(4, '0')}.JPG`;
+            this.files.push({
+                path: `/DCIM/100DXO1/${name}`,
+                data: createTestJPEG((this.shotCount * 40) % 256, `${this.serialNumber} ${name}`),
+            });
+
+            reply({});
+        }, this.captureDelayMs);
+    }
+
+    async _waitForNextFrame() {
+        const wait = this.nextFrameAt - Date.now();
+        if (wait > 0) await sleep(wait);
+        if (!this.opened || this.mode !== 'view' || this.outgoing.length > 0) return;
+
+        this.nextFrameAt = Math.max(this.nextFrameAt, Date.now()) + 1000 / this.liveViewFps;
+        this.frameIndex++;
+
+        const jpeg = createTestJPEG(
+            128 + Math.round(96 * Math.sin(this.frameIndex / 8)),
+            `${this.serialNumber} frame ${this.frameIndex}`
+        );
+        this._send(frameRawPayload(jpeg), this._takeFault('split') ? 7 : this.packetSize);
+    }
+}
+
+/**
+ * VirtualUSB - Simulated `navigator.usb` that hands out VirtualCameras
+ *
+ * Fires 'connect' and 'disconnect' events with a `device` property, like
+ * the WebUSB USBConnectionEvent.
+ *
+ * @example
+ * const usb = new VirtualUSB({ cameras: 2 });
+ * const camera = await DXOONE.open(usb);
+ */
+export class VirtualUSB extends EventTarget {
+    /**
+     * Creates a simulated USB backend
+     *
+     * @param {Object} [options] - Backend options
+     * @param {number} [options.cameras=0] - Number of cameras to create up front
+     * @param {Object} [options.cameraOptions] - Options passed to each VirtualCamera
+     */
+    constructor(options = {}) {
+        super();
+        this.devices = [];
+
+        for (let i = 0; i < (options.cameras || 0); i++) {
+            this.addCamera({
+                serialNumber: `SIM${String(i + 1).padStart(4, '0')}`,
+                ...(options.cameraOptions || {}),
+            });
+        }
+    }
+
+    /**
+     * Creates and attaches a VirtualCamera
+     *
+     * @param {Object} [options] - VirtualCamera options
+     * @returns {VirtualCamera} The new camera
+     */
+    addCamera(options = {}) {
+        const camera = new VirtualCamera(options);
+        camera.usb = this;
+        this.devices.push(camera);
+        return camera;
+    }
+
+    /**
+     * Simulates the browser device chooser: returns the first plugged-in,
+     * unopened camera matching the filters
+     *
+     * @param {Object} [options] - WebUSB requestDevice options
+     * @returns {Promise<VirtualCamera>}
+     * @throws {DOMException} NotFoundError if no camera is available
+     */
+    async requestDevice(options = {}) {
+        const filters = options.filters || [];
+        const matches = device => filters.length === 0 || filters.some(f =>
+            (f.vendorId === undefined || f.vendorId === device.vendorId) &&
+            (f.productId === undefined || f.productId === device.productId) &&
+            (f.serialNumber === undefined || f.serialNumber === device.serialNumber)
+        );
+
+        const device = this.devices.find(d => d.isPluggedIn && !d.opened && matches(d));
+        if (!device) {
+            throw createUSBError('No device selected.', 'NotFoundError');
+        }
+        return device;
+    }
+
+    /**
+     * Returns all plugged-in cameras (all are considered permitted)
+     *
+     * @returns {Promise<VirtualCamera[]>}
+     */
+    async getDevices() {
+        return this.devices.filter(d => d.isPluggedIn);
+    }
+
+    /**
+     * @private
+     */
+    _dispatchConnectionEvent(type, device) {
+        const event = new Event(type);
+        event.device = device;
+        this.dispatchEvent(event);
+    }
+}
+
+export default VirtualUSB;
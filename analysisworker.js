@@ -0,0 +1,46 @@
+/*
+    analysisworker.js - Worker that decodes and analyzes live view frames
+    https://github.com/jsyang/dxo1control
+
+    Started by LiveViewAnalyzer (as a module worker); not meant to be
+    imported. Decoding and the pixel loops of frameanalysis.js run here so
+    the page keeps its frame rate.
+
+    Request:  {id, jpeg: Uint8Array, options}
+    Response: {id, analysis, overlay: ImageBitmap|null} or {id, error: string}
+*/
+
+import { analyzeFrame } from './frameanalysis.js';
+
+let canvas = null;
+let context = null;
+
+self.onmessage = async event => {
+    const { id, jpeg, options } = event.data;
+
+    try {
+        const bitmap = await createImageBitmap(new Blob([jpeg], { type: 'image/jpeg' }));
+
+        // Analyze a downscaled copy of large frames
+        const scale = Math.min(1, options.maxWidth / bitmap.width);
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        if (!canvas) {
+            canvas = new OffscreenCanvas(width, height);
+            context = canvas.getContext('2d', { willReadFrequently: true });
+        } else if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        context.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+
+        const { overlay: pixels, ...analysis } = analyzeFrame(context.getImageData(0, 0, width, height).data, width, height, options);
+        const overlay = pixels ? await createImageBitmap(new ImageData(pixels, width, height)) : null;
+
+        self.postMessage({ id, analysis, overlay }, overlay ? [overlay] : []);
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
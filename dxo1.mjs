@@ -0,0 +1,721 @@
+#!/usr/bin/env node
+/*
+    dxo1.mjs - Command-line control of DXO One cameras
+    https://github.com/jsyang/dxo1control
+
+    Drives one or more cameras from a headless machine or shell script
+    through CameraManager and node-usb (see nodeusb.js).
+*/
+import fs from 'fs';
+import path from 'path';
+
+import { CameraManager } from './CameraManager.js';
+import { createNodeUSBBackend } from './nodeusb.js';
+import { VirtualUSB } from './VirtualCamera.js';
+import { USBTraceRecorder, ReplayUSB, parseTrace } from './USBTrace.js';
+import { encodeSetting } from './settings.js';
+import { TetheredCapture } from './TetheredCapture.js';
+import { CaptureSession } from './CaptureSession.js';
+import { createMJPEGServer } from './mjpegserver.js';
+import { LiveViewRecorder, RECORDING_FORMATS } from './LiveViewRecorder.js';
+import { Intervalometer } from './Intervalometer.js';
+
+const [_NODEBIN, _SCRIPT, ...ARGS] = process.argv;
+
+const ABOUT_MSG = `
+---
+USAGE: dxo1 [options] <command>
+
+Commands:
+  list                          List attached cameras
+  status                        Show camera status
+  settings get [type]           Show all settings, or one setting type
+  settings set <type> <value>   Change a setting and wait for the camera to confirm it
+  shoot                         Take a photo
+  shoot --all                   Take a photo on every attached camera at once
+  shoot --out <dir>             Also download each new photo to <dir>, named
+                                <session>_<shot>_<camera>.<ext> (--session <name>,
+                                default "session")
+  shoot --manifest <file>       Add the shot to a capture session manifest (.json
+                                or .csv; created if missing) with timing, settings
+                                and file paths
+  bracket                       Take an exposure bracket (AEB) as one HDR set on one
+                                or --all cameras: --count <n> shots (default 3),
+                                --spacing <EV> apart (default 1), by --by ev
+                                (ev_bias, default) or shutter (exposure_time; needs
+                                shutter or manual mode), around --center <value>
+                                (default: each camera's current value). The setting
+                                is restored afterwards. --out and --manifest as for shoot
+  focus-stack                   Take a focus stack in manual focus on one or --all
+                                cameras, from --near to --far (inverse distances in
+                                1/m: 0 is infinity, 2 is 50cm; default 5 and 0) in
+                                --count <n> steps (default: enough for the depth of
+                                field at the current aperture), evenly in inverse
+                                distance or, with --linear, in metres. Focus mode
+                                and distance are restored afterwards. --out and
+                                --manifest as for shoot
+  burst --count <n>             Take <n> photos as fast as the camera accepts them on
+                                one or --all cameras (--interval <s>: at most one per
+                                <s> seconds) and report frames per second, latency
+                                and dropped shots. --out as for shoot; downloading
+                                while shooting slows the burst
+  timelapse --interval <s>      Take a photo every <s> seconds on one or --all cameras
+                                until Ctrl-C, --count <n> shots or --seconds <s>;
+                                timed from the start, so delays do not add up.
+                                --min-battery <percent> stops when a camera's battery
+                                drops below it, --stop-on-error at the first failed
+                                shot. --ramp <type> --from <value> --to <value>
+                                changes ev_bias, exposure_time, iso or aperture step
+                                by step over the run. --out and --manifest as for shoot
+  liveview --out <dir>          Record live view to <dir> until Ctrl-C, --frames <n>,
+                                --seconds <s> or --max-mb <size>; --fps <n> limits
+                                the frame rate. --format sequence (default:
+                                <name>-000001.jpg, ...), mjpeg (<name>.mjpeg) or avi
+                                (<name>.avi); --name <prefix>, default "frame".
+                                Frame timing goes to <name>.csv
+  serve [--port <n>]            Serve live view over HTTP until Ctrl-C (--all for
+                                every camera; --host <addr>, default all interfaces;
+                                --fps <n> limits the frame rate):
+                                  /cameras                    camera list (JSON)
+                                  /cameras/<id>/stream.mjpg   MJPEG live view
+                                  /cameras/<id>/snapshot.jpg  current frame
+  download-last [--out <path>]  Download the most recent file (file or directory,
+                                default: current directory); --resume continues
+                                a partial download
+
+Options:
+  --camera <serial>             Camera to use (default: the first one found)
+  --all                         Use every attached camera (status, settings, shoot,
+                                bracket, focus-stack, burst, timelapse)
+  --json                        Print results as JSON
+  --timeout <ms>                Time limit for each command
+  --simulate [n]                Use n simulated cameras instead of USB (default 1)
+  --trace <file>                Record all USB traffic to <file> (JSON Lines)
+  --replay <file>               Play back a recorded trace instead of using USB
+---
+`.trim();
+
+// Options that take a value; everything else starting with -- is a flag
+const VALUE_OPTIONS = [
+    'camera', 'out', 'frames', 'seconds', 'fps', 'timeout', 'trace', 'replay', 'session', 'manifest', 'port', 'host',
+    'format', 'name', 'max-mb', 'count', 'spacing', 'by', 'center', 'near', 'far', 'interval', 'min-battery', 'ramp',
+    'from', 'to',
+];
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+/**
+ * Splits argv into positional arguments and --options
+ *
+ * @param {string[]} args
+ * @returns {{positional: string[], options: Object}}
+ */
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split('=', 2);
+        if (inlineValue !== undefined) {
+            options[name] = inlineValue;
+        } else if (VALUE_OPTIONS.includes(name)) {
+            if (i + 1 >= args.length) throw new UsageError(`--${name} needs a value`);
+            options[name] = args[++i];
+        } else if (name === 'simulate' && /^\d+$/.test(args[i + 1] || '')) {
+            options[name] = args[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { positional, options };
+}
+
+/**
+ * Writes a result to stdout, as JSON or as text
+ */
+function print(options, value, text = value) {
+    process.stdout.write((options.json ? JSON.stringify(value, null, 2) : text) + '\n');
+}
+
+async function createUSBBackend(options) {
+    let usb;
+    if (options.replay) {
+        usb = new ReplayUSB(parseTrace(fs.readFileSync(options.replay, 'utf8')));
+    } else if (options.simulate) {
+        const cameras = options.simulate === true ? 1 : parseInt(options.simulate, 10);
+        usb = new VirtualUSB({ cameras });
+    } else {
+        usb = await createNodeUSBBackend();
+    }
+
+    if (!options.trace) return usb;
+
+    // Written entry by entry so the trace survives a crash
+    const traceFile = fs.openSync(options.trace, 'w');
+    const recorder = new USBTraceRecorder({
+        onEntry: entry => fs.writeSync(traceFile, JSON.stringify(entry) + '\n'),
+    });
+    return recorder.wrapBackend(usb);
+}
+
+/**
+ * Connects the camera(s) a command operates on
+ *
+ * @returns {Promise<CameraDevice[]>}
+ */
+async function connectCameras(manager, options) {
+    if (options.camera) {
+        return [await manager.connectCamera(null, { serialNumber: options.camera })];
+    }
+    if (!options.all) {
+        return [await manager.connectCamera()];
+    }
+
+    const devices = await manager.usbBackend.getDevices();
+    const cameras = [];
+    for (let i = 0; i < Math.min(devices.length, 4); i++) {
+        cameras.push(await manager.connectCamera());
+    }
+    if (cameras.length === 0) throw new Error('No DXO One cameras found');
+    return cameras;
+}
+
+/**
+ * Sets up the session manifest (--manifest, --session) and downloads (--out)
+ * for commands that take photos
+ *
+ * @returns {{getDownload: Function, getDownloads: Function, finish: Function}} getDownload(shot, cameraId)
+ *          gives {file} or {error} after finish() (null without --out), getDownloads() all of them;
+ *          finish() waits for downloads and writes the manifest
+ */
+function startCapture(manager, options) {
+    if (options.out === true) throw new UsageError('--out needs a directory');
+    if (options.manifest === true) throw new UsageError('--manifest needs a file');
+
+    const sessionName = typeof options.session === 'string' ? options.session : undefined;
+    const manifestFormat = path.extname(options.manifest || '').toLowerCase() === '.csv' ? 'csv' : 'json';
+    if (options.manifest && fs.existsSync(options.manifest)) {
+        const text = fs.readFileSync(options.manifest, 'utf8');
+        manager.session = manifestFormat === 'csv' ? CaptureSession.fromCSV(text) : CaptureSession.fromJSON(text);
+        if (sessionName) manager.session.name = sessionName;
+    } else {
+        manager.startSession(sessionName);
+    }
+
+    // "shot cameraId" -> local file, or the download error
+    const downloads = new Map();
+    let tether = null;
+    if (options.out) {
+        // Numbered on from the shots already in the manifest, like the session
+        tether = new TetheredCapture(manager, {
+            directory: options.out,
+            sessionName: manager.session.name,
+            firstShotNumber: manager.session.nextShotNumber,
+        });
+        tether.addEventListener('fileReady', e => downloads.set(`${e.detail.shot} ${e.detail.camera.id}`, { file: e.detail.path }));
+        tether.addEventListener('downloadFailed', e => downloads.set(`${e.detail.shot} ${e.detail.camera.id}`, { error: e.detail.error }));
+        tether.start();
+    }
+
+    return {
+        getDownload: (shot, cameraId) => !tether ? null
+            : downloads.get(`${shot} ${cameraId}`) ?? { error: new Error('The file was not downloaded') },
+        getDownloads: () => Array.from(downloads.values()),
+        async finish() {
+            if (tether) {
+                await tether.whenIdle();
+                tether.stop();
+            }
+            if (options.manifest) {
+                const { session } = manager;
+                fs.writeFileSync(options.manifest, manifestFormat === 'csv' ? session.toCSV() : JSON.stringify(session, null, 2) + '\n');
+            }
+        },
+    };
+}
+
+/**
+ * One CaptureResult (and its download, if any) as a line of text
+ */
+function formatCaptureResult(result, download) {
+    if (result.status !== 'success') return `FAILED: ${result.error.message}`;
+    if (!download) return 'OK';
+    return download.file ? `OK\t${download.file}` : `DOWNLOAD FAILED: ${download.error.message}`;
+}
+
+/**
+ * One CaptureResult (and its download, if any) for --json
+ */
+function describeCaptureResult(result, download) {
+    return {
+        ...result,
+        error: result.error?.message,
+        file: download?.file,
+        downloadError: download?.error?.message,
+    };
+}
+
+const COMMANDS = {
+    async list(usb, options) {
+        const devices = (await usb.getDevices()).filter(d => d.vendorId === 0x2b8f);
+        const list = devices.map(d => ({
+            serialNumber: d.serialNumber || null,
+            productName: d.productName || null,
+            opened: !!d.opened,
+        }));
+
+        print(options, list, list.length === 0
+            ? 'No DXO One cameras found'
+            : list.map(d => `${d.serialNumber || '(no serial)'}\t${d.productName || ''}`).join('\n'));
+        return EXIT_OK;
+    },
+
+    async status(usb, options, manager) {
+        const cameras = await connectCameras(manager, options);
+        const statuses = [];
+        for (const camera of cameras) {
+            const status = await camera.getStatus();
+            statuses.push({ cameraId: camera.id, status: status?.result ?? status });
+        }
+
+        print(options, statuses, statuses.map(s =>
+            `${s.cameraId}\t${Object.entries(s.status || {}).map(([k, v]) => `${k}=${v}`).join(' ')}`
+        ).join('\n'));
+        return EXIT_OK;
+    },
+
+    async settings(usb, options, manager, [action, type, value]) {
+        if (action === 'get') {
+            const cameras = await connectCameras(manager, options);
+            const results = [];
+            for (const camera of cameras) {
+                const settings = (await camera.getAllSettings())?.result ?? {};
+                results.push({ cameraId: camera.id, settings: type ? { [type]: settings[type] } : settings });
+            }
+
+            print(options, results, results.map(r =>
+                Object.entries(r.settings).map(([k, v]) => `${r.cameraId}\t${k}\t${v}`).join('\n')
+            ).join('\n'));
+            return EXIT_OK;
+        }
+
+        if (action === 'set') {
+            if (!type || value === undefined) throw new UsageError('settings set needs <type> <value>');
+            try {
+                encodeSetting(type, value);
+            } catch (error) {
+                throw new UsageError(error.message);
+            }
+
+            const cameras = await connectCameras(manager, options);
+            const results = await Promise.all(cameras.map(camera =>
+                camera.setSetting(type, value)
+                    .then(param => ({ cameraId: camera.id, status: 'success', param }))
+                    .catch(error => ({ cameraId: camera.id, status: 'error', error: error.message }))
+            ));
+
+            print(options, results, results.map(r =>
+                `${r.cameraId}\t${r.status === 'success' ? `${type}=${r.param}` : `FAILED: ${r.error}`}`
+            ).join('\n'));
+            return results.every(r => r.status === 'success') ? EXIT_OK : EXIT_FAILURE;
+        }
+
+        throw new UsageError('settings needs get or set');
+    },
+
+    async shoot(usb, options, manager) {
+        await connectCameras(manager, options);
+        const capture = startCapture(manager, options);
+
+        const results = await manager.captureAll();
+        await capture.finish();
+
+        const shot = manager.session.shots.at(-1).shot;
+        const download = r => capture.getDownload(shot, r.cameraId);
+        const isSaved = r => r.status === 'success' && (!download(r) || download(r).file);
+        print(options, results.map(r => describeCaptureResult(r, download(r))),
+            results.map(r => `${r.cameraId}\t${formatCaptureResult(r, download(r))}`).join('\n'));
+        return results.every(isSaved) ? EXIT_OK : EXIT_FAILURE;
+    },
+
+    async bracket(usb, options, manager) {
+        const type = { ev: 'ev_bias', shutter: 'exposure_time' }[options.by ?? 'ev'];
+        if (!type) throw new UsageError('--by must be ev or shutter');
+        const count = options.count ? Number(options.count) : 3;
+        const spacing = options.spacing ? Number(options.spacing) : 1;
+        if (!Number.isInteger(count) || count < 2) throw new UsageError('--count needs a whole number of at least 2');
+        if (!(spacing > 0)) throw new UsageError('--spacing needs a number of EV above 0');
+
+        await connectCameras(manager, options);
+        const capture = startCapture(manager, options);
+
+        let bracket;
+        try {
+            bracket = await manager.captureBracketAll({
+                type,
+                count,
+                spacing,
+                center: typeof options.center === 'string' ? options.center : undefined,
+            });
+        } finally {
+            await capture.finish();
+        }
+
+        const shots = bracket.steps.flatMap(step => step.results.map(r => ({ ...r, shot: step.shot })));
+        const download = r => capture.getDownload(r.shot, r.cameraId);
+        const isSaved = r => r.status === 'success' && (!download(r) || download(r).file);
+        const lines = [
+            `HDR set ${bracket.set.id}: ${bracket.steps.length} of ${count} steps, ${spacing} EV apart (${type})`,
+            ...bracket.steps.flatMap(step => {
+                const failedSetting = step.settings.find(entry => entry.status === 'error');
+                if (failedSetting) return [`step ${step.index}\t${failedSetting.cameraId}\tSETTING FAILED: ${failedSetting.error.message}`];
+                return step.results.map(r => `shot ${step.shot}\t${r.cameraId}\t${type}=${r.value}\t` +
+                    formatCaptureResult(r, capture.getDownload(step.shot, r.cameraId)));
+            }),
+            ...bracket.restored.map(r => `restore\t${r.cameraId}\t${r.status === 'success' ? `${type}=${r.result}` : `FAILED: ${r.error.message}`}`),
+        ];
+        print(options, {
+            set: bracket.set,
+            status: bracket.status,
+            error: bracket.error?.message,
+            shots: shots.map(r => describeCaptureResult(r, download(r))),
+            restored: bracket.restored.map(r => ({ ...r, error: r.error?.message })),
+        }, lines.join('\n'));
+        return bracket.status === 'success' && shots.every(isSaved) ? EXIT_OK : EXIT_FAILURE;
+    },
+
+    async 'focus-stack'(usb, options, manager) {
+        const near = options.near !== undefined ? Number(options.near) : undefined;
+        const far = options.far !== undefined ? Number(options.far) : undefined;
+        const count = options.count ? Number(options.count) : undefined;
+        if ([near, far].some(value => value !== undefined && !(value >= 0 && value <= 5))) {
+            throw new UsageError('--near and --far need inverse distances from 0 to 5');
+        }
+        if (count !== undefined && (!Number.isInteger(count) || count < 2)) {
+            throw new UsageError('--count needs a whole number of at least 2');
+        }
+
+        await connectCameras(manager, options);
+        const capture = startCapture(manager, options);
+
+        let stack;
+        try {
+            stack = await manager.captureFocusStackAll({ near, far, count, spacing: options.linear ? 'linear' : 'dof' });
+        } finally {
+            await capture.finish();
+        }
+
+        const { set } = stack;
+        const shots = stack.steps.flatMap(step => step.results.map(r => ({ ...r, shot: step.shot })));
+        const download = r => capture.getDownload(r.shot, r.cameraId);
+        const isSaved = r => r.status === 'success' && (!download(r) || download(r).file);
+        const formatDistance = r => r.distanceM === null ? 'infinity' : `${r.distanceM}m`;
+        const lines = [
+            `Focus stack ${set.id}: ${stack.steps.length} of ${set.count} steps from ${set.near} to ${set.far} 1/m (${set.spacing})`,
+            ...stack.steps.flatMap(step => {
+                const failedSetting = step.settings.find(entry => entry.status === 'error');
+                if (failedSetting) return [`step ${step.index}\t${failedSetting.cameraId}\tFOCUS FAILED: ${failedSetting.error.message}`];
+                return step.results.map(r => `shot ${step.shot}\t${r.cameraId}\tmf_inv_distance=${r.param} (${formatDistance(r)})\t` +
+                    formatCaptureResult(r, capture.getDownload(step.shot, r.cameraId)));
+            }),
+            ...stack.restored.map(r => `restore\t${r.cameraId}\t${r.status === 'success'
+                ? `still_focusing_mode=${r.result.still_focusing_mode}` : `FAILED: ${r.error.message}`}`),
+        ];
+        print(options, {
+            set,
+            status: stack.status,
+            error: stack.error?.message,
+            shots: shots.map(r => describeCaptureResult(r, download(r))),
+            restored: stack.restored.map(r => ({ ...r, error: r.error?.message })),
+        }, lines.join('\n'));
+        return stack.status === 'success' && shots.every(isSaved) ? EXIT_OK : EXIT_FAILURE;
+    },
+
+    async burst(usb, options, manager) {
+        const count = Number(options.count);
+        if (!(Number.isInteger(count) && count >= 1)) throw new UsageError('burst needs --count <n>');
+        const intervalSeconds = options.interval !== undefined ? Number(options.interval) : 0;
+        if (!(intervalSeconds >= 0)) throw new UsageError('--interval needs a number of seconds');
+        if (options.manifest) throw new UsageError('Burst shots are not recorded in a manifest; use --out');
+
+        await connectCameras(manager, options);
+        const capture = startCapture(manager, options);
+
+        let burst;
+        try {
+            burst = await manager.burstAll(count, { intervalMs: intervalSeconds * 1000 });
+        } finally {
+            await capture.finish();
+        }
+
+        const downloads = capture.getDownloads();
+        const formatMs = ms => `${Math.round(ms)}ms`;
+        const lines = burst.results.flatMap(r => [
+            `${r.cameraId}	${r.taken}/${r.count} shots in ${formatMs(r.durationMs)}, ${r.fps.toFixed(2)} fps` +
+                (r.latencyMs ? `, latency ${formatMs(r.latencyMs.min)} / ${formatMs(r.latencyMs.mean)} / ${formatMs(r.latencyMs.max)} (min / mean / max)` : '') +
+                `, ${r.dropped} dropped`,
+            ...r.shots.filter(shot => shot.status === 'error').map(shot => `${r.cameraId}	shot ${shot.index}	DROPPED: ${shot.error.message}`),
+        ]);
+        if (burst.results.length > 1) {
+            lines.push(`All	${burst.taken}/${burst.count * burst.results.length} shots in ${formatMs(burst.durationMs)}, ${burst.fps.toFixed(2)} fps`);
+        }
+        if (options.out) {
+            lines.push(`${downloads.filter(entry => entry.file).length} files saved to ${options.out}`);
+        }
+        print(options, {
+            ...burst,
+            error: burst.error?.message,
+            results: burst.results.map(r => ({
+                ...r,
+                error: r.error?.message,
+                shots: r.shots.map(shot => ({ ...shot, error: shot.error?.message })),
+            })),
+            files: downloads.map(entry => entry.file ?? { error: entry.error.message }),
+        }, lines.join('\n'));
+        return burst.status === 'success' && downloads.every(entry => entry.file) ? EXIT_OK : EXIT_FAILURE;
+    },
+
+    async timelapse(usb, options, manager) {
+        const intervalSeconds = Number(options.interval);
+        if (!(intervalSeconds > 0)) throw new UsageError('timelapse needs --interval <seconds>');
+        const count = options.count ? Number(options.count) : undefined;
+        if (count !== undefined && !(Number.isInteger(count) && count >= 1)) {
+            throw new UsageError('--count needs a whole number of at least 1');
+        }
+        const seconds = options.seconds ? Number(options.seconds) : undefined;
+        if (seconds !== undefined && !(seconds > 0)) throw new UsageError('--seconds needs a number above 0');
+        const minBatteryLevel = options['min-battery'] ? Number(options['min-battery']) : undefined;
+        if (minBatteryLevel !== undefined && !(minBatteryLevel >= 0 && minBatteryLevel <= 100)) {
+            throw new UsageError('--min-battery needs a percentage');
+        }
+        let ramp;
+        if (options.ramp) {
+            if ([options.ramp, options.from, options.to].some(value => typeof value !== 'string')) {
+                throw new UsageError('--ramp <type> needs --from <value> and --to <value>');
+            }
+            if (count === undefined && seconds === undefined) throw new UsageError('--ramp needs --count or --seconds');
+            ramp = { type: options.ramp, from: options.from, to: options.to };
+        }
+
+        await connectCameras(manager, options);
+        const capture = startCapture(manager, options);
+
+        const shots = [];
+        const timelapse = new Intervalometer(manager, {
+            intervalMs: intervalSeconds * 1000,
+            count,
+            endTime: seconds !== undefined ? Date.now() + seconds * 1000 : undefined,
+            minBatteryLevel,
+            ramp,
+            stopOnError: !!options['stop-on-error'],
+            onShot: progress => {
+                const shot = manager.session.shots.at(-1)?.shot ?? null;
+                shots.push({ ...progress, number: progress.shot, shot, results: progress.result ?? [] });
+                if (options.json) return;
+
+                const ramped = progress.rampValue !== null ? `\t${ramp.type}=${progress.rampValue}` : '';
+                const timing = `shot ${shot} (${progress.shot}${count ? `/${count}` : ''}, ${Math.round(progress.lateMs)}ms late)`;
+                const lines = progress.result
+                    ? progress.result.map(r => `${timing}\t${r.cameraId}${ramped}\t${formatCaptureResult(r, null)}`)
+                    : [`${timing}${ramped}\tFAILED: ${progress.error.message}`];
+                print(options, null, lines.join('\n'));
+            },
+        });
+
+        const stop = () => timelapse.stop();
+        process.once('SIGINT', stop);
+        let summary;
+        try {
+            timelapse.start();
+            summary = await timelapse.whenStopped();
+        } finally {
+            process.removeListener('SIGINT', stop);
+            await capture.finish();
+        }
+
+        const results = shots.flatMap(entry => entry.results.map(r => ({ ...r, shot: entry.shot })));
+        const download = r => capture.getDownload(r.shot, r.cameraId);
+        const isSaved = r => r.status === 'success' && (!download(r) || download(r).file);
+        const stoppedBy = summary.reason === 'lowBattery'
+            ? `${summary.lowBattery.camera.id} battery at ${summary.lowBattery.batteryLevel}%`
+            : summary.reason === 'error' ? `error: ${summary.error.message}` : summary.reason;
+        const saved = options.out ? `; ${results.filter(r => download(r).file).length} files saved to ${options.out}` : '';
+        print(options, {
+            ...summary,
+            error: summary.error?.message,
+            lowBattery: summary.lowBattery && { cameraId: summary.lowBattery.camera.id, batteryLevel: summary.lowBattery.batteryLevel },
+            shots: shots.map(({ result, error, results: shotResults, ...progress }) => ({
+                ...progress,
+                error: error?.message,
+                results: shotResults.map(r => describeCaptureResult(r, capture.getDownload(progress.shot, r.cameraId))),
+            })),
+        }, `Timelapse stopped (${stoppedBy}): ${summary.shots} shots, ${summary.failures} failed, ` +
+            `${summary.missed} intervals missed${saved}`);
+        return summary.failures === 0 && summary.reason !== 'error' && results.every(isSaved) ? EXIT_OK : EXIT_FAILURE;
+    },
+
+    async 'download-last'(usb, options, manager) {
+        const [camera] = await connectCameras(manager, { ...options, all: false });
+
+        const remotePath = (await camera.getLastFilePath())?.result?.path;
+        if (!remotePath) throw new Error(`${camera.displayName} has no file to download`);
+
+        const out = typeof options.out === 'string' ? options.out : '.';
+        const isDirectory = out.endsWith(path.sep) || (fs.existsSync(out) && fs.statSync(out).isDirectory());
+        const filePath = isDirectory ? path.join(out, path.posix.basename(remotePath)) : out;
+
+        // Resume from whatever an earlier run left on disk
+        const offset = options.resume && fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+        const file = fs.openSync(filePath, offset > 0 ? 'a' : 'w');
+
+        const controller = new AbortController();
+        const stop = () => controller.abort();
+        process.once('SIGINT', stop);
+
+        try {
+            const result = await camera.downloadFile(remotePath, {
+                offset,
+                signal: controller.signal,
+                writer: { write: data => fs.writeSync(file, data) },
+                onProgress: ({ received, size }) => {
+                    if (!process.stderr.isTTY) return;
+                    const percent = size ? ` (${Math.floor(received / size * 100)}%)` : '';
+                    process.stderr.write(`\r${received} bytes${percent}`);
+                },
+            });
+            if (process.stderr.isTTY) process.stderr.write('\n');
+
+            print(options, { cameraId: camera.id, path: remotePath, file: filePath, size: result.size },
+                `Saved ${remotePath} to ${filePath} (${result.size} bytes)`);
+            return EXIT_OK;
+        } catch (error) {
+            if (process.stderr.isTTY) process.stderr.write('\n');
+            throw new Error(`${error.message}\nPartial file kept at ${filePath}; run again with --resume to continue`);
+        } finally {
+            fs.closeSync(file);
+            process.removeListener('SIGINT', stop);
+        }
+    },
+
+    async liveview(usb, options, manager) {
+        if (!options.out || options.out === true) throw new UsageError('liveview needs --out <dir>');
+
+        const format = options.format ?? 'sequence';
+        if (!RECORDING_FORMATS.includes(format)) {
+            throw new UsageError(`--format must be one of ${RECORDING_FORMATS.join(', ')}`);
+        }
+        const maxMB = options['max-mb'] ? parseFloat(options['max-mb']) : undefined;
+        if (maxMB !== undefined && !(maxMB > 0)) throw new UsageError('--max-mb needs a size in megabytes');
+
+        const [camera] = await connectCameras(manager, { ...options, all: false });
+        const recorder = new LiveViewRecorder(camera, {
+            directory: options.out,
+            format,
+            name: typeof options.name === 'string' ? options.name : 'frame',
+            maxFrames: options.frames ? parseInt(options.frames, 10) : undefined,
+            maxBytes: maxMB !== undefined ? maxMB * 1024 * 1024 : undefined,
+            maxDurationMs: options.seconds ? parseFloat(options.seconds) * 1000 : undefined,
+            maxFps: options.fps ? parseFloat(options.fps) : undefined,
+        });
+
+        const stop = () => recorder.stop();
+        process.once('SIGINT', stop);
+        let summary;
+        try {
+            await recorder.start();
+            summary = await recorder.whenStopped();
+        } finally {
+            process.removeListener('SIGINT', stop);
+        }
+        if (summary.error) throw summary.error;
+
+        const { stats } = summary;
+        print(options, { cameraId: camera.id, out: options.out, ...summary },
+            `Saved ${summary.frames} frames (${summary.bytes} bytes, ${(summary.durationMs / 1000).toFixed(1)}s)` +
+            ` to ${summary.path ?? options.out}, timing in ${summary.sidecarPath}; stopped: ${summary.reason}` +
+            ` (${stats.framesSkipped} skipped, ${stats.framesDropped} dropped, ${stats.malformedFrames} malformed)`);
+        return EXIT_OK;
+    },
+
+    async serve(usb, options, manager) {
+        const port = options.port ? parseInt(options.port, 10) : 8080;
+        if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError('--port needs a port number');
+        const host = typeof options.host === 'string' ? options.host : undefined;
+
+        const cameras = await connectCameras(manager, options);
+        const server = createMJPEGServer(manager, { maxFps: options.fps ? parseFloat(options.fps) : undefined });
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, resolve);
+        });
+        const { port: boundPort } = server.address();
+        const base = `http://${host || 'localhost'}:${boundPort}`;
+        console.error(`Serving ${cameras.length} camera(s) at ${base}/cameras (Ctrl-C to stop)`);
+        cameras.forEach(camera => console.error(`  ${base}/cameras/${encodeURIComponent(camera.id)}/stream.mjpg`));
+
+        await new Promise(resolve => process.once('SIGINT', resolve));
+
+        // Viewers keep their connections open; end them rather than wait
+        server.closeAllConnections?.();
+        await new Promise(resolve => server.close(resolve));
+        print(options, { port: boundPort, cameras: cameras.map(camera => camera.id) }, 'Server stopped');
+        return EXIT_OK;
+    },
+};
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs(ARGS);
+    } catch (error) {
+        console.error(error.message);
+        return EXIT_USAGE;
+    }
+
+    const { positional: [command, ...commandArgs], options } = parsed;
+    if (!command || options.help || !COMMANDS[command]) {
+        console.log(ABOUT_MSG);
+        return command && !options.help ? EXIT_USAGE : EXIT_OK;
+    }
+
+    // Library diagnostics go to stderr so stdout stays parseable
+    console.log = console.error;
+
+    const timeoutMs = options.timeout ? parseInt(options.timeout, 10) : undefined;
+    const usb = await createUSBBackend(options);
+    const manager = new CameraManager({
+        usbBackend: usb,
+        commandTimeoutMs: timeoutMs,
+        reconnect: false,
+    });
+
+    try {
+        return await COMMANDS[command](usb, options, manager, commandArgs);
+    } catch (error) {
+        console.error(error instanceof UsageError ? `${error.message}\n\n${ABOUT_MSG}` : `Error: ${error.message}`);
+        return error instanceof UsageError ? EXIT_USAGE : EXIT_FAILURE;
+    } finally {
+        await manager.dispose();
+
+        // usbBackend is set when the replay is itself being recorded
+        const replay = [usb, usb.usbBackend].find(backend => backend instanceof ReplayUSB);
+        if (replay?.mismatches.length > 0) {
+            console.error(`Warning: ${replay.mismatches.length} USB transfers differed from the replayed trace`);
+        }
+    }
+}
+
+// node-usb keeps the event loop alive while hotplug events are watched
+process.exit(await main());
@@ -0,0 +1,157 @@
+/*
+    errors.js - Error classes for DXO One camera operations
+    https://github.com/jsyang/dxo1control
+
+    Every failure raised by CameraDevice / CameraManager is a CameraError, so
+    callers can tell failure kinds apart with instanceof (or error.name)
+    instead of parsing messages:
+
+        CameraError
+        ├── CameraTimeoutError       - no reply within the command timeout
+        ├── CameraProtocolError      - bytes from the camera could not be decoded
+        ├── CameraRPCError           - the camera answered with a JSON-RPC error
+        ├── CameraDisconnectedError  - the camera is closed or was unplugged
+        ├── CameraSettingError       - a setting type or value is not allowed
+        │                              (see settings.js); nothing was sent
+        └── CameraTransferError      - a file download stopped part way; it
+                                       can be resumed from error.offset
+
+    Cancellation through an AbortSignal rejects with the signal's reason
+    (an AbortError DOMException by default), as the platform APIs do.
+*/
+
+/**
+ * Base class for all camera failures
+ */
+export class CameraError extends Error {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {Object} [options]
+     * @param {string} [options.cameraId] - ID of the camera involved
+     * @param {string} [options.method] - RPC method being executed
+     * @param {*} [options.cause] - Underlying error
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause !== undefined ? { cause: options.cause } : undefined);
+        this.name = 'CameraError';
+        this.cameraId = options.cameraId ?? null;
+        this.method = options.method ?? null;
+    }
+}
+
+/**
+ * The camera did not reply in time
+ */
+export class CameraTimeoutError extends CameraError {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {Object} [options] - See CameraError, plus:
+     * @param {number} [options.timeoutMs] - The timeout that expired
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'CameraTimeoutError';
+        this.timeoutMs = options.timeoutMs ?? null;
+    }
+}
+
+/**
+ * Data from (or for) the camera violates the wire format
+ */
+export class CameraProtocolError extends CameraError {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {Object} [options] - See CameraError, plus:
+     * @param {Uint8Array} [options.data] - The offending bytes
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'CameraProtocolError';
+        this.data = options.data ?? null;
+    }
+}
+
+/**
+ * The camera rejected a command with a JSON-RPC error object
+ */
+export class CameraRPCError extends CameraError {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {Object} [options] - See CameraError, plus:
+     * @param {number} [options.code] - JSON-RPC error code from the camera
+     * @param {*} [options.data] - JSON-RPC error data from the camera
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'CameraRPCError';
+        this.code = options.code ?? null;
+        this.data = options.data ?? null;
+    }
+}
+
+/**
+ * The camera is not (or no longer) connected
+ */
+export class CameraDisconnectedError extends CameraError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'CameraDisconnectedError';
+    }
+}
+
+/**
+ * A setting was rejected before being sent to the camera
+ */
+export class CameraSettingError extends CameraError {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {Object} [options] - See CameraError, plus:
+     * @param {string} [options.type] - Setting type
+     * @param {*} [options.value] - The rejected value
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'CameraSettingError';
+        this.type = options.type ?? null;
+        this.value = options.value ?? null;
+    }
+}
+
+/**
+ * A file download stopped before the whole file was received
+ *
+ * The underlying failure (timeout, disconnect, ...) is the cause.
+ */
+export class CameraTransferError extends CameraError {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {Object} [options] - See CameraError, plus:
+     * @param {string} [options.path] - File being downloaded
+     * @param {number} [options.offset] - Bytes received so far; pass as `offset` to resume
+     * @param {number} [options.size] - File size, if the camera reported it
+     * @param {Uint8Array} [options.data] - Bytes received so far (when not streamed to a writer)
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'CameraTransferError';
+        this.path = options.path ?? null;
+        this.offset = options.offset ?? 0;
+        this.size = options.size ?? null;
+        this.data = options.data ?? null;
+    }
+}
+
+/**
+ * Returns the error an aborted signal should reject with
+ *
+ * @param {AbortSignal} signal - An aborted signal
+ * @returns {*} signal.reason, or an AbortError if the runtime does not set one
+ */
+export function getAbortReason(signal) {
+    if (signal.reason !== undefined) return signal.reason;
+    if (typeof DOMException !== 'undefined') return new DOMException('The operation was aborted.', 'AbortError');
+
+    const error = new Error('The operation was aborted.');
+    error.name = 'AbortError';
+    return error;
+}
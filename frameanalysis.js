@@ -0,0 +1,141 @@
+/*
+    frameanalysis.js - Exposure and focus analysis of decoded live view frames
+    https://github.com/jsyang/dxo1control
+
+    Pure functions over RGBA pixels (the ImageData.data layout), so they run
+    in a worker, on the main thread, or under Node.js with any JPEG decoder:
+
+        const analysis = analyzeFrame(imageData.data, imageData.width, imageData.height);
+        analysis.clipping.highlights   // fraction of pixels blown out
+        analysis.focus.score           // higher is sharper (same scene)
+
+    LiveViewAnalyzer.js runs them off the main thread on a camera's live view
+    and turns the overlay into an image to draw over the preview.
+*/
+
+export const DEFAULT_ANALYSIS_OPTIONS = {
+    // A pixel with any channel at or above this is clipped in the highlights
+    highlightThreshold: 250,
+    // A pixel with luma at or below this is clipped in the shadows
+    shadowThreshold: 5,
+    // Sobel gradient of luma (|Gx| + |Gy|, 0 - 2040) at or above which an edge is "in focus"
+    peakingThreshold: 160,
+};
+
+// Overlay colors (RGBA)
+const HIGHLIGHT_CLIPPING_COLOR = [255, 0, 0, 160];
+const SHADOW_CLIPPING_COLOR = [0, 80, 255, 160];
+const PEAKING_COLOR = [255, 255, 0, 255];
+
+/**
+ * Exposure and focus figures of one frame
+ * @typedef {Object} FrameAnalysis
+ * @property {number} width - Analyzed size (may be smaller than the frame)
+ * @property {number} height
+ * @property {{red: Uint32Array, green: Uint32Array, blue: Uint32Array, luma: Uint32Array}} histogram -
+ *           Pixel counts for each value 0 - 255
+ * @property {number} meanLuma - Average luma, 0 - 255
+ * @property {{highlights: number, shadows: number}} clipping - Fractions of pixels clipped
+ * @property {{score: number, peakingFraction: number}} focus - score: mean luma gradient; only
+ *           comparable between frames of the same scene. peakingFraction: share of pixels marked as
+ *           in-focus edges
+ * @property {Uint8ClampedArray|null} overlay - RGBA overlay of the same size, if requested
+ */
+
+/**
+ * Analyzes one decoded frame
+ *
+ * Luma uses the Rec. 709 weights. Focus is measured with a Sobel filter on
+ * luma; edge pixels are left out.
+ *
+ * @param {Uint8ClampedArray|Uint8Array} rgba - Pixels, 4 bytes each
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options] - Thresholds (see DEFAULT_ANALYSIS_OPTIONS), plus:
+ * @param {boolean} [options.clipping=false] - Mark clipped highlights (red) and shadows (blue) in the overlay
+ * @param {boolean} [options.peaking=false] - Mark in-focus edges (yellow) in the overlay
+ * @returns {FrameAnalysis}
+ * @throws {RangeError} If rgba is smaller than width x height pixels
+ */
+export function analyzeFrame(rgba, width, height, options = {}) {
+    const { highlightThreshold, shadowThreshold, peakingThreshold } = { ...DEFAULT_ANALYSIS_OPTIONS, ...options };
+    const pixelCount = width * height;
+    if (rgba.length < pixelCount * 4) {
+        throw new RangeError(`Expected ${pixelCount * 4} bytes of RGBA for ${width}x${height}, got ${rgba.length}`);
+    }
+
+    const red = new Uint32Array(256);
+    const green = new Uint32Array(256);
+    const blue = new Uint32Array(256);
+    const lumaHistogram = new Uint32Array(256);
+    const luma = new Uint8Array(pixelCount);
+    const overlay = options.clipping || options.peaking ? new Uint8ClampedArray(pixelCount * 4) : null;
+
+    let lumaSum = 0;
+    let highlights = 0;
+    let shadows = 0;
+
+    for (let i = 0, p = 0; i < pixelCount; i++, p += 4) {
+        const r = rgba[p];
+        const g = rgba[p + 1];
+        const b = rgba[p + 2];
+        const y = Math.round(0.2126 * r + 0.7152 * g + 0.0722 * b);
+
+        red[r]++;
+        green[g]++;
+        blue[b]++;
+        lumaHistogram[y]++;
+        luma[i] = y;
+        lumaSum += y;
+
+        let color = null;
+        if (r >= highlightThreshold || g >= highlightThreshold || b >= highlightThreshold) {
+            highlights++;
+            color = HIGHLIGHT_CLIPPING_COLOR;
+        } else if (y <= shadowThreshold) {
+            shadows++;
+            color = SHADOW_CLIPPING_COLOR;
+        }
+        if (color && options.clipping) overlay.set(color, p);
+    }
+
+    let gradientSum = 0;
+    let peaking = 0;
+    for (let row = 1; row < height - 1; row++) {
+        for (let col = 1; col < width - 1; col++) {
+            const i = row * width + col;
+            const above = i - width;
+            const below = i + width;
+
+            const gx = (luma[above + 1] + 2 * luma[i + 1] + luma[below + 1]) -
+                (luma[above - 1] + 2 * luma[i - 1] + luma[below - 1]);
+            const gy = (luma[below - 1] + 2 * luma[below] + luma[below + 1]) -
+                (luma[above - 1] + 2 * luma[above] + luma[above + 1]);
+            const gradient = Math.abs(gx) + Math.abs(gy);
+
+            gradientSum += gradient;
+            if (gradient >= peakingThreshold) {
+                peaking++;
+                if (options.peaking) overlay.set(PEAKING_COLOR, i * 4);
+            }
+        }
+    }
+
+    const innerCount = Math.max(width - 2, 0) * Math.max(height - 2, 0);
+
+    return {
+        width,
+        height,
+        histogram: { red, green, blue, luma: lumaHistogram },
+        meanLuma: pixelCount > 0 ? lumaSum / pixelCount : 0,
+        clipping: {
+            highlights: pixelCount > 0 ? highlights / pixelCount : 0,
+            shadows: pixelCount > 0 ? shadows / pixelCount : 0,
+        },
+        focus: {
+            score: innerCount > 0 ? gradientSum / innerCount : 0,
+            peakingFraction: innerCount > 0 ? peaking / innerCount : 0,
+        },
+        overlay,
+    };
+}
@@ -0,0 +1,210 @@
+/*
+    mjpegserver.js - Live view over HTTP as MJPEG (Node.js)
+    https://github.com/jsyang/dxo1control
+
+    Serves the cameras of a CameraManager to other machines, so previews can
+    be watched in any browser or video tool without holding the USB devices:
+
+        GET /cameras                   JSON list of cameras and their URLs
+        GET /cameras/:id/stream.mjpg   multipart/x-mixed-replace live view
+        GET /cameras/:id/snapshot.jpg  The current live view frame
+
+        const server = createMJPEGServer(manager, { maxFps: 15 });
+        server.listen(8080);
+
+    Every viewer of a camera shares one live view (camera.liveViewFrames());
+    it starts with the first viewer and stops when the last one leaves. A
+    snapshot with no stream running counts as a viewer until its frame
+    arrives. A viewer whose connection cannot keep up skips frames instead of
+    queueing them. `dxo1 serve` runs this server from the command line.
+*/
+
+import http from 'http';
+
+const BOUNDARY = 'dxo1frame';
+
+// A snapshot without a running stream waits this long for a frame
+const DEFAULT_SNAPSHOT_TIMEOUT_MS = 5000;
+
+/**
+ * Sends a complete response
+ */
+function respond(res, status, body, contentType = 'text/plain; charset=utf-8') {
+    res.writeHead(status, {
+        'Content-Type': contentType,
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store',
+    });
+    res.end(body);
+}
+
+/**
+ * Creates an HTTP server for the live view of a manager's cameras
+ *
+ * @param {CameraManager} manager - Cameras to serve (including ones connected later)
+ * @param {Object} [options]
+ * @param {number} [options.maxFps] - Frame rate limit of each camera's stream
+ * @param {number} [options.snapshotTimeoutMs=5000] - How long a snapshot waits for a frame
+ * @returns {http.Server} Not yet listening. A camera's live view stops when its last viewer
+ *          disconnects; server.closeAllConnections() ends them all
+ */
+export function createMJPEGServer(manager, options = {}) {
+    const { maxFps, snapshotTimeoutMs = DEFAULT_SNAPSHOT_TIMEOUT_MS } = options;
+
+    // cameraId -> {frames, viewers: Set<{onFrame, onEnd}>, lastFrame} for cameras being streamed
+    const broadcasts = new Map();
+
+    /**
+     * Starts sharing a camera's live view, or returns the running broadcast
+     */
+    function getBroadcast(camera) {
+        let broadcast = broadcasts.get(camera.id);
+        if (broadcast && !broadcast.frames.isDone) return broadcast;
+
+        broadcast = { frames: camera.liveViewFrames({ maxFps }), viewers: new Set(), lastFrame: null };
+        broadcasts.set(camera.id, broadcast);
+        runBroadcast(camera, broadcast);
+        return broadcast;
+    }
+
+    /**
+     * Sends each frame to every viewer that is ready for one
+     */
+    async function runBroadcast(camera, broadcast) {
+        let error = null;
+        try {
+            for await (const frame of broadcast.frames) {
+                broadcast.lastFrame = frame.data;
+                for (const viewer of broadcast.viewers) viewer.onFrame(frame.data);
+            }
+        } catch (e) {
+            error = e;
+            console.warn(`[mjpegserver] Live view of ${camera.displayName} ended:`, error.message);
+        }
+
+        if (broadcasts.get(camera.id) === broadcast) broadcasts.delete(camera.id);
+        for (const viewer of broadcast.viewers) viewer.onEnd(error);
+    }
+
+    /**
+     * Removes a viewer; the last one to leave stops live view (if the broadcast started it)
+     */
+    function leaveBroadcast(broadcast, viewer) {
+        broadcast.viewers.delete(viewer);
+        if (broadcast.viewers.size === 0) broadcast.frames.close();
+    }
+
+    /**
+     * Writes one multipart frame; skipped while the viewer's socket is still full
+     */
+    function sendFrame(viewer, jpeg) {
+        if (viewer.isBusy) return;
+
+        viewer.res.write(`--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${jpeg.length}\r\n\r\n`);
+        viewer.res.write(jpeg);
+        if (!viewer.res.write('\r\n')) {
+            viewer.isBusy = true;
+            viewer.res.once('drain', () => { viewer.isBusy = false; });
+        }
+    }
+
+    function serveStream(camera, res) {
+        res.writeHead(200, {
+            'Content-Type': `multipart/x-mixed-replace; boundary=${BOUNDARY}`,
+            'Cache-Control': 'no-store',
+            'Connection': 'close',
+        });
+
+        const broadcast = getBroadcast(camera);
+        const viewer = {
+            res,
+            isBusy: false,
+            onFrame: jpeg => sendFrame(viewer, jpeg),
+            onEnd: () => res.end(),
+        };
+        broadcast.viewers.add(viewer);
+        if (broadcast.lastFrame) sendFrame(viewer, broadcast.lastFrame);
+
+        res.on('close', () => leaveBroadcast(broadcast, viewer));
+    }
+
+    function serveSnapshot(camera, res) {
+        const jpeg = broadcasts.get(camera.id)?.lastFrame;
+        if (jpeg) return respond(res, 200, jpeg, 'image/jpeg');
+
+        // Wait for the next frame as a viewer of the shared live view, so that
+        // streams which join meanwhile keep it running once the snapshot is sent
+        const broadcast = getBroadcast(camera);
+        let isAnswered = false;
+        const answer = (status, body, contentType) => {
+            if (isAnswered) return;
+            isAnswered = true;
+            clearTimeout(timeout);
+            leaveBroadcast(broadcast, viewer);
+            if (!res.destroyed) respond(res, status, body, contentType);
+        };
+
+        const viewer = {
+            onFrame: frame => answer(200, frame, 'image/jpeg'),
+            onEnd: error => answer(
+                error ? 504 : 503,
+                error
+                    ? `No live view frame from ${camera.displayName}: ${error.message}\n`
+                    : `Live view of ${camera.displayName} is not available\n`
+            ),
+        };
+        const timeout = setTimeout(
+            () => answer(504, `No live view frame from ${camera.displayName} within ${snapshotTimeoutMs}ms\n`),
+            snapshotTimeoutMs
+        );
+        broadcast.viewers.add(viewer);
+        res.on('close', () => answer());
+    }
+
+    function listCameras(res) {
+        const cameras = manager.getAllCameraStates().map(state => {
+            const base = `/cameras/${encodeURIComponent(state.id)}`;
+            return {
+                ...state,
+                viewers: broadcasts.get(state.id)?.viewers.size ?? 0,
+                stream: `${base}/stream.mjpg`,
+                snapshot: `${base}/snapshot.jpg`,
+            };
+        });
+        respond(res, 200, JSON.stringify(cameras, null, 2) + '\n', 'application/json');
+    }
+
+    const server = http.createServer((req, res) => {
+        if (req.method !== 'GET') {
+            res.setHeader('Allow', 'GET');
+            return respond(res, 405, 'Method not allowed\n');
+        }
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname === '/' || pathname === '/cameras') return listCameras(res);
+
+        const match = pathname.match(/^\/cameras\/([^/]+)\/(stream\.mjpg|snapshot\.jpg)$/);
+        if (!match) return respond(res, 404, 'Not found\n');
+
+        let cameraId;
+        try {
+            cameraId = decodeURIComponent(match[1]);
+        } catch (error) {
+            return respond(res, 400, 'Bad camera id\n');
+        }
+
+        const camera = manager.getCamera(cameraId);
+        if (!camera?.isConnected) return respond(res, 404, `No connected camera ${cameraId}\n`);
+
+        if (match[2] === 'stream.mjpg') return serveStream(camera, res);
+        serveSnapshot(camera, res);
+    });
+
+    server.on('close', () => {
+        for (const broadcast of broadcasts.values()) broadcast.frames.close();
+    });
+
+    return server;
+}
+
+export default createMJPEGServer;
@@ -0,0 +1,59 @@
+/*
+    nodeusb.js - WebUSB backend for Node.js
+    https://github.com/jsyang/dxo1control
+
+    Wraps node-usb (the optional `usb` dependency) so DXOONE.open() and
+    CameraManager work headless:
+
+        import { CameraManager } from './CameraManager.js';
+        import { createNodeUSBBackend } from './nodeusb.js';
+
+        const manager = new CameraManager({ usbBackend: await createNodeUSBBackend() });
+        await manager.connectCamera();
+
+    There is no device chooser under Node.js: requestDevice() returns the
+    first DXO One that matches and is not already open, getDevices() lists
+    every attached one.
+
+    On Linux the user needs access to the device node, e.g. a udev rule:
+        SUBSYSTEM=="usb", ATTR{idVendor}=="2b8f", MODE="0666"
+*/
+
+const ERROR_NODE_USB_MISSING = 'The `usb` package is required for USB access under Node.js.\nInstall it with: npm install usb';
+
+/**
+ * Creates a WebUSB implementation backed by node-usb
+ *
+ * @param {Object} [options] - Passed to node-usb's WebUSB constructor
+ * @param {boolean} [options.allowAllDevices=true] - Skip the (nonexistent) permission prompt
+ * @returns {Promise<USB>} Object with requestDevice(), getDevices() and connect/disconnect events
+ * @throws {Error} If the `usb` package is not installed
+ */
+export async function createNodeUSBBackend(options = {}) {
+    let nodeUSB;
+    try {
+        nodeUSB = await import('usb');
+    } catch (error) {
+        throw new Error(ERROR_NODE_USB_MISSING, { cause: error });
+    }
+
+    const webusb = new nodeUSB.WebUSB({ allowAllDevices: true, ...options });
+    const requestDevice = webusb.requestDevice.bind(webusb);
+
+    // With allowAllDevices node-usb returns the first match even if another
+    // process (or CameraManager) already has it open; prefer a free one
+    webusb.requestDevice = async requestOptions => {
+        const devices = await webusb.getDevices();
+        const filters = requestOptions?.filters || [];
+        const isMatch = device => filters.length === 0 || filters.some(filter =>
+            Object.entries(filter).every(([key, value]) => device[key] === value)
+        );
+
+        const device = devices.find(d => isMatch(d) && !d.opened);
+        return device || requestDevice(requestOptions);
+    };
+
+    return webusb;
+}
+
+export default createNodeUSBBackend;
@@ -0,0 +1,133 @@
+/*
+    platform.js - Browser / Node.js differences in one place
+    https://github.com/jsyang/dxo1control
+
+    The camera code runs unchanged in browsers and under Node.js (>= 18) with
+    a WebUSB adapter such as node-usb (see nodeusb.js). Anything that only
+    exists in one of them is reached through these helpers instead of being
+    referenced directly.
+*/
+
+/**
+ * True when running under Node.js
+ * @type {boolean}
+ */
+export const isNode = typeof process !== 'undefined' && !!process.versions?.node;
+
+/**
+ * Monotonic milliseconds, for measuring durations
+ *
+ * @returns {number}
+ */
+export function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Returns the platform WebUSB implementation, if there is one
+ *
+ * @returns {USB|null} navigator.usb in browsers that support WebUSB, otherwise null
+ */
+export function getDefaultUSBBackend() {
+    return typeof navigator !== 'undefined' && navigator.usb ? navigator.usb : null;
+}
+
+/**
+ * Creates an object URL for a live view frame, for use as an <img> src
+ *
+ * Under Node.js (where object URLs cannot be displayed) no URL is created;
+ * consumers there work with the frame bytes instead.
+ *
+ * @param {Uint8Array} frame - JPEG bytes
+ * @returns {{url: string, revoke: Function}|null} The URL and a function releasing it, or null
+ */
+export function createFrameURL(frame) {
+    if (isNode || typeof Blob === 'undefined' || typeof URL?.createObjectURL !== 'function') {
+        return null;
+    }
+
+    const url = URL.createObjectURL(new Blob([frame], { 'type': 'image/jpeg' }));
+    return { url, revoke: () => URL.revokeObjectURL(url) };
+}
+
+/**
+ * Returns a function converting live view frames (JPEG bytes) to a format
+ *
+ * @param {'uint8array'|'blob'|'imagebitmap'} [format='uint8array'] - ImageBitmap needs
+ *        createImageBitmap(), i.e. a browser
+ * @returns {Function} (frame: Uint8Array) => Uint8Array | Blob | Promise<ImageBitmap>
+ * @throws {TypeError} If the format is unknown or not available here
+ */
+export function createFrameConverter(format = 'uint8array') {
+    switch (format) {
+        case 'uint8array':
+            return frame => frame;
+
+        case 'blob':
+            return frame => new Blob([frame], { 'type': 'image/jpeg' });
+
+        case 'imagebitmap':
+            if (typeof createImageBitmap !== 'function') {
+                throw new TypeError('ImageBitmap frames need createImageBitmap(), which this environment lacks');
+            }
+            return frame => createImageBitmap(new Blob([frame], { 'type': 'image/jpeg' }));
+
+        default:
+            throw new TypeError(`Unknown live view frame format "${format}": expected uint8array, blob or imagebitmap`);
+    }
+}
+
+/**
+ * Reports a fatal problem to the user: an alert() in browsers, nothing extra
+ * elsewhere (callers throw as well, so Node.js sees the error)
+ *
+ * @param {string} message
+ */
+export function alertUser(message) {
+    if (typeof alert === 'function') alert(message);
+}
+
+/**
+ * Creates (or replaces) a file in a directory and opens it for writing
+ *
+ * @param {FileSystemDirectoryHandle|string} directory - A File System Access API
+ *        directory handle in browsers (e.g. from showDirectoryPicker()), a path under Node.js
+ * @param {string} fileName - Name of the file, without directories
+ * @returns {Promise<{path: string, write: Function, writeAt: Function, close: Function, abort: Function}>}
+ *          write(bytes) appends, writeAt(position, bytes) overwrites earlier bytes (call it only
+ *          after the last write(): in browsers later writes would continue from there),
+ *          close() finishes the file, abort() discards it
+ */
+export async function createFileWriter(directory, fileName) {
+    if (typeof directory !== 'string') {
+        const fileHandle = await directory.getFileHandle(fileName, { create: true });
+        const writable = await fileHandle.createWritable();
+        return {
+            path: `${directory.name}/${fileName}`,
+            write: data => writable.write(data),
+            writeAt: (position, data) => writable.write({ type: 'write', position, data }),
+            close: () => writable.close(),
+            abort: () => writable.abort(),
+        };
+    }
+
+    if (!isNode) {
+        throw new TypeError('Directory paths are only supported under Node.js; pass a FileSystemDirectoryHandle');
+    }
+
+    const [fs, path] = await Promise.all([import('node:fs/promises'), import('node:path')]);
+    await fs.mkdir(directory, { recursive: true });
+
+    const filePath = path.join(directory, fileName);
+    const handle = await fs.open(filePath, 'w');
+    return {
+        path: filePath,
+        write: data => handle.write(data),
+        writeAt: (position, data) => handle.write(data, 0, data.length, position),
+        close: () => handle.close(),
+        abort: async () => {
+            await handle.close().catch(() => {});
+            await fs.rm(filePath, { force: true });
+        },
+    };
+}
@@ -0,0 +1,409 @@
+/*
+    protocol.js - DXO One USB protocol codec
+    https://github.com/jsyang/dxo1control
+
+    Pure encode/decode functions for the DXO One USB wire format, shared by
+    every transport path (dxo1usb.js open() and CameraDevice).
+
+    Wire format (reverse engineered):
+    - Every framed message starts with a 32-byte header beginning A3 BA D1 10
+    - Bytes 8-9 of the header hold the little-endian payload size
+    - JSON-RPC payloads are UTF-8 text terminated by a NUL byte
+    - The camera sends METADATA_INIT_SIGNATURE to (re)start a session; the host
+      must answer with METADATA_INIT_RESPONSE_SIGNATURE
+    - Live view JPEG data is streamed after a header, unframed, until FF D9
+    - File data (assumed, not yet verified against firmware): a reply to
+      `dxo_fs_last_file_get` with `{param: path, offset, fetch_size}` carries
+      `{path, offset, fetch_size, file_size}`, where fetch_size is the number
+      of raw file bytes that follow in one or more framed messages (fewer
+      than requested at the end of the file). Only the decoder relies on
+      this, through getFileDataSize().
+*/
+
+import { getU8AFromHexString, compareU8A, mergeU8A, getStringFromU8A } from './u8a.js';
+import { CameraProtocolError } from './errors.js';
+
+export const METADATA_INIT_SIGNATURE = getU8AFromHexString('A3, BA, D1, 10, AB, CD, AB, CD, 00, 00, 00, 00, 02, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00');
+export const METADATA_INIT_RESPONSE_SIGNATURE = getU8AFromHexString('A3, BA, D1, 10, DC, BA, DC, BA, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00');
+
+export const RPC_HEADER = getU8AFromHexString('A3, BA, D1, 10, 17, 08, 00, 0C');
+export const RPC_HEADER_TRAILER = getU8AFromHexString('00, 00, 03, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00, 00');
+
+// Every framed message (handshake, RPC, live view) starts with these bytes
+export const MESSAGE_MAGIC = getU8AFromHexString('A3, BA, D1, 10');
+export const MESSAGE_HEADER_SIZE = 32;
+
+export const JPG_HEADER = getU8AFromHexString('FF, D8, FF');
+export const JPG_TRAILER = getU8AFromHexString('FF, D9');
+
+export const MAX_PACKETSIZE = 512;
+
+// The payload size field is 16 bits wide
+export const MAX_RPC_PAYLOAD_SIZE = 0xFFFF;
+
+/**
+ * A decoded unit from the camera's byte stream
+ * @typedef {Object} DecodedMessage
+ * @property {'handshake' | 'response' | 'notification' | 'jpeg' | 'file' | 'empty' | 'malformed'} type
+ * @property {Object} [message] - Parsed JSON-RPC object ('response' and 'notification')
+ * @property {Uint8Array} [data] - Raw bytes ('jpeg' and 'file' fragments, 'malformed' payloads)
+ * @property {string} [reason] - Why the bytes could not be decoded ('malformed')
+ */
+
+/**
+ * Checks whether a packet is the camera's session (re)start handshake
+ *
+ * @param {Uint8Array} packet - Raw packet from transferIn
+ * @returns {boolean} True if the packet is METADATA_INIT_SIGNATURE
+ */
+export function isHandshake(packet) {
+    return compareU8A(packet, METADATA_INIT_SIGNATURE);
+}
+
+/**
+ * Reads the little-endian payload size from a message header
+ *
+ * @param {Uint8Array} header - At least the first 10 bytes of a message header
+ * @returns {number} Payload size in bytes
+ */
+export function getPayloadSize(header) {
+    return header[8] + (header[9] << 8);
+}
+
+/**
+ * Encodes any JSON-RPC object (request, response or notification) into a
+ * complete framed message
+ *
+ * INV-DATA-001: Returns a Uint8Array whose length field matches the payload.
+ *
+ * @param {Object} message - JSON-RPC object
+ * @returns {Uint8Array} Header + NUL-terminated JSON payload
+ * @throws {CameraProtocolError} If the payload does not fit the 16-bit size field
+ */
+export function encodeRPCMessage(message) {
+    const payload = new TextEncoder().encode(JSON.stringify(message) + '\x00');
+
+    if (payload.length > MAX_RPC_PAYLOAD_SIZE) {
+        throw new CameraProtocolError(`RPC payload too large: ${payload.length} bytes (max ${MAX_RPC_PAYLOAD_SIZE})`);
+    }
+
+    const msgDetails = mergeU8A([
+        // Little endian message size
+        payload.length & 0xFF,
+        payload.length >> 8
+    ], RPC_HEADER_TRAILER);
+
+    const msgHeader = mergeU8A(RPC_HEADER, msgDetails);
+    return mergeU8A(msgHeader, payload);
+}
+
+/**
+ * Encodes a JSON-RPC request into a complete framed message
+ *
+ * @param {number} id - JSON-RPC request id
+ * @param {string} method - RPC method name
+ * @param {Object} [params] - RPC parameters
+ * @returns {Uint8Array} Header + NUL-terminated JSON payload
+ * @throws {CameraProtocolError} If the payload does not fit the 16-bit size field
+ */
+export function encodeRPCRequest(id, method, params) {
+    return encodeRPCMessage({
+        "jsonrpc": "2.0",
+        id,
+        method,
+        ...(params ? { params } : {}),
+    });
+}
+
+/**
+ * Decodes a JSON-RPC payload (without its header)
+ *
+ * Messages carrying a `method` are unsolicited notifications from the camera
+ * (e.g. dxo_setting_applied, dxo_usb_flush_forced); everything else is a
+ * response to a request.
+ *
+ * @param {Uint8Array} payload - Payload bytes, possibly NUL padded
+ * @returns {DecodedMessage} 'response', 'notification' or 'malformed'
+ */
+export function decodeRPCPayload(payload) {
+    const decodedString = getStringFromU8A(payload).replace(/\x00/g, '').trim();
+
+    let message;
+    try {
+        message = JSON.parse(decodedString);
+    } catch (e) {
+        return { type: 'malformed', data: payload, reason: `Invalid JSON: ${decodedString}` };
+    }
+
+    if (!message || typeof message !== 'object') {
+        return { type: 'malformed', data: payload, reason: `Unexpected JSON: ${decodedString}` };
+    }
+
+    return {
+        type: message.method !== undefined ? 'notification' : 'response',
+        message,
+    };
+}
+
+/**
+ * Returns how many bytes of file data follow a reply
+ *
+ * @param {Object} message - JSON-RPC response
+ * @returns {number} fetch_size of a file chunk reply, otherwise 0
+ */
+export function getFileDataSize(message) {
+    const size = message?.result?.fetch_size;
+    return message?.error === undefined && Number.isInteger(size) && size > 0 ? size : 0;
+}
+
+/**
+ * Reads the image size from a JPEG's frame header (SOFn)
+ *
+ * Walks the marker segments only, so it is cheap enough for every live view frame.
+ *
+ * @param {Uint8Array} jpeg - A complete JPEG, e.g. a live view frame
+ * @returns {{width: number, height: number}|null} null if there is no frame header before the scan
+ */
+export function getJPEGSize(jpeg) {
+    let i = 2;
+    while (i + 8 < jpeg.length) {
+        if (jpeg[i] !== 0xFF) return null;
+
+        const marker = jpeg[i + 1];
+        if (marker === 0xFF) {
+            // Fill byte
+            i++;
+            continue;
+        }
+        // SOF0 - SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return {
+                width: (jpeg[i + 7] << 8) | jpeg[i + 8],
+                height: (jpeg[i + 5] << 8) | jpeg[i + 6],
+            };
+        }
+        if (marker === 0xDA || marker === 0xD9) return null;
+
+        i += 2 + ((jpeg[i + 2] << 8) | jpeg[i + 3]);
+    }
+    return null;
+}
+
+/**
+ * Counts trailing bytes of `u` that could be the start of `prefix`
+ *
+ * Used to hold back bytes that may be completed by the next chunk.
+ *
+ * @private
+ */
+function getPartialPrefixLength(u, prefix) {
+    for (let k = Math.min(prefix.length - 1, u.length); k > 0; k--) {
+        if (compareU8A(u.subarray(u.length - k), prefix.subarray(0, k))) return k;
+    }
+    return 0;
+}
+
+/**
+ * StreamDecoder - Incremental decoder for the camera's transferIn stream
+ *
+ * Feed it raw chunks in the order they were received; it returns the typed
+ * messages completed by each chunk. Messages may span chunks and a chunk may
+ * hold several messages. Bytes outside any RPC frame (live view data) are
+ * passed through as 'jpeg' fragments; use JPEGFrameAssembler to build frames.
+ * File data announced by a reply (see getFileDataSize()) is passed through
+ * as 'file' fragments, right after that reply.
+ *
+ * @example
+ * const decoder = new StreamDecoder();
+ * for (const msg of decoder.push(chunk)) {
+ *     if (msg.type === 'response') console.log(msg.message.result);
+ * }
+ */
+export class StreamDecoder {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Discards any partially decoded data
+     */
+    reset() {
+        this.buffer = new Uint8Array(0);
+        this.pendingPayloadSize = null;
+        this.isInJPEG = false;
+
+        // File data still expected in total, and left in the current frame
+        this.fileBytesRemaining = 0;
+        this.fileFrameBytesRemaining = 0;
+    }
+
+    /**
+     * Decodes the next chunk from the camera
+     *
+     * @param {Uint8Array} chunk - Raw bytes from transferIn
+     * @returns {DecodedMessage[]} Messages completed by this chunk
+     */
+    push(chunk) {
+        const messages = [];
+
+        // A handshake packet restarts the session, even mid-message
+        if (isHandshake(chunk)) {
+            if (this.pendingPayloadSize !== null) {
+                messages.push({ type: 'malformed', data: this.buffer, reason: 'Message interrupted by handshake' });
+            } else if (this.isInJPEG && this.buffer.length > 0) {
+                messages.push({ type: 'jpeg', data: this.buffer });
+            }
+            this.reset();
+            messages.push({ type: 'handshake' });
+            return messages;
+        }
+
+        this.buffer = mergeU8A(this.buffer, chunk);
+
+        while (this.buffer.length > 0) {
+            if (this.isInJPEG) {
+                const trailerIndex = this.buffer.indexOfMulti(JPG_TRAILER);
+                if (trailerIndex >= 0) {
+                    messages.push({ type: 'jpeg', data: this.buffer.slice(0, trailerIndex + JPG_TRAILER.length) });
+                    this.buffer = this.buffer.slice(trailerIndex + JPG_TRAILER.length);
+                    this.isInJPEG = false;
+                    continue;
+                }
+
+                // Hold back a trailing 0xFF in case the trailer is split across chunks
+                const keep = getPartialPrefixLength(this.buffer, JPG_TRAILER);
+                if (this.buffer.length > keep) {
+                    messages.push({ type: 'jpeg', data: this.buffer.slice(0, this.buffer.length - keep) });
+                    this.buffer = this.buffer.slice(this.buffer.length - keep);
+                }
+                break;
+            }
+
+            if (this.fileFrameBytesRemaining > 0) {
+                const data = this.buffer.slice(0, this.fileFrameBytesRemaining);
+                messages.push({ type: 'file', data });
+                this.buffer = this.buffer.slice(data.length);
+                this.fileFrameBytesRemaining -= data.length;
+                this.fileBytesRemaining = Math.max(this.fileBytesRemaining - data.length, 0);
+                continue;
+            }
+
+            if (this.pendingPayloadSize !== null) {
+                if (this.buffer.length < this.pendingPayloadSize) break;
+
+                const message = decodeRPCPayload(this.buffer.slice(0, this.pendingPayloadSize));
+                messages.push(message);
+                this.buffer = this.buffer.slice(this.pendingPayloadSize);
+                this.pendingPayloadSize = null;
+                if (message.type === 'response') this.fileBytesRemaining = getFileDataSize(message.message);
+                continue;
+            }
+
+            const magicIndex = this.buffer.indexOfMulti(MESSAGE_MAGIC);
+            if (magicIndex !== 0) {
+                // Unframed bytes: live view data that arrived without a header
+                const end = magicIndex > 0
+                    ? magicIndex
+                    : this.buffer.length - getPartialPrefixLength(this.buffer, MESSAGE_MAGIC);
+                if (end > 0) {
+                    messages.push({ type: 'jpeg', data: this.buffer.slice(0, end) });
+                    this.buffer = this.buffer.slice(end);
+                }
+                if (magicIndex < 0) break;
+                continue;
+            }
+
+            if (this.buffer.length < MESSAGE_HEADER_SIZE) break;
+
+            const header = this.buffer.slice(0, MESSAGE_HEADER_SIZE);
+            if (isHandshake(header)) {
+                messages.push({ type: 'handshake' });
+                this.buffer = this.buffer.slice(MESSAGE_HEADER_SIZE);
+                continue;
+            }
+
+            const payloadSize = getPayloadSize(header);
+            if (payloadSize === 0) {
+                messages.push({ type: 'empty' });
+                this.buffer = this.buffer.slice(MESSAGE_HEADER_SIZE);
+                continue;
+            }
+
+            if (this.fileBytesRemaining > 0) {
+                this.buffer = this.buffer.slice(MESSAGE_HEADER_SIZE);
+                this.fileFrameBytesRemaining = payloadSize;
+                continue;
+            }
+
+            // Need the first payload byte to tell live view data from JSON
+            if (this.buffer.length === MESSAGE_HEADER_SIZE) break;
+
+            this.buffer = this.buffer.slice(MESSAGE_HEADER_SIZE);
+            if (this.buffer[0] === JPG_HEADER[0]) {
+                this.isInJPEG = true;
+            } else {
+                this.pendingPayloadSize = payloadSize;
+            }
+        }
+
+        return messages;
+    }
+}
+
+/**
+ * JPEGFrameAssembler - Builds complete JPEG frames from live view fragments
+ *
+ * Data that is not part of a frame (e.g. the tail of a frame whose start was
+ * lost) is discarded and counted in `malformedFrames`.
+ *
+ * @example
+ * const assembler = new JPEGFrameAssembler();
+ * for (const frame of assembler.push(fragment)) showFrame(frame);
+ */
+export class JPEGFrameAssembler {
+    constructor() {
+        this.malformedFrames = 0;
+        this.reset();
+    }
+
+    /**
+     * Discards any partially assembled frame
+     */
+    reset() {
+        this.buffer = new Uint8Array(0);
+    }
+
+    /**
+     * Adds a fragment of live view data
+     *
+     * @param {Uint8Array} fragment - JPEG bytes from StreamDecoder
+     * @returns {Uint8Array[]} Frames completed by this fragment (FF D8 FF ... FF D9)
+     */
+    push(fragment) {
+        const frames = [];
+        this.buffer = mergeU8A(this.buffer, fragment);
+
+        while (this.buffer.length > 0) {
+            const headerIndex = this.buffer.indexOfMulti(JPG_HEADER);
+            if (headerIndex < 0) {
+                // Drop garbage but keep a possible split header
+                const keep = getPartialPrefixLength(this.buffer, JPG_HEADER);
+                if (this.buffer.length > keep) this.malformedFrames++;
+                this.buffer = this.buffer.slice(this.buffer.length - keep);
+                break;
+            }
+            if (headerIndex > 0) {
+                this.malformedFrames++;
+                this.buffer = this.buffer.slice(headerIndex);
+            }
+
+            const trailerIndex = this.buffer.indexOfMulti(JPG_TRAILER, JPG_HEADER.length);
+            if (trailerIndex < 0) break;
+
+            frames.push(this.buffer.slice(0, trailerIndex + JPG_TRAILER.length));
+            this.buffer = this.buffer.slice(trailerIndex + JPG_TRAILER.length);
+        }
+
+        return frames;
+    }
+}
@@ -0,0 +1,490 @@
+/*
+    settings.js - DXO One camera settings schema
+    https://github.com/jsyang/dxo1control
+
+    One entry per setting type accepted by `dxo_setting_set`, describing the
+    values the camera takes and how they are written on the wire. Everything
+    that changes settings (CameraDevice.setSetting(), the legacy
+    DXOONE.open().command.setSettings tree, the dxo1 CLI and VirtualCamera)
+    validates against this table, so it is the one place to add or correct a
+    setting.
+
+    Schema entry fields:
+    - kind: 'enum' (one of `values`), 'number' (`min`..`max`, sent with
+      `decimals` digits) or 'text' (free string)
+    - values: wire values of an enum setting, in the camera's menu order
+    - name: maps a wire value to its friendly name (default: the value
+      itself); friendly names are accepted wherever a value is, and are the
+      method names of the legacy setSettings tree
+    - group: legacy setSettings group the setting's methods live under
+    - legacyName: top-level legacy method for a number or text setting
+      without a group
+
+    Wire values were captured from the official app; the camera reports the
+    value it actually applied in `dxo_setting_applied`.
+*/
+
+import { CameraSettingError } from './errors.js';
+
+const ISO_VALUES = ['iso100', 'iso200', 'iso400', 'iso800', 'iso1600', 'iso3200', 'iso6400', 'iso12800', 'iso25600', 'iso51200'];
+
+const EV_BIAS_VALUES = [
+    '-3.0', '-2.7', '-2.3', '-2.0', '-1.7', '-1.3', '-1.0', '-0.7', '-0.3',
+    '0',
+    '+0.3', '+0.7', '+1.0', '+1.3', '+1.7', '+2.0', '+2.3', '+2.7', '+3.0',
+];
+
+const APERTURE_VALUES = ['1.8', '2', '2.2', '2.5', '2.8', '3.2', '3.5', '4', '4.5', '5', '5.6', '6.3', '7.1', '8', '9', '10', '11'];
+
+const EXPOSURE_TIME_VALUES = [
+    '1/20000', '1/16000', '1/8000', '1/4000', '1/2000', '1/1600', '1/1250', '1/1000',
+    '1/800', '1/640', '1/500', '1/400', '1/320', '1/250', '1/200', '1/160', '1/125',
+    '1/100', '1/80', '1/60', '1/50', '1/40', '1/30', '1/25', '1/20', '1/15', '1/13',
+    '1/10', '1/8', '1/6', '1/5', '1/4', '1/3', '1/2', '1/1', '2/1', '4/1', '8/1', '15/1', '30/1',
+];
+
+// "1/250" -> "t1_250"
+const exposureName = value => `t${value.replace('/', '_')}`;
+
+/**
+ * Every setting type the camera accepts, keyed by its wire `type`
+ * @type {Object<string, Object>}
+ */
+export const SETTINGS_SCHEMA = {
+    raw: {
+        kind: 'enum',
+        group: 'imageFormat',
+        values: ['off', 'on'],
+        name: value => value === 'on' ? 'rawOn' : 'rawOff',
+    },
+
+    // Temporal Noise Reduction (TNR) to combine the four RAW files into one new SuperRAW Plus file
+    tnr: {
+        kind: 'enum',
+        group: 'imageFormat',
+        values: ['off', 'on'],
+        name: value => value === 'on' ? 'tnrOn' : 'tnrOff',
+    },
+
+    still_focusing_mode: {
+        kind: 'enum',
+        group: 'stillFocusingMode',
+        values: ['mf', 'af'],
+        name: value => value.toUpperCase(),
+    },
+
+    // On Demand, Continuous, Single Shot
+    af_mode: {
+        kind: 'enum',
+        group: 'afMode',
+        values: ['af-od', 'af-c', 'af-s'],
+        name: value => value.toUpperCase().replace('-', '_'),
+    },
+
+    // Inverse focus distance for manual focus
+    mf_inv_distance: {
+        kind: 'number',
+        legacyName: 'mfInvDistance',
+        min: 0,
+        max: 5,
+        decimals: 6,
+    },
+
+    iso: {
+        kind: 'enum',
+        group: 'iso',
+        values: ['auto', ...ISO_VALUES],
+    },
+
+    ev_bias: {
+        kind: 'enum',
+        group: 'evBias',
+        values: EV_BIAS_VALUES,
+        // "-2.7" -> "m2_7", "+1.0" -> "p1_0"
+        name: value => value === '0' ? 'zero' : value.replace('-', 'm').replace('+', 'p').replace('.', '_'),
+    },
+
+    aperture: {
+        kind: 'enum',
+        group: 'aperture',
+        values: APERTURE_VALUES,
+        name: value => `f${value.replace('.', '_')}`,
+    },
+
+    exposure_time: {
+        kind: 'enum',
+        group: 'exposureTime',
+        values: EXPOSURE_TIME_VALUES,
+        name: exposureName,
+    },
+
+    // Scene modes, then the priority shooting modes
+    shooting_mode: {
+        kind: 'enum',
+        group: 'shootingMode',
+        values: ['sport', 'portrait', 'landscape', 'night', 'program', 'aperture', 'shutter', 'manual'],
+    },
+
+    drive: {
+        kind: 'enum',
+        group: 'shutterMode',
+        values: ['single', 'timelapse'],
+    },
+
+    selftimer: {
+        kind: 'enum',
+        group: 'shutterMode',
+        values: ['0', '2', '10'],
+        name: value => `timer${value}s`,
+    },
+
+    lighting_intensity: {
+        kind: 'enum',
+        group: 'autoWhiteBalance',
+        values: ['off', 'slight', 'medium', 'strong'],
+    },
+
+    // JPEG quality
+    photo_quality: {
+        kind: 'enum',
+        group: 'imageQuality',
+        values: ['100', '95', '70'],
+        name: value => ({ '100': 'fine', '95': 'normal', '70': 'basic' })[value],
+    },
+
+    // Upper limit for auto ISO
+    iso_boundaries: {
+        kind: 'enum',
+        group: 'maxIso',
+        values: ['no_limit', ...ISO_VALUES],
+        name: value => value === 'no_limit' ? 'auto' : value,
+    },
+
+    // Longest shutter time auto exposure may pick
+    max_exposure: {
+        kind: 'enum',
+        group: 'maxShutter',
+        values: ['0/1', '15/1', '2/1', '1/3', '1/6', '1/13', '1/25', '1/50', '1/100', '1/200', '1/400'],
+        name: value => value === '0/1' ? 'auto' : exposureName(value),
+    },
+
+    copyright: {
+        kind: 'text',
+        group: 'metadata',
+    },
+
+    artist: {
+        kind: 'text',
+        group: 'metadata',
+    },
+
+    // Video bit rate
+    video_quality: {
+        kind: 'enum',
+        group: 'videoQuality',
+        values: ['16000000', '22000000', '30000000'],
+        name: value => ({ '16000000': 'standard', '22000000': 'better', '30000000': 'highest' })[value],
+    },
+};
+
+/**
+ * Setting types, in schema order
+ * @type {string[]}
+ */
+export const SETTING_TYPES = Object.keys(SETTINGS_SCHEMA);
+
+/**
+ * Friendly name of an enum value (e.g. "f2_8" for aperture "2.8")
+ *
+ * @param {string} type - Setting type
+ * @param {string} value - Wire value
+ * @returns {string}
+ */
+export function getSettingValueName(type, value) {
+    const name = SETTINGS_SCHEMA[type]?.name;
+    return name ? name(value) : value;
+}
+
+/**
+ * Describes the values a setting accepts, for help text and error messages
+ *
+ * @param {string} type - Setting type
+ * @returns {string}
+ */
+export function describeSettingValues(type) {
+    const schema = SETTINGS_SCHEMA[type];
+    switch (schema?.kind) {
+        case 'enum':
+            return schema.values.map(value => {
+                const name = getSettingValueName(type, value);
+                return name === value ? value : `${value} (${name})`;
+            }).join(', ');
+        case 'number':
+            return `a number from ${schema.min} to ${schema.max}`;
+        case 'text':
+            return 'any text';
+        default:
+            return '';
+    }
+}
+
+/**
+ * Validates a setting value and converts it to its wire format
+ *
+ * Enum settings accept the wire value or its friendly name ("2.8" or
+ * "f2_8"); number settings accept numbers or numeric strings.
+ *
+ * @param {string} type - Setting type, e.g. "iso"
+ * @param {*} value - Value to set
+ * @returns {string} The `param` to send with dxo_setting_set
+ * @throws {CameraSettingError} If the type is unknown or the value is not allowed
+ */
+export function encodeSetting(type, value) {
+    const schema = SETTINGS_SCHEMA[type];
+    const fail = reason => new CameraSettingError(
+        `Invalid ${type} ${JSON.stringify(value)}: ${reason}`,
+        { type, value }
+    );
+
+    if (!schema) {
+        throw new CameraSettingError(
+            `Unknown setting type ${JSON.stringify(type)}: expected one of ${SETTING_TYPES.join(', ')}`,
+            { type, value }
+        );
+    }
+
+    switch (schema.kind) {
+        case 'enum': {
+            const text = String(value).trim();
+            const param = schema.values.find(v => v === text || getSettingValueName(type, v) === text);
+            if (param === undefined) throw fail(`expected ${describeSettingValues(type)}`);
+            return param;
+        }
+
+        case 'number': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) throw fail('expected a number');
+            if (number < schema.min || number > schema.max) throw fail(`expected ${describeSettingValues(type)}`);
+            return number.toFixed(schema.decimals);
+        }
+
+        case 'text':
+            if (typeof value !== 'string') throw fail('expected text');
+            return value;
+    }
+}
+
+// Brightness of each bracketable setting's values in EV (higher is brighter)
+const BRACKET_EV = {
+    ev_bias: value => parseFloat(value),
+    exposure_time: value => {
+        const [numerator, denominator] = value.split('/').map(Number);
+        return Math.log2(numerator / denominator);
+    },
+};
+
+/**
+ * Setting types exposure brackets can be built from
+ * @type {string[]}
+ */
+export const BRACKET_TYPES = Object.keys(BRACKET_EV);
+
+/**
+ * Picks the values of an exposure bracket around a center value
+ *
+ * Each shot is offset from the center by a multiple of `spacing` EV and
+ * gets the setting value closest to that exposure, so a 1 EV spacing is
+ * three 1/3 EV steps of ev_bias and about one full stop of exposure_time.
+ *
+ * @param {string} type - 'ev_bias' or 'exposure_time'
+ * @param {string} center - Wire value or friendly name of the middle exposure
+ * @param {Object} [options]
+ * @param {number} [options.count=3] - Number of shots, at least 2
+ * @param {number} [options.spacing=1] - EV between neighbouring shots
+ * @param {'ascending'|'center-first'} [options.order='ascending'] - Darkest to brightest,
+ *        or the center exposure first followed by the darker / brighter pairs
+ * @returns {Array<{value: string, offset: number}>} Wire values and their actual EV
+ *          offset from the center, in shooting order
+ * @throws {CameraSettingError} If the type cannot be bracketed, or the bracket does not
+ *         fit the setting's range or steps
+ */
+export function getBracketValues(type, center, { count = 3, spacing = 1, order = 'ascending' } = {}) {
+    const fail = reason => new CameraSettingError(`Cannot bracket ${type}: ${reason}`, { type, value: center });
+
+    const toEV = BRACKET_EV[type];
+    if (!toEV) throw fail(`expected one of ${BRACKET_TYPES.join(', ')}`);
+    if (!Number.isInteger(count) || count < 2) throw fail('count must be a whole number of at least 2');
+    if (!(spacing > 0)) throw fail('spacing must be more than 0 EV');
+    if (order !== 'ascending' && order !== 'center-first') throw fail('order must be ascending or center-first');
+
+    const values = SETTINGS_SCHEMA[type].values;
+    const centerValue = encodeSetting(type, center);
+    const centerEV = toEV(centerValue);
+
+    const shots = [];
+    for (let i = 0; i < count; i++) {
+        const target = centerEV + (i - (count - 1) / 2) * spacing;
+        const value = values.reduce((best, candidate) =>
+            Math.abs(toEV(candidate) - target) < Math.abs(toEV(best) - target) ? candidate : best
+        );
+
+        // More than a third of a stop off means the range ran out
+        if (Math.abs(toEV(value) - target) > 0.34) {
+            throw fail(`${count} shots ${spacing} EV apart around ${centerValue} go beyond ${values[0]} .. ${values.at(-1)}`);
+        }
+        if (shots.at(-1)?.value === value) {
+            throw fail(`${spacing} EV is finer than the setting's steps`);
+        }
+        shots.push({ value, offset: Math.round((toEV(value) - centerEV) * 100) / 100 });
+    }
+
+    if (order === 'center-first') {
+        // Closest to the center first; darker before brighter at equal distance
+        shots.sort((a, b) => Math.abs(a.offset) - Math.abs(b.offset) || a.offset - b.offset);
+    }
+    return shots;
+}
+
+// Lens and sensor, for depth of field: 10.6mm (32mm equivalent) on a 1" sensor,
+// whose usual circle of confusion is 0.011mm
+const FOCAL_LENGTH_MM = 10.6;
+const CIRCLE_OF_CONFUSION_MM = 0.011;
+
+export const FOCUS_STACK_SPACINGS = ['dof', 'linear'];
+
+/**
+ * Depth of field in inverse distance (1/m) at an aperture
+ *
+ * Away from macro range, the zone in acceptable focus spans about
+ * 2 N c / f^2 of inverse distance wherever the lens is focused, so focus
+ * steps this far apart just touch.
+ *
+ * @param {number} aperture - f-number, e.g. 2.8
+ * @returns {number}
+ */
+export function getDepthOfFieldInvDistance(aperture) {
+    return 2 * aperture * CIRCLE_OF_CONFUSION_MM / FOCAL_LENGTH_MM ** 2 * 1000;
+}
+
+/**
+ * Picks the mf_inv_distance values of a focus stack
+ *
+ * Distances are inverse (1/m: 0 is infinity, 5 is 20cm). 'dof' spacing
+ * steps evenly in inverse distance, so every shot's depth of field overlaps
+ * the next by the same amount; 'linear' steps evenly in metres, which packs
+ * the shots towards the far end.
+ *
+ * @param {number} near - Inverse distance of the nearest shot
+ * @param {number} far - Inverse distance of the farthest shot, less than near
+ * @param {Object} [options]
+ * @param {number} [options.count] - Number of shots, at least 2. With 'dof' spacing it
+ *        may be left out if aperture is given: then just enough shots for the depths
+ *        of field to touch are taken
+ * @param {'dof'|'linear'} [options.spacing='dof']
+ * @param {number} [options.aperture] - f-number the stack is shot at
+ * @returns {Array<{invDistance: number, distanceM: (number|null), param: string}>} Shots from near
+ *          to far; distanceM is null for infinity, param the wire value
+ * @throws {CameraSettingError} If the limits or options do not make a stack
+ */
+export function getFocusStackDistances(near, far, { count, spacing = 'dof', aperture } = {}) {
+    const fail = reason => new CameraSettingError(`Cannot focus stack: ${reason}`, { type: 'mf_inv_distance', value: [near, far] });
+
+    const nearParam = encodeSetting('mf_inv_distance', near);
+    const farParam = encodeSetting('mf_inv_distance', far);
+    const [nearInv, farInv] = [Number(nearParam), Number(farParam)];
+
+    if (!(nearInv > farInv)) throw fail(`near (${nearParam}) must be a larger inverse distance than far (${farParam})`);
+    if (!FOCUS_STACK_SPACINGS.includes(spacing)) throw fail(`spacing must be one of ${FOCUS_STACK_SPACINGS.join(', ')}`);
+    if (spacing === 'linear' && farInv === 0) throw fail('linear spacing needs a far limit short of infinity');
+
+    if (count === undefined && spacing === 'dof' && aperture > 0) {
+        count = Math.max(2, Math.ceil((nearInv - farInv) / getDepthOfFieldInvDistance(aperture)) + 1);
+    }
+    if (!Number.isInteger(count) || count < 2) throw fail('count must be a whole number of at least 2');
+
+    const shots = [];
+    for (let i = 0; i < count; i++) {
+        const fraction = i / (count - 1);
+        const invDistance = spacing === 'dof'
+            ? nearInv + (farInv - nearInv) * fraction
+            : 1 / (1 / nearInv + (1 / farInv - 1 / nearInv) * fraction);
+        const param = encodeSetting('mf_inv_distance', invDistance);
+
+        if (shots.at(-1)?.param === param) throw fail(`${count} shots are too many for the setting's precision`);
+        // Metres to 0.1mm
+        const distanceM = Number(param) > 0 ? Math.round(1e4 / Number(param)) / 1e4 : null;
+        shots.push({ invDistance: Number(param), distanceM, param });
+    }
+    return shots;
+}
+
+/**
+ * Setting types an exposure ramp can change; their values are ordered from
+ * one end of the range to the other
+ * @type {string[]}
+ */
+export const RAMP_TYPES = ['ev_bias', 'exposure_time', 'iso', 'aperture'];
+
+/**
+ * Picks the value of each shot of an exposure ramp (e.g. a day-to-night timelapse)
+ *
+ * The ramp steps evenly through the setting's values from `from` to `to`,
+ * so each change is one or a few of the setting's steps (1/3 EV for ev_bias,
+ * a full stop for iso) rather than a jump at the end.
+ *
+ * @param {string} type - One of RAMP_TYPES
+ * @param {string} from - Wire value or friendly name of the first shot
+ * @param {string} to - Wire value or friendly name of the last shot
+ * @param {number} count - Number of shots the ramp spans, at least 1
+ * @returns {string[]} count wire values; with one shot, just `to`
+ * @throws {CameraSettingError} If the type or values cannot be ramped
+ */
+export function getRampValues(type, from, to, count) {
+    const fail = reason => new CameraSettingError(`Cannot ramp ${type}: ${reason}`, { type, value: [from, to] });
+
+    if (!RAMP_TYPES.includes(type)) throw fail(`expected one of ${RAMP_TYPES.join(', ')}`);
+    if (!Number.isInteger(count) || count < 1) throw fail('count must be a whole number of at least 1');
+
+    const values = SETTINGS_SCHEMA[type].values;
+    const first = values.indexOf(encodeSetting(type, from));
+    const last = values.indexOf(encodeSetting(type, to));
+    if (values[first] === 'auto' || values[last] === 'auto') throw fail('auto is not a point on the range');
+
+    return Array.from({ length: count }, (_, i) =>
+        values[count === 1 ? last : Math.round(first + (last - first) * i / (count - 1))]);
+}
+
+/**
+ * Builds the DXOONE.open().command.setSettings tree from the schema
+ *
+ * Enum values become methods without arguments under their group
+ * (setSettings.aperture.f2_8()); number and text settings take the value
+ * (setSettings.mfInvDistance(1.5), setSettings.metadata.artist('Me')).
+ *
+ * @param {Function} applySetting - Called with (type, param) to send a validated setting
+ * @returns {Object} The setSettings tree
+ */
+export function createLegacySettingsTree(applySetting) {
+    const tree = {};
+
+    for (const [type, schema] of Object.entries(SETTINGS_SCHEMA)) {
+        if (schema.kind === 'enum') {
+            const group = tree[schema.group] ??= {};
+            for (const value of schema.values) {
+                group[getSettingValueName(type, value)] = () => applySetting(type, value);
+            }
+            continue;
+        }
+
+        // Out-of-range numbers are rejected like CameraDevice.setSetting() does, not clamped
+        const send = async data => applySetting(type, encodeSetting(type, data));
+
+        if (schema.group) {
+            (tree[schema.group] ??= {})[type] = send;
+        } else {
+            tree[schema.legacyName] = send;
+        }
+    }
+
+    return tree;
+}
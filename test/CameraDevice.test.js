@@ -0,0 +1,217 @@
+/*
+    CameraDevice.test.js - Command queue tests against the simulator
+    https://github.com/jsyang/dxo1control
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CameraDevice } from '../CameraDevice.js';
+import { VirtualUSB } from '../VirtualCamera.js';
+import { useFakeClock } from './fakeClock.js';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function connect(options = {}) {
+    const usb = new VirtualUSB({ cameras: 1, ...options });
+    const device = await usb.requestDevice({ filters: [{ vendorId: 0x2b8f }] });
+    const camera = new CameraDevice(device);
+    await camera.initialize();
+    return { usb, device, camera };
+}
+
+test('Commands sent together each get their own reply', async () => {
+    const { camera } = await connect();
+
+    const [status, settings] = await Promise.all([
+        camera.transferOutRPC('dxo_camera_status_get'),
+        camera.transferOutRPC('dxo_all_settings_get'),
+    ]);
+    assert.ok(status.result.battery !== undefined);
+    assert.ok(settings.result.iso !== undefined);
+    assert.notEqual(status.id, settings.id);
+
+    await camera.close();
+});
+
+test('A camera unplugged during transferOut fails the command without an unhandled rejection', async () => {
+    const { device, camera } = await connect();
+
+    const unhandled = [];
+    const onUnhandled = error => unhandled.push(error);
+    process.on('unhandledRejection', onUnhandled);
+
+    const transferOut = device.transferOut.bind(device);
+    device.transferOut = async (endpoint, data) => {
+        // Let the handshake acknowledgement through, drop the camera under the request itself
+        if (data.length <= 32) return transferOut(endpoint, data);
+        device.unplug();
+        // The read loop fails the pending reply while this transfer is still in flight
+        await wait(20);
+        const error = new Error('The device was disconnected.');
+        error.name = 'NotFoundError';
+        throw error;
+    };
+
+    try {
+        await assert.rejects(camera.takePhoto());
+        await wait(20);
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+    }
+    assert.deepEqual(unhandled, []);
+});
+
+// Makes the camera's reply to the nth dxo_photo_take go missing, so that takePhoto() times out
+function dropPhotoReply(usbCamera, camera, nth) {
+    const takePhoto = camera.takePhoto.bind(camera);
+    let calls = 0;
+    camera.takePhoto = options => {
+        if (++calls === nth) usbCamera.injectFault('drop');
+        return takePhoto(options);
+    };
+}
+
+test('A bracket that fails part-way restores the setting and reports the shots taken', async () => {
+    const { usb, camera } = await connect({ cameraOptions: { captureDelayMs: 10, settingAppliedDelayMs: 5 } });
+    const [usbCamera] = usb.devices;
+    dropPhotoReply(usbCamera, camera, 2);
+
+    const result = await camera.captureBracket({ count: 3, spacing: 1, timeoutMs: 200 });
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.error.name, 'CameraTimeoutError');
+    assert.deepEqual(result.shots.map(shot => [shot.value, shot.status]), [['-1.0', 'success'], ['0', 'error']]);
+    assert.equal(result.restored, true);
+    assert.equal(usbCamera.settings.ev_bias, '0');
+    assert.equal(usbCamera.shotCount, 2);
+
+    await camera.close();
+});
+
+test('A bracket that throws while setting a value still restores the original', async () => {
+    const { usb, camera } = await connect({ cameraOptions: { captureDelayMs: 10, settingAppliedDelayMs: 5 } });
+    const [usbCamera] = usb.devices;
+    await camera.setSetting('ev_bias', '+1.0');
+
+    const setSetting = camera.setSetting.bind(camera);
+    camera.setSetting = (type, value, options) => value === '+2.0'
+        ? Promise.reject(new Error('Setting failed'))
+        : setSetting(type, value, options);
+
+    const result = await camera.captureBracket({ count: 3 });
+
+    assert.equal(result.error.message, 'Setting failed');
+    assert.deepEqual(result.shots.map(shot => shot.status), ['success', 'success', 'error']);
+    assert.equal(result.restored, true);
+    assert.equal(usbCamera.settings.ev_bias, '+1.0');
+
+    await camera.close();
+});
+
+test('A focus stack that fails part-way restores the focus mode and distance', async () => {
+    const { usb, camera } = await connect({
+        cameraOptions: { captureDelayMs: 10, settingAppliedDelayMs: 5, settings: { mf_inv_distance: '1.500000' } },
+    });
+    const [usbCamera] = usb.devices;
+    dropPhotoReply(usbCamera, camera, 2);
+
+    const result = await camera.captureFocusStack({ near: 2, far: 0, count: 3, timeoutMs: 200 });
+
+    assert.equal(result.status, 'error');
+    assert.deepEqual(result.shots.map(shot => [shot.param, shot.status]), [['2.000000', 'success'], ['1.000000', 'error']]);
+    assert.deepEqual(result.original, { still_focusing_mode: 'af', mf_inv_distance: '1.500000' });
+    assert.equal(result.restored, true);
+    assert.equal(usbCamera.settings.still_focusing_mode, 'af');
+    assert.equal(usbCamera.settings.mf_inv_distance, '1.500000');
+
+    await camera.close();
+});
+
+test('A focus stack that throws while focusing still restores the focus mode and distance', async () => {
+    const { usb, camera } = await connect({
+        cameraOptions: { captureDelayMs: 10, settingAppliedDelayMs: 5, settings: { mf_inv_distance: '1.500000' } },
+    });
+    const [usbCamera] = usb.devices;
+
+    const setSetting = camera.setSetting.bind(camera);
+    camera.setSetting = (type, value, options) => value === '0.000000'
+        ? Promise.reject(new Error('Focus motor stalled'))
+        : setSetting(type, value, options);
+
+    const result = await camera.captureFocusStack({ near: 2, far: 0, count: 3 });
+
+    assert.equal(result.error.message, 'Focus motor stalled');
+    assert.deepEqual(result.shots.map(shot => shot.status), ['success', 'success', 'error']);
+    assert.equal(result.restored, true);
+    assert.equal(usbCamera.settings.still_focusing_mode, 'af');
+    assert.equal(usbCamera.settings.mf_inv_distance, '1.500000');
+
+    await camera.close();
+});
+
+// Each dxo_photo_take takes the simulated camera 100ms; on the fake clock that is exact
+async function connectForBurst(clock) {
+    const usb = new VirtualUSB({ cameras: 1, cameraOptions: { captureDelayMs: 100 } });
+    const camera = new CameraDevice(await usb.requestDevice({ filters: [] }));
+    await clock.advanceUntil(camera.initialize());
+    return { usbCamera: usb.devices[0], camera };
+}
+
+const assertAbout = (actual, expected, message) =>
+    assert.ok(Math.abs(actual - expected) <= 2, `${message}: ${actual}, expected about ${expected}`);
+
+test('A burst fires each shot once the last is answered and reports its frame rate and latency', async t => {
+    const clock = useFakeClock(t);
+    const { usbCamera, camera } = await connectForBurst(clock);
+
+    const result = await clock.advanceUntil(camera.burst(5));
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.taken, 5);
+    assert.equal(result.dropped, 0);
+    assert.equal(usbCamera.shotCount, 5);
+    assertAbout(result.durationMs, 500, 'duration');
+    assertAbout(result.fps, 10, 'fps');
+    assertAbout(result.latencyMs.min, 100, 'min latency');
+    assertAbout(result.latencyMs.max, 100, 'max latency');
+
+    await camera.close();
+});
+
+test('A burst with an interval waits for each shot\'s slot', async t => {
+    const clock = useFakeClock(t);
+    const { camera } = await connectForBurst(clock);
+
+    const result = await clock.advanceUntil(camera.burst(5, { intervalMs: 250 }));
+    const start = result.shots[0].requestedAt;
+
+    assert.deepEqual(result.shots.map(shot => Math.round(shot.requestedAt - start)), [0, 250, 500, 750, 1000]);
+    // The last shot's slot, then its 100ms capture
+    assertAbout(result.durationMs, 1100, 'duration');
+    assertAbout(result.fps, 5 * 1000 / 1100, 'fps');
+    assertAbout(result.latencyMs.mean, 100, 'mean latency');
+
+    await camera.close();
+});
+
+test('A burst counts a failed shot as dropped and carries on', async t => {
+    const clock = useFakeClock(t);
+    const { usbCamera, camera } = await connectForBurst(clock);
+
+    // The third shot's reply goes missing and it times out after 150ms
+    dropPhotoReply(usbCamera, camera, 3);
+    const result = await clock.advanceUntil(camera.burst(5, { timeoutMs: 150 }));
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.error.name, 'CameraTimeoutError');
+    assert.equal(result.taken, 4);
+    assert.equal(result.dropped, 1);
+    assert.deepEqual(result.shots.map(shot => shot.status), ['success', 'success', 'error', 'success', 'success']);
+    assertAbout(result.durationMs, 550, 'duration');
+    assertAbout(result.fps, 4 * 1000 / 550, 'fps');
+    // Only the shots taken count towards the latency
+    assertAbout(result.latencyMs.max, 100, 'max latency');
+
+    await camera.close();
+});
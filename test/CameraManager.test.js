@@ -0,0 +1,117 @@
+/*
+    CameraManager.test.js - Multi-camera tests against the simulator
+    https://github.com/jsyang/dxo1control
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CameraManager } from '../CameraManager.js';
+import { VirtualUSB } from '../VirtualCamera.js';
+
+// Connects one manager to every camera of a VirtualUSB
+async function connect(usb, options = {}) {
+    const manager = new CameraManager({ usbBackend: usb, reconnect: false, ...options });
+    for (const device of usb.devices) {
+        await manager.connectCamera(null, { serialNumber: device.serialNumber });
+    }
+    return manager;
+}
+
+const triggerSkew = results => Math.max(...results.map(result => result.triggerSkewMs));
+
+test('Background latency measurements do not hold up back to back captures', async () => {
+    const usb = new VirtualUSB({ cameras: 2, cameraOptions: { captureDelayMs: 10 } });
+    usb.devices[0].latencyMs = 5;
+    usb.devices[1].latencyMs = 60;
+    const manager = await connect(usb);
+    const [fast, slow] = usb.devices.map(device => manager.getCamera(device.serialNumber).id);
+
+    // Right after connecting the slow camera is still being measured
+    assert.ok(manager.latencyRefreshes.has(slow));
+
+    for (let shot = 0; shot < 3; shot++) {
+        const results = await manager.captureAll();
+        assert.ok(results.every(result => result.status === 'success'));
+        assert.ok(triggerSkew(results) < 15, `shot ${shot}: trigger skew ${triggerSkew(results)}ms`);
+    }
+
+    // The dispatch delays came from real estimates, not from an empty map
+    assert.ok(manager.latencyEstimates.get(slow).roundTripMs > manager.latencyEstimates.get(fast).roundTripMs);
+
+    await manager.dispose();
+});
+
+test('A bracket on several cameras that fails part-way restores every camera', async () => {
+    const usb = new VirtualUSB({ cameras: 2, cameraOptions: { captureDelayMs: 10, settingAppliedDelayMs: 5 } });
+    const manager = await connect(usb, { latencyCompensation: false });
+    await manager.setSettingAll('ev_bias', '+1.0');
+
+    // The second camera's reply to the second shot goes missing
+    const camera = manager.getCamera(usb.devices[1].serialNumber);
+    const takePhoto = camera.takePhoto.bind(camera);
+    let calls = 0;
+    camera.takePhoto = options => {
+        if (++calls === 2) usb.devices[1].injectFault('drop');
+        return takePhoto(options);
+    };
+
+    const result = await manager.captureBracketAll({ count: 3, timeoutMs: 200 });
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.error.name, 'CameraTimeoutError');
+    assert.equal(result.steps.length, 2);
+    assert.deepEqual(result.steps[1].results.map(entry => [entry.value, entry.status]), [['+1.0', 'success'], ['+1.0', 'error']]);
+    assert.ok(result.restored.every(entry => entry.status === 'success'));
+    assert.deepEqual(usb.devices.map(device => device.settings.ev_bias), ['+1.0', '+1.0']);
+    assert.deepEqual(usb.devices.map(device => device.shotCount), [2, 2]);
+
+    await manager.dispose();
+});
+
+test('A bracket on several cameras restores every camera when a step throws', async () => {
+    const usb = new VirtualUSB({ cameras: 2, cameraOptions: { captureDelayMs: 10, settingAppliedDelayMs: 5 } });
+    const manager = await connect(usb, { latencyCompensation: false });
+
+    // Recording the first shot (at -1.0) fails
+    manager.session.recordShot = () => {
+        throw new Error('Session storage full');
+    };
+
+    await assert.rejects(manager.captureBracketAll({ count: 3 }), /Session storage full/);
+    assert.deepEqual(usb.devices.map(device => device.settings.ev_bias), ['0', '0']);
+    assert.deepEqual(usb.devices.map(device => device.shotCount), [1, 1]);
+
+    await manager.dispose();
+});
+
+test('A focus stack on several cameras restores their focus after one fails to focus', async () => {
+    const usb = new VirtualUSB({
+        cameras: 2,
+        cameraOptions: { captureDelayMs: 10, settingAppliedDelayMs: 5, settings: { mf_inv_distance: '1.500000' } },
+    });
+    const manager = await connect(usb, { latencyCompensation: false });
+
+    // The second camera cannot reach the second distance
+    const camera = manager.getCamera(usb.devices[1].serialNumber);
+    const setSetting = camera.setSetting.bind(camera);
+    camera.setSetting = (type, value, options) => value === '1.000000'
+        ? Promise.reject(new Error('Focus motor stalled'))
+        : setSetting(type, value, options);
+
+    const result = await manager.captureFocusStackAll({ near: 2, far: 0, count: 3 });
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.error.message, 'Focus motor stalled');
+    // The step whose focusing failed is not fired
+    assert.equal(result.steps.length, 2);
+    assert.equal(result.steps[1].shot, null);
+    assert.deepEqual(usb.devices.map(device => device.shotCount), [1, 1]);
+    assert.ok(result.restored.every(entry => entry.status === 'success'));
+    for (const device of usb.devices) {
+        assert.equal(device.settings.still_focusing_mode, 'af');
+        assert.equal(device.settings.mf_inv_distance, '1.500000');
+    }
+
+    await manager.dispose();
+});
@@ -0,0 +1,111 @@
+/*
+    CaptureSession.test.js - Manifest export and import
+    https://github.com/jsyang/dxo1control
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CaptureSession } from '../CaptureSession.js';
+import { CameraRPCError } from '../errors.js';
+
+// Two shots on two cameras, with the characters CSV has to quote in names, paths and settings
+function createSession() {
+    const session = new CaptureSession({ name: 'Studio, "day 2"', startedAt: '2026-10-19T08:00:00.000Z' });
+    const cameras = new Map([
+        ['SIM0001', {
+            serialNumber: 'SIM0001',
+            nickname: 'Left, "wide"',
+            settings: { iso: 'iso400', aperture: '2.8', artist: 'Doe, "JD"', copyright: 'Line one\nline two' },
+            remotePath: '/DCIM/100DXO1/DXO_0001.JPG',
+        }],
+        ['SIM0002', {
+            serialNumber: 'SIM0002',
+            nickname: null,
+            settings: { iso: 'auto', exposure_time: '1/250' },
+            remotePath: '/DCIM/100DXO1/DXO_0007.JPG',
+        }],
+    ]);
+
+    // Saved before its shot was recorded
+    session.attachFile('SIM0001', '/DCIM/100DXO1/DXO_0001.JPG', '/shoots/Studio, "day 2"/left_0001.jpg');
+
+    session.recordShot({
+        startedAt: new Date('2026-10-19T08:00:05.000Z'),
+        startTime: 1000,
+        totalTime: 412.34,
+        syncMode: 'parallel',
+        cameras,
+        results: [
+            { cameraId: 'SIM0001', cameraName: 'Left, "wide"', status: 'success', sentAt: 1000.5, receivedAt: 1402.26 },
+            {
+                cameraId: 'SIM0002', cameraName: 'Camera (0002)', status: 'error', sentAt: 1001, receivedAt: 1412.34,
+                error: new CameraRPCError('Camera busy, try again', { code: -32000 }),
+            },
+        ],
+    });
+
+    const failure = Object.assign(new Error('LIBUSB_ERROR_IO'), { code: 'EIO' });
+    session.recordShot({
+        startedAt: new Date('2026-10-19T08:00:15.000Z'),
+        startTime: 2000,
+        totalTime: 45000,
+        syncMode: 'sequential',
+        cameras,
+        results: [
+            { cameraId: 'SIM0001', cameraName: 'Left, "wide"', status: 'error', sentAt: null, receivedAt: 2000, error: failure },
+            { cameraId: 'SIM0002', cameraName: 'Camera (0002)', status: 'success', sentAt: 2003, receivedAt: 2400 },
+        ],
+    });
+    session.attachFile('SIM0002', '/DCIM/100DXO1/DXO_0007.JPG', 'C:\\shoots\\right,0002.jpg');
+
+    return session;
+}
+
+test('A session reads back from its JSON export unchanged', () => {
+    const session = createSession();
+    const imported = CaptureSession.fromJSON(JSON.stringify(session));
+
+    assert.deepEqual(imported.toJSON(), session.toJSON());
+    assert.equal(imported.nextShotNumber, 3);
+});
+
+test('A session reads back from its CSV export unchanged', () => {
+    const session = createSession();
+    const csv = session.toCSV();
+    const imported = CaptureSession.fromCSV(csv);
+
+    assert.deepEqual(imported.toJSON(), session.toJSON());
+    // And exports the same CSV again
+    assert.equal(imported.toCSV(), csv);
+});
+
+test('CSV export quotes fields with commas, quotes and line breaks', () => {
+    const csv = createSession().toCSV();
+
+    assert.ok(csv.includes('"Studio, ""day 2"""'));
+    assert.ok(csv.includes('"/shoots/Studio, ""day 2""/left_0001.jpg"'));
+    assert.ok(csv.includes('"C:\\shoots\\right,0002.jpg"'));
+    assert.ok(csv.includes('"Camera busy, try again"'));
+    // The settings column is JSON, itself quoted
+    assert.ok(csv.includes('"{""iso"":""iso400"",""aperture"":""2.8"",""artist"":""Doe, \\""JD\\"""",""copyright"":""Line one\\nline two""}"'));
+    assert.equal(csv.split('\r\n').length, 1 + 4 + 1);
+});
+
+test('CSV import matches columns by name and keeps error codes as numbers or text', () => {
+    const csv = [
+        '\uFEFFstatus,camera_id,shot,extra,error_name,error_message,error_code',
+        'success,SIM0001,1,x,,,',
+        'error,SIM0002,1,y,CameraRPCError,"Busy, retry",-32000',
+        'error,SIM0002,2,z,Error,Gone,EIO',
+    ].join('\n');
+    const session = CaptureSession.fromCSV(csv);
+
+    assert.equal(session.shotCount, 2);
+    assert.deepEqual(session.shots[0].cameras.map(camera => camera.cameraId), ['SIM0001', 'SIM0002']);
+    assert.equal(session.shots[0].cameras[0].error, null);
+    assert.deepEqual(session.shots[0].cameras[1].error, { name: 'CameraRPCError', message: 'Busy, retry', code: -32000 });
+    assert.equal(session.shots[1].cameras[0].error.code, 'EIO');
+
+    assert.throws(() => CaptureSession.fromCSV('shot,status\n1,success\n'), TypeError);
+});
@@ -0,0 +1,172 @@
+/*
+    Intervalometer.test.js - Timelapse timing on a simulated camera and a fake clock
+    https://github.com/jsyang/dxo1control
+
+    Runs on a fake clock (see fakeClock.js), so timings are exact.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Intervalometer } from '../Intervalometer.js';
+import { CameraDevice } from '../CameraDevice.js';
+import { VirtualUSB } from '../VirtualCamera.js';
+import { getRampValues } from '../settings.js';
+import { useFakeClock } from './fakeClock.js';
+
+async function connect(clock, cameraOptions = {}) {
+    const usb = new VirtualUSB({ cameras: 1, cameraOptions: { captureDelayMs: 300, settingAppliedDelayMs: 20, ...cameraOptions } });
+    const camera = new CameraDevice(await usb.requestDevice({ filters: [] }));
+    await clock.advanceUntil(camera.initialize());
+    return { usbCamera: usb.devices[0], camera };
+}
+
+test('Shots stay on the interval grid however long each one takes', async t => {
+    const clock = useFakeClock(t);
+    const { usbCamera, camera } = await connect(clock);
+    const shots = [];
+    const startedAt = Date.now();
+
+    const timelapse = new Intervalometer(camera, { intervalMs: 1000, count: 10, onShot: shot => shots.push(shot) });
+    timelapse.start();
+    const summary = await clock.advanceUntil(timelapse.whenStopped());
+
+    assert.equal(summary.reason, 'count');
+    assert.equal(summary.shots, 10);
+    assert.equal(usbCamera.shotCount, 10);
+    assert.deepEqual(shots.map(shot => shot.slot), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    // The 300ms captures do not push later shots back
+    assert.deepEqual(shots.map(shot => shot.scheduledAt - startedAt), [0, 1000, 2000, 3000, 4000, 5000, 6000, 7000, 8000, 9000]);
+    assert.ok(shots.every(shot => shot.lateMs <= 2), `late by ${shots.map(shot => shot.lateMs)}`);
+    assert.ok(shots.every(shot => shot.durationMs >= 300));
+    assert.equal(summary.missed, 0);
+    assert.ok(summary.durationMs < 9000 + 300 + 10);
+
+    await camera.close();
+});
+
+test('A shot that overruns the interval counts the slots it covered as missed', async t => {
+    const clock = useFakeClock(t);
+    const { camera } = await connect(clock, { captureDelayMs: 2500 });
+    const shots = [];
+    const startedAt = Date.now();
+
+    const timelapse = new Intervalometer(camera, { intervalMs: 1000, count: 3, onShot: shot => shots.push(shot) });
+    timelapse.start();
+    const summary = await clock.advanceUntil(timelapse.whenStopped());
+
+    // The first shot ends at 2.5s, past slots 1 and 2: slot 1 is missed and the
+    // second shot taken at once in slot 2. It ends at 5s, so 3 and 4 are missed.
+    assert.deepEqual(shots.map(shot => shot.slot), [0, 2, 5]);
+    assert.deepEqual(shots.map(shot => shot.scheduledAt - startedAt), [0, 2000, 5000]);
+    assert.ok(Math.abs(shots[1].lateMs - 500) <= 2);
+    assert.deepEqual(shots.map(shot => shot.missed), [1, 3, 3]);
+    assert.equal(summary.missed, 3);
+
+    await camera.close();
+});
+
+test('An exposure ramp applies each value before its shot, sending only changes', async t => {
+    const clock = useFakeClock(t);
+    const { usbCamera, camera } = await connect(clock, { settings: { exposure_time: '1/250' } });
+    const applied = [];
+    const ramp = { type: 'exposure_time', from: '1/250', to: '1/30' };
+
+    const timelapse = new Intervalometer(camera, {
+        intervalMs: 1000,
+        count: 8,
+        ramp,
+        // Read the camera itself, not what the intervalometer thinks it set
+        onShot: shot => applied.push([shot.rampValue, usbCamera.settings.exposure_time]),
+    });
+    timelapse.start();
+    const summary = await clock.advanceUntil(timelapse.whenStopped());
+
+    const expected = getRampValues(ramp.type, ramp.from, ramp.to, 8);
+    assert.equal(summary.shots, 8);
+    assert.deepEqual(applied, expected.map(value => [value, value]));
+
+    const changes = expected.filter((value, i) => i === 0 || value !== expected[i - 1]);
+    const sent = usbCamera.receivedCommands.filter(command => command.method === 'dxo_setting_set');
+    assert.deepEqual(sent.map(command => command.params.param), changes);
+
+    await camera.close();
+});
+
+test('A run stops before the shot after the battery drops below minBatteryLevel', async t => {
+    const clock = useFakeClock(t);
+    const { usbCamera, camera } = await connect(clock, { batteryLevel: 20 });
+    const shots = [];
+
+    const timelapse = new Intervalometer(camera, {
+        intervalMs: 1000,
+        count: 10,
+        minBatteryLevel: 15,
+        onShot: shot => {
+            shots.push(shot);
+            if (shots.length === 3) usbCamera.batteryLevel = 12;
+        },
+    });
+    timelapse.start();
+    const summary = await clock.advanceUntil(timelapse.whenStopped());
+
+    assert.equal(summary.reason, 'lowBattery');
+    assert.equal(summary.shots, 3);
+    assert.equal(usbCamera.shotCount, 3);
+    assert.equal(summary.lowBattery.camera, camera);
+    assert.equal(summary.lowBattery.batteryLevel, 12);
+
+    await camera.close();
+});
+
+test('Pausing moves the remaining slots back by the pause, and endTime still ends the run', async t => {
+    const clock = useFakeClock(t);
+    const { camera } = await connect(clock);
+    const shots = [];
+    const startedAt = Date.now();
+    const states = [];
+
+    const timelapse = new Intervalometer(camera, {
+        intervalMs: 1000,
+        endTime: new Date(startedAt + 5500),
+        onShot: shot => shots.push(shot),
+        onStateChange: state => states.push(state),
+    });
+    timelapse.start();
+
+    // Paused 500ms into the run for 2 seconds: the 1s shot is due at 3s instead
+    await clock.advance(500);
+    timelapse.pause();
+    await clock.advance(2000);
+    assert.equal(shots.length, 1);
+    timelapse.resume();
+
+    const summary = await clock.advanceUntil(timelapse.whenStopped());
+
+    // 3s, 4s, 5s; the 6s shot would be after endTime
+    assert.deepEqual(shots.map(shot => shot.scheduledAt - startedAt), [0, 3000, 4000, 5000]);
+    assert.equal(summary.reason, 'endTime');
+    assert.equal(summary.missed, 0);
+    assert.deepEqual(states, ['running', 'paused', 'running', 'stopped']);
+
+    await camera.close();
+});
+
+test('endTime ends a paused run', async t => {
+    const clock = useFakeClock(t);
+    const { camera } = await connect(clock);
+    const startedAt = Date.now();
+
+    const timelapse = new Intervalometer(camera, { intervalMs: 1000, endTime: startedAt + 3000 });
+    timelapse.start();
+    await clock.advance(500);
+    timelapse.pause();
+
+    const summary = await clock.advanceUntil(timelapse.whenStopped());
+
+    assert.equal(summary.reason, 'endTime');
+    assert.equal(summary.shots, 1);
+    assert.equal(Date.now() - startedAt, 3000);
+
+    await camera.close();
+});
@@ -0,0 +1,51 @@
+/*
+    TetheredCapture.test.js - Downloads and shot numbering against the simulator
+    https://github.com/jsyang/dxo1control
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { TetheredCapture } from '../TetheredCapture.js';
+import { CameraManager } from '../CameraManager.js';
+import { VirtualUSB } from '../VirtualCamera.js';
+
+test('A camera whose dispatch delay was aborted gets its own shot number for its next capture', async t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dxo1-tether-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    // The fast camera is held back 50ms so that both shutters fire together
+    const usb = new VirtualUSB({ cameras: 2, cameraOptions: { captureDelayMs: 10 } });
+    usb.devices[1].latencyMs = 100;
+    const manager = new CameraManager({ usbBackend: usb, reconnect: false });
+    for (const device of usb.devices) await manager.connectCamera(device.serialNumber, { serialNumber: device.serialNumber });
+    await manager.measureLatency();
+    const fast = manager.getCamera('SIM0001');
+
+    const tether = new TetheredCapture(manager, { directory, sessionName: 'shoot' });
+    const saved = [];
+    const failed = [];
+    tether.addEventListener('fileReady', event => saved.push(event.detail));
+    tether.addEventListener('downloadFailed', event => failed.push(event.detail));
+    tether.start();
+
+    // Aborted while the fast camera waits out its delay
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+    const results = await manager.captureAll({ signal: controller.signal });
+    assert.ok(results.every(result => result.status === 'error'));
+    assert.ok(results.find(result => result.cameraId === fast.id).dispatchDelayMs > 10);
+
+    await fast.takePhoto();
+    await tether.whenIdle();
+
+    assert.deepEqual(failed, []);
+    assert.deepEqual(saved.map(file => [file.camera.id, file.shot]), [['SIM0001', 2]]);
+    assert.ok(fs.existsSync(path.join(directory, 'shoot_0002_SIM0001.JPG')));
+
+    tether.stop();
+    await manager.dispose();
+});
@@ -0,0 +1,45 @@
+/*
+    fakeClock.js - Fake clock for timing tests
+    https://github.com/jsyang/dxo1control
+
+    Mocks setTimeout, Date and performance.now() for one test, so the
+    simulated camera's delays and the code's timers pass only when the test
+    moves the clock on, one millisecond at a time.
+*/
+
+import assert from 'node:assert/strict';
+
+const START = 1_700_000_000_000;
+
+// Lets every promise that can settle at the current time do so
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Switches the test's timers to a fake clock; they are restored when the test ends
+ *
+ * @param {TestContext} t - The node:test context
+ * @returns {{advance: Function, advanceUntil: Function}}
+ */
+export function useFakeClock(t) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+    t.mock.method(performance, 'now', () => Date.now() - START);
+
+    // Moves the clock on by ms
+    const advance = async ms => {
+        for (let i = 0; i < ms; i++) {
+            t.mock.timers.tick(1);
+            await settle();
+        }
+    };
+
+    // Moves the clock on until the promise settles
+    const advanceUntil = async (promise, limitMs = 600000) => {
+        let done = false;
+        promise.then(() => { done = true; }, () => { done = true; });
+        for (let elapsed = 0; !done && elapsed < limitMs; elapsed++) await advance(1);
+        assert.ok(done, `still pending after ${limitMs}ms`);
+        return promise;
+    };
+
+    return { advance, advanceUntil };
+}
@@ -0,0 +1,68 @@
+/*
+    mjpegserver.test.js - Live view over HTTP against the simulator
+    https://github.com/jsyang/dxo1control
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { once } from 'node:events';
+
+import { createMJPEGServer } from '../mjpegserver.js';
+import { CameraManager } from '../CameraManager.js';
+import { VirtualUSB } from '../VirtualCamera.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// GETs a URL and collects the whole body
+async function fetchBody(url) {
+    const [res] = await once(http.get(url), 'response');
+    const chunks = [];
+    for await (const chunk of res) chunks.push(chunk);
+    return { status: res.statusCode, contentType: res.headers['content-type'], body: Buffer.concat(chunks) };
+}
+
+test('A snapshot that started live view leaves it running for streams that joined meanwhile', async t => {
+    const usb = new VirtualUSB({ cameras: 1 });
+    const manager = new CameraManager({ usbBackend: usb, reconnect: false });
+    const camera = await manager.connectCamera(null, { serialNumber: usb.devices[0].serialNumber });
+    // Holds back the first frame until the stream below has joined
+    usb.devices[0].latencyMs = 50;
+
+    const server = createMJPEGServer(manager);
+    server.listen(0);
+    await once(server, 'listening');
+    t.after(async () => {
+        server.closeAllConnections();
+        server.close();
+        await manager.dispose();
+    });
+    const base = `http://localhost:${server.address().port}/cameras/${encodeURIComponent(camera.id)}`;
+
+    const snapshot = fetchBody(`${base}/snapshot.jpg`);
+    await sleep(10);
+    const streamRequest = http.get(`${base}/stream.mjpg`);
+    const [stream] = await once(streamRequest, 'response');
+    let frames = 0;
+    let isEnded = false;
+    stream.on('data', chunk => { frames += chunk.toString('latin1').split('--dxo1frame').length - 1; });
+    stream.on('end', () => { isEnded = true; });
+    stream.on('error', () => {});
+
+    const { status, contentType, body } = await snapshot;
+    assert.equal(status, 200);
+    assert.equal(contentType, 'image/jpeg');
+    assert.deepEqual([...body.subarray(0, 2)], [0xFF, 0xD8]);
+
+    // The stream keeps getting frames after the snapshot has gone
+    const framesAtSnapshot = frames;
+    await sleep(300);
+    assert.ok(!isEnded, 'stream ended with the snapshot');
+    assert.ok(frames > framesAtSnapshot + 1, `${frames - framesAtSnapshot} frames after the snapshot`);
+    assert.ok(camera.isLiveViewActive);
+
+    // And live view stops with its last viewer
+    streamRequest.destroy();
+    await sleep(100);
+    assert.ok(!camera.isLiveViewActive);
+});
@@ -0,0 +1,152 @@
+/*
+    protocol.test.js - Wire format and stream decoder tests
+    https://github.com/jsyang/dxo1control
+
+    Run with `npm test` (node:test, no dependencies).
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    METADATA_INIT_SIGNATURE,
+    RPC_HEADER,
+    RPC_HEADER_TRAILER,
+    StreamDecoder,
+    JPEGFrameAssembler,
+    decodeRPCPayload,
+    encodeRPCRequest,
+} from '../protocol.js';
+import { CameraProtocolError } from '../errors.js';
+
+const hex = text => Uint8Array.from(text.match(/[0-9a-f]{2}/gi), byte => parseInt(byte, 16));
+const concat = (...parts) => Uint8Array.from(parts.flatMap(part => Array.from(part)));
+
+// Frames a payload the way the camera does: header with the little-endian size, then the bytes
+const frame = payload => concat(RPC_HEADER, [payload.length & 0xFF, payload.length >> 8], RPC_HEADER_TRAILER, payload);
+const message = json => frame(new TextEncoder().encode(JSON.stringify(json) + '\x00'));
+const response = (id, result) => message({ jsonrpc: '2.0', id, result });
+
+// encodeRPCRequest(1, 'dxo_camera_status_get') as sent to the camera
+const STATUS_REQUEST = hex(
+    'a3bad110 1708000c 3a00 0000 0300 0000 0000 0000 0000 0000 0000 0000 0000 0000' +
+    '7b226a736f6e727063223a22322e30222c226964223a312c226d6574686f64223a22' +
+    '64786f5f63616d6572615f7374617475735f676574227d00'
+);
+
+// A live view frame: header announcing 12 bytes, then a tiny JPEG (SOI ... EOI)
+const JPEG = hex('ffd8ffe0 00104a46 4946ffd9');
+const JPEG_MESSAGE = frame(JPEG);
+
+test('encodeRPCRequest() frames the JSON payload behind a header with its size', () => {
+    const request = encodeRPCRequest(1, 'dxo_camera_status_get');
+
+    assert.deepEqual(request, STATUS_REQUEST);
+    assert.equal(request.length, 32 + 0x3a);
+    assert.equal(request.at(-1), 0, 'payload is NUL terminated');
+});
+
+test('decodeRPCPayload() reads back what encodeRPCRequest() wrote', () => {
+    assert.deepEqual(decodeRPCPayload(encodeRPCRequest(7, 'dxo_setting_set', { iso: 'iso400' }).subarray(32)), {
+        type: 'notification',
+        message: { jsonrpc: '2.0', id: 7, method: 'dxo_setting_set', params: { iso: 'iso400' } },
+    });
+    assert.deepEqual(decodeRPCPayload(encodeRPCRequest(8, 'dxo_photo_take').subarray(32)).message,
+        { jsonrpc: '2.0', id: 8, method: 'dxo_photo_take' });
+
+    assert.deepEqual(decodeRPCPayload(response(7, { battery: 87 }).subarray(32)),
+        { type: 'response', message: { jsonrpc: '2.0', id: 7, result: { battery: 87 } } });
+});
+
+test('decodeRPCPayload() reports bytes that are not a JSON object as malformed', () => {
+    assert.equal(decodeRPCPayload(hex('7b226964223a00')).type, 'malformed');
+    assert.equal(decodeRPCPayload(new TextEncoder().encode('42\x00')).type, 'malformed');
+});
+
+test('encodeRPCRequest() rejects a payload over the 16-bit size field', () => {
+    assert.throws(() => encodeRPCRequest(1, 'dxo_x', { data: 'x'.repeat(0x10000) }), CameraProtocolError);
+});
+
+test('StreamDecoder joins a message split anywhere, including inside its header', () => {
+    const reply = response(3, { path: '/DCIM/100DXO1/DXO_0001.JPG' });
+
+    for (const split of [1, 4, 9, 31, 32, 33, reply.length - 1]) {
+        const decoder = new StreamDecoder();
+        assert.deepEqual(decoder.push(reply.subarray(0, split)), [], `split at ${split}`);
+
+        const [decoded, ...rest] = decoder.push(reply.subarray(split));
+        assert.equal(decoded.type, 'response', `split at ${split}`);
+        assert.equal(decoded.message.result.path, '/DCIM/100DXO1/DXO_0001.JPG');
+        assert.deepEqual(rest, []);
+    }
+});
+
+test('StreamDecoder decodes every message of a chunk, byte by byte as well', () => {
+    const chunk = concat(response(1, {}), response(2, {}));
+
+    const decoder = new StreamDecoder();
+    assert.deepEqual(decoder.push(chunk).map(m => m.message.id), [1, 2]);
+
+    const byteDecoder = new StreamDecoder();
+    const ids = Array.from(chunk).flatMap(byte => byteDecoder.push(Uint8Array.of(byte))).map(m => m.message.id);
+    assert.deepEqual(ids, [1, 2]);
+});
+
+test('StreamDecoder restarts on a handshake, reporting an interrupted message', () => {
+    const decoder = new StreamDecoder();
+    assert.deepEqual(decoder.push(METADATA_INIT_SIGNATURE), [{ type: 'handshake' }]);
+
+    const reply = response(4, {});
+    decoder.push(reply.subarray(0, 40));
+    const [interrupted, handshake] = decoder.push(METADATA_INIT_SIGNATURE);
+    assert.equal(interrupted.type, 'malformed');
+    assert.equal(interrupted.reason, 'Message interrupted by handshake');
+    assert.deepEqual(handshake, { type: 'handshake' });
+
+    assert.equal(decoder.push(reply)[0].message.id, 4);
+});
+
+test('StreamDecoder passes a dxo_usb_flush_forced notification ahead of the reply', () => {
+    const flush = message({ jsonrpc: '2.0', method: 'dxo_usb_flush_forced' });
+
+    const [notification, reply] = new StreamDecoder().push(concat(flush, response(5, {})));
+    assert.equal(notification.type, 'notification');
+    assert.equal(notification.message.method, 'dxo_usb_flush_forced');
+    assert.equal(reply.type, 'response');
+    assert.equal(reply.message.id, 5);
+});
+
+test('StreamDecoder reports a header announcing no payload as empty', () => {
+    assert.deepEqual(new StreamDecoder().push(frame([])), [{ type: 'empty' }]);
+});
+
+test('StreamDecoder hands out live view data as JPEG fragments that assemble into the frame', () => {
+    const stream = concat(JPEG_MESSAGE, response(6, {}));
+
+    // Split inside the header and between the FF D9 trailer bytes
+    const trailer = JPEG_MESSAGE.length - 1;
+    const decoder = new StreamDecoder();
+    const messages = [
+        ...decoder.push(stream.subarray(0, 20)),
+        ...decoder.push(stream.subarray(20, 38)),
+        ...decoder.push(stream.subarray(38, trailer)),
+        ...decoder.push(stream.subarray(trailer)),
+    ];
+
+    const fragments = messages.filter(m => m.type === 'jpeg');
+    assert.ok(fragments.length > 1);
+    assert.equal(messages.at(-1).message.id, 6);
+
+    const assembler = new JPEGFrameAssembler();
+    const frames = fragments.flatMap(fragment => assembler.push(fragment.data));
+    assert.deepEqual(frames, [JPEG]);
+    assert.equal(assembler.malformedFrames, 0);
+});
+
+test('JPEGFrameAssembler drops data outside a frame', () => {
+    const assembler = new JPEGFrameAssembler();
+
+    assert.deepEqual(assembler.push(concat(hex('0102 ffd9'), JPEG.subarray(0, 5))), []);
+    assert.deepEqual(assembler.push(JPEG.subarray(5)), [JPEG]);
+    assert.equal(assembler.malformedFrames, 1);
+});
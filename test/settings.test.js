@@ -0,0 +1,249 @@
+/*
+    settings.test.js - Settings schema, validation and the legacy setSettings tree
+    https://github.com/jsyang/dxo1control
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    SETTINGS_SCHEMA, encodeSetting, createLegacySettingsTree, getBracketValues,
+    getFocusStackDistances, getDepthOfFieldInvDistance,
+} from '../settings.js';
+import { CameraSettingError } from '../errors.js';
+import { CameraDevice } from '../CameraDevice.js';
+import { VirtualUSB } from '../VirtualCamera.js';
+
+// Method names of DXOONE.open().command.setSettings before the schema existed
+const BASELINE_TREE = {
+    imageFormat: ['rawOff', 'rawOn', 'tnrOff', 'tnrOn'],
+    stillFocusingMode: ['MF', 'AF'],
+    afMode: ['AF_OD', 'AF_C', 'AF_S'],
+    mfInvDistance: 'function',
+    iso: ['auto', 'iso100', 'iso200', 'iso400', 'iso800', 'iso1600', 'iso3200', 'iso6400', 'iso12800', 'iso25600', 'iso51200'],
+    evBias: [
+        'm3_0', 'm2_7', 'm2_3', 'm2_0', 'm1_7', 'm1_3', 'm1_0', 'm0_7', 'm0_3', 'zero',
+        'p0_3', 'p0_7', 'p1_0', 'p1_3', 'p1_7', 'p2_0', 'p2_3', 'p2_7', 'p3_0',
+    ],
+    aperture: ['f1_8', 'f2', 'f2_2', 'f2_5', 'f2_8', 'f3_2', 'f3_5', 'f4', 'f4_5', 'f5', 'f5_6', 'f6_3', 'f7_1', 'f8', 'f9', 'f10', 'f11'],
+    exposureTime: [
+        't1_20000', 't1_16000', 't1_8000', 't1_4000', 't1_2000', 't1_1600', 't1_1250', 't1_1000',
+        't1_800', 't1_640', 't1_500', 't1_400', 't1_320', 't1_250', 't1_200', 't1_160', 't1_125',
+        't1_100', 't1_80', 't1_60', 't1_50', 't1_40', 't1_30', 't1_25', 't1_20', 't1_15', 't1_13',
+        't1_10', 't1_8', 't1_6', 't1_5', 't1_4', 't1_3', 't1_2', 't1_1', 't2_1', 't4_1', 't8_1', 't15_1', 't30_1',
+    ],
+    shootingMode: ['sport', 'portrait', 'landscape', 'night', 'program', 'aperture', 'shutter', 'manual'],
+    shutterMode: ['single', 'timelapse', 'timer0s', 'timer2s', 'timer10s'],
+    autoWhiteBalance: ['off', 'slight', 'medium', 'strong'],
+    imageQuality: ['fine', 'normal', 'basic'],
+    maxIso: ['auto', 'iso100', 'iso200', 'iso400', 'iso800', 'iso1600', 'iso3200', 'iso6400', 'iso12800', 'iso25600', 'iso51200'],
+    maxShutter: ['auto', 't15_1', 't2_1', 't1_3', 't1_6', 't1_13', 't1_25', 't1_50', 't1_100', 't1_200', 't1_400'],
+    metadata: ['copyright', 'artist'],
+    videoQuality: ['standard', 'better', 'highest'],
+};
+
+// A legacy tree whose methods record what they would send
+function createRecordingTree() {
+    const sent = [];
+    const tree = createLegacySettingsTree(async (type, param) => { sent.push({ type, param }); });
+    return { tree, sent };
+}
+
+const isSettingError = (type, value) => error =>
+    error instanceof CameraSettingError && error.type === type && Object.is(error.value, value);
+
+test('encodeSetting() accepts wire values and friendly names of enum settings', () => {
+    assert.equal(encodeSetting('aperture', '2.8'), '2.8');
+    assert.equal(encodeSetting('aperture', 'f2_8'), '2.8');
+    assert.equal(encodeSetting('ev_bias', 'm0_7'), '-0.7');
+    assert.equal(encodeSetting('exposure_time', 't1_250'), '1/250');
+    assert.equal(encodeSetting('video_quality', 'highest'), '30000000');
+    assert.equal(encodeSetting('shooting_mode', ' night '), 'night');
+});
+
+test('encodeSetting() writes number settings with their decimals and passes text through', () => {
+    assert.equal(encodeSetting('mf_inv_distance', 1.5), '1.500000');
+    assert.equal(encodeSetting('mf_inv_distance', '0.25'), '0.250000');
+    assert.equal(encodeSetting('mf_inv_distance', 0), '0.000000');
+    assert.equal(encodeSetting('mf_inv_distance', SETTINGS_SCHEMA.mf_inv_distance.max), '5.000000');
+    assert.equal(encodeSetting('artist', 'Jane, "JD" Doe'), 'Jane, "JD" Doe');
+});
+
+test('encodeSetting() rejects values a setting does not take with CameraSettingError', () => {
+    for (const [type, value] of [
+        ['aperture', '2.7'],
+        ['iso', 'iso300'],
+        ['tnr', true],
+        ['mf_inv_distance', -0.1],
+        ['mf_inv_distance', 5.5],
+        ['mf_inv_distance', 'near'],
+        ['mf_inv_distance', ''],
+        ['mf_inv_distance', NaN],
+        ['artist', 42],
+    ]) {
+        assert.throws(() => encodeSetting(type, value), isSettingError(type, value), `${type} ${String(value)}`);
+    }
+});
+
+test('encodeSetting() rejects an unknown setting type, listing the known ones', () => {
+    assert.throws(() => encodeSetting('whitebalance', 'auto'), error =>
+        isSettingError('whitebalance', 'auto')(error) && error.message.includes('mf_inv_distance'));
+});
+
+test('The legacy setSettings tree has the method names it had before the schema', () => {
+    const { tree } = createRecordingTree();
+    const names = Object.fromEntries(Object.entries(tree).map(([group, methods]) =>
+        [group, typeof methods === 'function' ? 'function' : Object.keys(methods)]));
+
+    assert.deepEqual(names, BASELINE_TREE);
+});
+
+test('setSettings.imageFormat.tnrOff() turns TNR off (it used to send "on")', async () => {
+    const { tree, sent } = createRecordingTree();
+    await tree.imageFormat.tnrOff();
+    await tree.imageFormat.tnrOn();
+
+    assert.deepEqual(sent, [{ type: 'tnr', param: 'off' }, { type: 'tnr', param: 'on' }]);
+});
+
+test('setSettings.shootingMode.night() sends "night" (it used to send " night")', async () => {
+    const { tree, sent } = createRecordingTree();
+    await tree.shootingMode.night();
+
+    assert.deepEqual(sent, [{ type: 'shooting_mode', param: 'night' }]);
+});
+
+test('Legacy number settings reject out-of-range values instead of clamping them', async () => {
+    const { tree, sent } = createRecordingTree();
+
+    await tree.mfInvDistance(1.5);
+    await assert.rejects(tree.mfInvDistance(9), isSettingError('mf_inv_distance', 9));
+    await assert.rejects(tree.mfInvDistance(-1), isSettingError('mf_inv_distance', -1));
+
+    assert.deepEqual(sent, [{ type: 'mf_inv_distance', param: '1.500000' }]);
+});
+
+test('CameraDevice.setSetting() validates before sending anything', async () => {
+    const usb = new VirtualUSB({ cameras: 1 });
+    const camera = new CameraDevice(await usb.requestDevice({ filters: [] }));
+    await camera.initialize();
+    const [virtualCamera] = usb.devices;
+
+    assert.equal(await camera.setSetting('aperture', 'f4'), '4');
+    assert.equal(virtualCamera.settings.aperture, '4');
+
+    const sentBefore = virtualCamera.receivedCommands.length;
+    await assert.rejects(camera.setSetting('aperture', 'f4_2'), error =>
+        isSettingError('aperture', 'f4_2')(error) && error.cameraId === camera.id);
+    await assert.rejects(camera.setSetting('mf_inv_distance', 6), isSettingError('mf_inv_distance', 6));
+    assert.equal(virtualCamera.receivedCommands.length, sentBefore);
+
+    await camera.close();
+});
+
+test('getBracketValues() spaces the shots evenly around the center, darkest first', () => {
+    assert.deepEqual(getBracketValues('ev_bias', '0'), [
+        { value: '-1.0', offset: -1 },
+        { value: '0', offset: 0 },
+        { value: '+1.0', offset: 1 },
+    ]);
+    assert.deepEqual(getBracketValues('ev_bias', '0', { count: 5, spacing: 2 / 3 }).map(shot => shot.value),
+        ['-1.3', '-0.7', '0', '+0.7', '+1.3']);
+    // An even count has no shot at the center
+    assert.deepEqual(getBracketValues('ev_bias', '0', { count: 4, spacing: 2 / 3 }).map(shot => shot.value),
+        ['-1.0', '-0.3', '+0.3', '+1.0']);
+});
+
+test('getBracketValues() brackets around the given center, by wire value or friendly name', () => {
+    const values = ['0', '+1.0', '+2.0'];
+    assert.deepEqual(getBracketValues('ev_bias', '+1.0').map(shot => shot.value), values);
+    assert.deepEqual(getBracketValues('ev_bias', 'p1_0').map(shot => shot.value), values);
+});
+
+test('getBracketValues() picks the nearest shutter speed and reports its actual offset', () => {
+    assert.deepEqual(getBracketValues('exposure_time', '1/125'), [
+        { value: '1/250', offset: -1 },
+        { value: '1/125', offset: 0 },
+        { value: '1/60', offset: 1.06 },
+    ]);
+    assert.deepEqual(getBracketValues('exposure_time', 't1_125', { spacing: 2 }).map(shot => shot.value),
+        ['1/500', '1/125', '1/30']);
+});
+
+test('getBracketValues() puts the center first, then darker before brighter, with order center-first', () => {
+    assert.deepEqual(getBracketValues('ev_bias', '0', { count: 5, order: 'center-first' }).map(shot => shot.value),
+        ['0', '-1.0', '+1.0', '-2.0', '+2.0']);
+});
+
+test('getBracketValues() fits up to the ends of the range and rejects brackets beyond them', () => {
+    assert.deepEqual(getBracketValues('ev_bias', '+2.0').map(shot => shot.value), ['+1.0', '+2.0', '+3.0']);
+    assert.deepEqual(getBracketValues('exposure_time', '1/8000').map(shot => shot.value), ['1/16000', '1/8000', '1/4000']);
+
+    assert.throws(() => getBracketValues('ev_bias', '+3.0'), isSettingError('ev_bias', '+3.0'));
+    assert.throws(() => getBracketValues('ev_bias', '-2.7'), isSettingError('ev_bias', '-2.7'));
+    assert.throws(() => getBracketValues('exposure_time', '30/1'), isSettingError('exposure_time', '30/1'));
+    assert.throws(() => getBracketValues('exposure_time', '1/20000'), isSettingError('exposure_time', '1/20000'));
+});
+
+test('getBracketValues() rejects a type, count, spacing, order or center it cannot use', () => {
+    for (const [type, options] of [
+        ['iso', {}],
+        ['ev_bias', { count: 1 }],
+        ['ev_bias', { count: 2.5 }],
+        ['ev_bias', { spacing: 0 }],
+        ['ev_bias', { spacing: -1 }],
+        ['ev_bias', { spacing: 0.1 }],
+        ['ev_bias', { order: 'descending' }],
+    ]) {
+        assert.throws(() => getBracketValues(type, '0', options), CameraSettingError, `${type} ${JSON.stringify(options)}`);
+    }
+    assert.throws(() => getBracketValues('ev_bias', '+0.5'), isSettingError('ev_bias', '+0.5'));
+});
+
+test('getFocusStackDistances() steps evenly in inverse distance with dof spacing', () => {
+    assert.deepEqual(getFocusStackDistances(2, 0, { count: 5 }), [
+        { invDistance: 2, distanceM: 0.5, param: '2.000000' },
+        { invDistance: 1.5, distanceM: 0.6667, param: '1.500000' },
+        { invDistance: 1, distanceM: 1, param: '1.000000' },
+        { invDistance: 0.5, distanceM: 2, param: '0.500000' },
+        { invDistance: 0, distanceM: null, param: '0.000000' },
+    ]);
+});
+
+test('getFocusStackDistances() steps evenly in metres with linear spacing', () => {
+    const shots = getFocusStackDistances(2, 0.5, { count: 4, spacing: 'linear' });
+
+    assert.deepEqual(shots.map(shot => shot.param), ['2.000000', '1.000000', '0.666667', '0.500000']);
+    assert.deepEqual(shots.map(shot => shot.distanceM), [0.5, 1, 1.5, 2]);
+});
+
+test('getFocusStackDistances() takes just enough shots for the depths of field to touch', () => {
+    for (const aperture of [1.8, 2.8, 11]) {
+        const depth = getDepthOfFieldInvDistance(aperture);
+        const shots = getFocusStackDistances(5, 0, { aperture });
+        const steps = shots.slice(1).map((shot, i) => shots[i].invDistance - shot.invDistance);
+
+        assert.ok(steps.every(step => step <= depth + 1e-6), `f/${aperture}: steps within ${depth}`);
+        // One shot fewer would leave a gap
+        assert.ok(5 / (shots.length - 2) > depth, `f/${aperture}: ${shots.length} shots`);
+    }
+    assert.equal(getFocusStackDistances(5, 0, { aperture: 11 }).length, 4);
+    // A narrow range still takes two shots
+    assert.equal(getFocusStackDistances(0.1, 0, { aperture: 11 }).length, 2);
+});
+
+test('getFocusStackDistances() rejects limits and options that do not make a stack', () => {
+    for (const [near, far, options] of [
+        [1, 2, { count: 3 }],
+        [1, 1, { count: 3 }],
+        [6, 0, { count: 3 }],
+        [2, 0, { count: 3, spacing: 'linear' }],
+        [2, 0.5, { spacing: 'linear', aperture: 2.8 }],
+        [2, 0, {}],
+        [2, 0, { count: 1 }],
+        [2, 0, { count: 3, spacing: 'log' }],
+        [0.000002, 0, { count: 5 }],
+    ]) {
+        assert.throws(() => getFocusStackDistances(near, far, options), CameraSettingError, `${near} ${far} ${JSON.stringify(options)}`);
+    }
+});
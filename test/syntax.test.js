@@ -0,0 +1,21 @@
+/*
+    syntax.test.js - Every top-level module parses
+    https://github.com/jsyang/dxo1control
+
+    Catches syntax errors in modules no other test imports (browser-only
+    code, the CLI); new files are picked up without listing them.
+*/
+
+import { test } from 'node:test';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const modules = fs.readdirSync(root).filter(name => /\.m?js$/.test(name)).sort();
+
+for (const name of modules) {
+    test(`${name} parses`, () => {
+        execFileSync(process.execPath, ['--check', name], { cwd: root, stdio: 'pipe' });
+    });
+}
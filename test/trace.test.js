@@ -0,0 +1,51 @@
+/*
+    trace.test.js - Trace replay tests
+    https://github.com/jsyang/dxo1control
+
+    The fixture was recorded from VirtualUSB with USBTraceRecorder:
+    initialize(), getStatus(), takePhoto(), getAllSettings(), close() on one camera.
+*/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { CameraDevice } from '../CameraDevice.js';
+import { ReplayUSB, parseTrace } from '../USBTrace.js';
+
+const TRACE = fs.readFileSync(new URL('./fixtures/virtual-camera.trace.jsonl', import.meta.url), 'utf8');
+
+async function connect() {
+    const usb = new ReplayUSB(parseTrace(TRACE));
+    const camera = new CameraDevice(await usb.requestDevice({ filters: [{ vendorId: 0x2b8f }] }));
+    await camera.initialize();
+    return { usb, camera };
+}
+
+test('A recorded trace replays through ReplayUSB without a differing transfer', async () => {
+    const { usb, camera } = await connect();
+
+    assert.equal((await camera.getStatus()).result.battery, 87);
+    await camera.takePhoto();
+    assert.equal((await camera.getAllSettings()).result.iso, 'auto');
+    await camera.close();
+
+    await usb.finished;
+    assert.deepEqual(usb.mismatches, []);
+});
+
+test('ReplayUSB reports a transfer that differs from the recording', async () => {
+    const { usb, camera } = await connect();
+
+    // The recording asked for the status here
+    await camera.getAllSettings();
+    await camera.takePhoto();
+    await camera.getAllSettings();
+    await camera.close();
+
+    await usb.finished;
+    assert.equal(usb.mismatches.length, 1);
+    const [mismatch] = usb.mismatches;
+    assert.equal(mismatch.device, 'SIM0001');
+    assert.notEqual(mismatch.actual, mismatch.expected);
+});
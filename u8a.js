@@ -6,6 +6,18 @@ export function mergeU8A(u1, u2) {
     return merged
 };
 
+// Joins many chunks at once (mergeU8A copies the whole result per call)
+export function concatU8A(chunks) {
+    const merged = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        merged.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return merged;
+}
+
 export function getU8AFromHexString(s) {
     return new Uint8Array(s.replace(/(\[|\])/g, '')
         .split(',')